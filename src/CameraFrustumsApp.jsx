@@ -1,7 +1,26 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Canvas, useThree } from "@react-three/fiber";
+import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
-import { OrbitControls, Html, Grid, GizmoHelper, GizmoViewport, Billboard, Text } from "@react-three/drei";
+import { OrbitControls, Html, Grid, GizmoHelper, GizmoViewport, Billboard, Text, TransformControls } from "@react-three/drei";
+import { colmapFileKind, readColmapModel } from "./colmap";
+import { IMAGE_FILE_RE, addToImageIndex, findImage, loadThumbnail, remoteImage } from "./images";
+import {
+  CAMERA_CONVENTIONS, Z_TO_Y, buildFrustumEdges, canonicalFrustumCorners, computeCamerasBounds, computeFrustumCornersLocal,
+  detectConvention, displayMatrix, exportMatrix, frustumCorners, frustumSegments, frustumShapeMatrix, groupCameras,
+  matrix4FromRows, normalizationTransform, normalizedPose, parseDataset, resolveConvention, resolveIntrinsics, rowsFromMatrix4,
+} from "./core";
+import { resolveFrameTransform, validateFrames } from "./validation";
+import { colmapCamerasText, colmapImagesText, mergedTransformsJson, posesCsv, transformsJson } from "./export";
+import { POINT_CLOUD_FILE_RE, parsePly, readPointCloud } from "./pointcloud";
+import { MESH_FILE_RE, disposeMesh, readMesh, setMeshAppearance } from "./meshes";
+import { alignedPose, compareTrajectories, umeyamaAlignment } from "./compare";
+import { compileFrameFilter } from "./filters";
+import { coverageBin, covisibilityGraph, directionCoverage, mollweideForward, mollweideInverse, toLonLat } from "./coverage";
+import { fetchDataset } from "./remote";
+import { FIGURE_MAX_PIXELS, FIGURE_MAX_SIDE, figurePdf, figureSvg, projectFigure } from "./figure";
+import { createWebmEncoder, pathPoses, turntablePoses, videoEncodingSupported, viewpointPoses, zipFile } from "./recorder";
+import { COLORMAPS, MISSING_VALUE_COLOR, colormapColor, colormapGradient, colormapRgb, drawColorLegend, formatLegendValue } from "./colormaps";
+import { createSession, decodeViewHash, encodeViewHash, isSessionJson, loadStoredSession, parseSession, storeSession, storeSessionView } from "./session";
 
 /**
  * 3D Camera Frustums Viewer
@@ -13,69 +32,60 @@ import { OrbitControls, Html, Grid, GizmoHelper, GizmoViewport, Billboard, Text
  *       { file_path: string, time?: number, transform_matrix: number[4][4] }, ...
  *     ]
  *   }
+ * - Intrinsics may also be given as camera_angle_y and/or Instant-NGP/nerfstudio fl_x, fl_y, cx, cy, w, h,
+ *   either at the top level (per group) or on individual frames (per frame overrides per group).
+ *   Off-center principal points (cx, cy) produce asymmetric frustums.
+ * - Or drop a COLMAP sparse model (cameras/images .txt or .bin, as files or a folder); each COLMAP camera id
+ *   becomes its own group with poses converted to c2w and intrinsics taken from the camera model.
  * - Renders each camera as a truncated pyramid (frustum) in world space using the supplied c2w transform.
- * - Interactive: orbit, pan, zoom; tweak near/far/aspect/scale; toggle grid/axes/labels; Fit View.
+ * - Or load transforms JSON files from URLs ("Load URL…" or ?src=<url>, repeatable); a dataset index JSON listing
+ *   several datasets opens a picker, and frame images are fetched relative to each dataset URL.
+ * - Images dropped/chosen with the dataset (e.g. the whole dataset folder) are matched to frames by file_path
+ *   and shown as thumbnails on each frustum's far rectangle.
+ * - Frames with a D-NeRF "time" value can be played back on a timeline (time window or highlight + fade, trails);
+ *   timestamps that go backwards in frame order are flagged.
+ * - Inspector for the selected camera (raw/displayed matrix, position, axes, angles, intrinsics; copy as JSON/NumPy);
+ *   shift-click and box/lasso selection of several cameras with centroid, spread and pairwise distance/angle.
+ * - "Look through" a selected camera (its pose and intrinsics), stepping through its group with ←/→ and back with Esc.
+ * - Every loaded group is validated (matrix shape, NaN, bottom row, scale/shear, duplicates); problems are listed
+ *   under Diagnostics, flagged cameras are drawn in red, and bad frames can be kept, fixed or skipped.
+ * - Point clouds (PLY, COLMAP points3D) are drawn in the same world as the cameras, with size/subsampling controls.
+ * - Reference meshes (OBJ, GLB/glTF, STL) with per-mesh opacity, wireframe and placement, in the same world.
+ * - Color by attribute: frame index, time, distance from the center, height, step size or a numeric frame field through
+ *   a colormap with an optional min/max clamp, with a legend over the view and in PNG figures.
+ * - Per-group frame filters (file_path substring or /regex/, index ranges, every Nth, time range) apply before
+ *   anything else, so the view, Fit View, paths, comparison and export all see the same subset.
+ * - Edit mode: a translate/rotate/scale gizmo on the selected cameras or a whole group; edits are written back into
+ *   the group's transform_matrix rows (its own convention), so export and sessions include them, with undo/redo.
+ * - Coverage analysis: a Mollweide heatmap of viewing directions around the scene center with gaps highlighted, and
+ *   a co-visibility graph from pairwise frustum overlap with isolated/weakly connected frames flagged.
+ * - Compare two groups: frames matched by file name or index, Sim(3)/SE(3) (Umeyama) alignment, ATE/RPE metrics,
+ *   error lines between matched centers and frames colored by error.
+ * - Normalize the scene (recenter on the camera centroid or optical-axis convergence, rescale to a radius, orient the
+ *   mean camera up to world up) as a reversible preview, with the applied similarity shown as a copyable matrix.
+ * - Export the displayed poses (after conventions and bad-frame handling) per group or merged, in a chosen target
+ *   convention, as transforms.json (other fields kept), a positions/quaternions CSV or COLMAP cameras.txt + images.txt.
+ * - Figures: PNG at a chosen resolution/aspect (independent of the window) with supersampling and a transparent or
+ *   colored background, or SVG/PDF with the frustums, paths and labels of the current view as vector lines and a legend.
+ * - Video: a turntable around the Fit View center, a fly-through along a group's capture path or a move through saved
+ *   viewpoints, rendered frame by frame at a fixed size and frame rate into a WebM (WebCodecs) or a ZIP of PNGs.
+ * - The session (groups, settings, orbit viewpoint) is autosaved to IndexedDB and restored on reload, and can be saved
+ *   to / opened from a file; settings and viewpoint are also kept in the URL hash as a shareable link.
+ * - Perspective or orthographic view, front/side/top/isometric presets in the selected World Up, Blender-style numpad
+ *   shortcuts, F/Home to frame the selection or everything, and fly/walk navigation for inside-out captures.
+ * - Interactive: orbit, pan, zoom; tweak near/far/scale and per-group FOV/aspect overrides; toggle grid/axes/labels; Fit View.
  *
  * Notes on conventions:
- * - Assumes transform_matrix is camera-to-world (c2w) in a right-handed system with camera looking down -Z, +Y up.
- * - If your dataset differs (e.g., w2c), toggle "Invert matrices" to flip.
+ * - By default transform_matrix is camera-to-world (c2w) in a right-handed system with camera looking down -Z, +Y up.
+ * - Each group can pick its camera-axis convention (OpenGL, OpenCV/COLMAP, Blender, DirectX), c2w vs w2c and
+ *   world up; unset fields fall back to the global "Invert matrices" and "World Up" controls.
+ * - "Auto" suggests a convention by checking which choice makes the cameras look toward a common region.
  */
 
 // -------------------------- Helpers --------------------------
 
-function matrix4FromRows(rows) {
-  // rows: number[4][4] in row-major
-  const m = new THREE.Matrix4();
-  const flat = [
-    rows[0][0], rows[0][1], rows[0][2], rows[0][3],
-    rows[1][0], rows[1][1], rows[1][2], rows[1][3],
-    rows[2][0], rows[2][1], rows[2][2], rows[2][3],
-    rows[3][0], rows[3][1], rows[3][2], rows[3][3],
-  ];
-  m.set(...flat);
-  return m;
-}
-
-function computeFrustumCornersLocal(fovX, aspect, n, f) {
-  // fovX: horizontal FOV in radians
-  // returns 8 Vector3 in camera local space: N0..N3, F0..F3 (counterclockwise from bottom-left)
-  const t = Math.tan(fovX / 2);
-  const safeAspect = Math.max(1e-6, aspect);
-  const wN = n * t;
-  const hN = wN / safeAspect;
-  const wF = f * t;
-  const hF = wF / safeAspect;
-  const N0 = new THREE.Vector3(-wN, -hN, -n);
-  const N1 = new THREE.Vector3( wN, -hN, -n);
-  const N2 = new THREE.Vector3( wN,  hN, -n);
-  const N3 = new THREE.Vector3(-wN,  hN, -n);
-  const F0 = new THREE.Vector3(-wF, -hF, -f);
-  const F1 = new THREE.Vector3( wF, -hF, -f);
-  const F2 = new THREE.Vector3( wF,  hF, -f);
-  const F3 = new THREE.Vector3(-wF,  hF, -f);
-  return [N0,N1,N2,N3,F0,F1,F2,F3];
-}
-
-function buildFrustumEdges(corners) {
-  // edges as index pairs into corners array
-  const pairs = [
-    // near rectangle
-    [0,1],[1,2],[2,3],[3,0],
-    // far rectangle
-    [4,5],[5,6],[6,7],[7,4],
-    // sides
-    [0,4],[1,5],[2,6],[3,7],
-  ];
-  const positions = new Float32Array(pairs.length * 2 * 3);
-  let i = 0;
-  for (const [a,b] of pairs) {
-    positions[i++] = corners[a].x; positions[i++] = corners[a].y; positions[i++] = corners[a].z;
-    positions[i++] = corners[b].x; positions[i++] = corners[b].y; positions[i++] = corners[b].z;
-  }
-  const geom = new THREE.BufferGeometry();
-  geom.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-  return geom;
-}
+const FLAGGED_COLOR = new THREE.Color("#e11d48"); // cameras with validation problems
+const MAX_LISTED_ISSUES = 200; // per group in the Diagnostics report
 
 function applyMatrixToGeometry(geometry, matrix) {
   const g = geometry.clone();
@@ -83,6 +93,171 @@ function applyMatrixToGeometry(geometry, matrix) {
   return g;
 }
 
+function filePath(file) {
+  // Path relative to the dropped/chosen folder when known, else just the file name
+  return file.relativePath || file.webkitRelativePath || file.name;
+}
+
+async function filesFromDataTransfer(dt) {
+  // Expands dropped folders (via webkitGetAsEntry) into files tagged with their relative path
+  const entries = Array.from(dt?.items || []).map((it) => it.webkitGetAsEntry?.()).filter(Boolean);
+  if (!entries.some((e) => e.isDirectory)) return Array.from(dt?.files || []);
+  const out = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      Object.defineProperty(file, "relativePath", { value: entry.fullPath.replace(/^\//, "") });
+      out.push(file);
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns results in batches until an empty one
+      for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!batch.length) break;
+        for (const e of batch) await walk(e);
+      }
+    }
+  };
+  for (const e of entries) await walk(e);
+  return out;
+}
+
+function downloadText(text, filename, type = "text/plain") {
+  downloadBlob(new Blob([text], { type }), filename);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function rotationAngleBetween(a, b) {
+  // Angle (radians) of the relative rotation between the (normalized) 3x3 bases of two matrices
+  let trace = 0;
+  for (let i = 0; i < 3; i++) {
+    const ca = new THREE.Vector3().setFromMatrixColumn(a, i).normalize();
+    const cb = new THREE.Vector3().setFromMatrixColumn(b, i).normalize();
+    trace += ca.dot(cb);
+  }
+  return Math.acos(THREE.MathUtils.clamp((trace - 1) / 2, -1, 1));
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function minMax(values) {
+  // [min, max] in one pass; spreading into Math.min/max overflows the call stack for large groups (100k+ steps)
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return [min, max];
+}
+
+function buildTrajectory(cams, outlierFactor) {
+  // cams of one group -> capture path in time order (when every camera has a time) or frame order,
+  // with per-step distance/rotation stats; a step is an outlier when either exceeds outlierFactor x its median
+  const ordered = cams.every((c) => c.time !== undefined)
+    ? cams.slice().sort((a, b) => a.time - b.time || a.index - b.index)
+    : cams.slice().sort((a, b) => a.index - b.index);
+  const points = ordered.map((c) => new THREE.Vector3().setFromMatrixPosition(c.matrix));
+  const steps = [];
+  for (let i = 1; i < ordered.length; i++) {
+    steps.push({
+      from: ordered[i - 1],
+      to: ordered[i],
+      distance: points[i].distanceTo(points[i - 1]),
+      angle: rotationAngleBetween(ordered[i - 1].matrix, ordered[i].matrix),
+    });
+  }
+  const distances = steps.map((st) => st.distance);
+  const angles = steps.map((st) => st.angle);
+  const medDistance = median(distances);
+  const medAngle = median(angles);
+  const outliers = [];
+  steps.forEach((st, i) => {
+    const far = medDistance > 0 && st.distance > outlierFactor * medDistance;
+    const turned = medAngle > 1e-6 && st.angle > outlierFactor * medAngle;
+    if (far || turned) outliers.push(i);
+  });
+  const [minDistance, maxDistance] = minMax(distances);
+  const [minAngle, maxAngle] = minMax(angles);
+  const stats = steps.length ? {
+    length: distances.reduce((sum, d) => sum + d, 0),
+    distance: { min: minDistance, median: medDistance, max: maxDistance },
+    angle: { min: minAngle, median: medAngle, max: maxAngle },
+  } : null;
+  return { ordered, points, steps, outliers, stats, byTime: ordered[0]?.time !== undefined };
+}
+
+// Color-by attributes; numeric per-frame JSON fields are added as "field:<name>"
+const COLOR_ATTRIBUTES = {
+  group: "Group",
+  index: "Frame index",
+  time: "Time",
+  distance: "Distance from center",
+  height: "Height",
+  step: "Step size",
+};
+
+function colorAttributeLabel(attribute) {
+  return attribute.startsWith("field:") ? attribute.slice(6) : COLOR_ATTRIBUTES[attribute] ?? attribute;
+}
+
+function numericFrameFields(frames) {
+  // Names of the per-frame fields holding a finite number in some frame (time has its own attribute)
+  const names = new Set();
+  for (const f of frames) {
+    for (const [k, v] of Object.entries(f)) if (k !== "time" && typeof v === "number" && Number.isFinite(v)) names.add(k);
+  }
+  return [...names].sort();
+}
+
+function cameraAttributeValues(cams, attribute) {
+  // -> Map camera id -> value of attribute (NaN when the camera has none); positions in the viewer's Y-up world.
+  // Distance is from the centroid of cams; a camera's step is the one arriving at it along its group's path
+  // (the first camera takes the first step).
+  const values = new Map();
+  const position = (c) => new THREE.Vector3().setFromMatrixPosition(c.matrix);
+  if (attribute === "distance") {
+    const center = cams.reduce((acc, c) => acc.add(position(c)), new THREE.Vector3()).divideScalar(Math.max(1, cams.length));
+    for (const c of cams) values.set(c.id, position(c).distanceTo(center));
+  } else if (attribute === "step") {
+    const byGroup = new Map();
+    for (const c of cams) {
+      if (!byGroup.has(c.groupId)) byGroup.set(c.groupId, []);
+      byGroup.get(c.groupId).push(c);
+    }
+    for (const groupCams of byGroup.values()) {
+      const { ordered, steps } = buildTrajectory(groupCams, Infinity);
+      ordered.forEach((c, i) => values.set(c.id, steps.length ? steps[Math.max(0, i - 1)].distance : NaN));
+    }
+  } else {
+    const field = attribute.startsWith("field:") ? attribute.slice(6) : null;
+    for (const c of cams) {
+      let v = NaN;
+      if (attribute === "index") v = c.index;
+      else if (attribute === "time") v = c.time ?? NaN;
+      else if (attribute === "height") v = c.matrix.elements[13];
+      else if (field) v = typeof c.frame?.[field] === "number" ? c.frame[field] : NaN;
+      values.set(c.id, Number.isFinite(v) ? v : NaN);
+    }
+  }
+  return values;
+}
+
 function hslColor(i, n, s = 0.6, l = 0.5) {
   const hue = (i / Math.max(1, n)) * 360;
   const c = new THREE.Color();
@@ -90,52 +265,277 @@ function hslColor(i, n, s = 0.6, l = 0.5) {
   return c;
 }
 
+function withAxesPreset(convention, axes) {
+  // Convention after choosing camera axes: a preset's own world up (Blender: Z) is applied, leaving such a preset goes
+  // back to the global world up, and between other presets the world up the user chose is kept
+  const previous = CAMERA_CONVENTIONS[convention?.axes ?? "opengl"]?.worldUp;
+  const worldUp = CAMERA_CONVENTIONS[axes].worldUp ?? (previous ? null : convention?.worldUp ?? null);
+  return { ...convention, axes, worldUp };
+}
+
+function cameraInfo(cam) {
+  // Inspector details of one camera; vectors and angles are in the viewer's Y-up world
+  const m = cam.matrix;
+  const position = new THREE.Vector3().setFromMatrixPosition(m);
+  const forward = new THREE.Vector3(0, 0, -1).transformDirection(m);
+  const up = new THREE.Vector3(0, 1, 0).transformDirection(m);
+  const quaternion = new THREE.Quaternion().setFromRotationMatrix(m);
+  const euler = new THREE.Euler().setFromQuaternion(quaternion, "XYZ");
+  const { fovX, aspect, px, py } = cam.intrinsics;
+  return {
+    label: cam.label,
+    index: cam.index,
+    file_path: cam.frame?.file_path ?? null,
+    transform_matrix: cam.frame?.transform_matrix ?? null,
+    displayed_matrix: rowsFromMatrix4(m),
+    position: position.toArray(),
+    forward: forward.toArray(),
+    up: up.toArray(),
+    euler_xyz_deg: [euler.x, euler.y, euler.z].map((a) => THREE.MathUtils.radToDeg(a)),
+    quaternion_xyzw: quaternion.toArray(),
+    intrinsics: {
+      fov_x_deg: THREE.MathUtils.radToDeg(fovX),
+      fov_y_deg: THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(fovX / 2) / aspect)),
+      aspect,
+      principal_point: [px, py],
+    },
+  };
+}
+
+function clickClearsSelection(event, { pickedEvent = null, editMode = false } = {}) {
+  // Canvas onPointerMissed: a plain click on empty space deselects, but not with Shift, in edit mode, or when the
+  // GPU pick of InstancedFrustums (which r3f's raycaster does not see) already selected a camera with this click
+  return event !== pickedEvent && !event.shiftKey && !editMode;
+}
+
+function selectionStats(cams) {
+  // Centroid and spread (RMS distance to the centroid, bounding-box size) of camera centers; for exactly two
+  // cameras also their distance, the angle between viewing directions and the relative rotation angle
+  const centers = cams.map((c) => new THREE.Vector3().setFromMatrixPosition(c.matrix));
+  const centroid = centers.reduce((a, p) => a.add(p), new THREE.Vector3()).divideScalar(centers.length);
+  const rms = Math.sqrt(centers.reduce((a, p) => a + p.distanceToSquared(centroid), 0) / centers.length);
+  const size = new THREE.Box3().setFromPoints(centers).getSize(new THREE.Vector3());
+  const out = { count: cams.length, centroid: centroid.toArray(), rms_spread: rms, bbox_size: size.toArray() };
+  if (cams.length === 2) {
+    const [a, b] = cams.map((c) => new THREE.Vector3(0, 0, -1).transformDirection(c.matrix));
+    out.distance = centers[0].distanceTo(centers[1]);
+    out.view_angle_deg = THREE.MathUtils.radToDeg(a.angleTo(b));
+    out.rotation_angle_deg = THREE.MathUtils.radToDeg(rotationAngleBetween(cams[0].matrix, cams[1].matrix));
+  }
+  return out;
+}
+
+function numpyLiteral(value) {
+  // Nested number arrays -> "np.array([...])"
+  const fmt = (v) => (Array.isArray(v) ? `[${v.map(fmt).join(", ")}]` : String(+v.toPrecision(10)));
+  return `np.array(${fmt(value)})`;
+}
+
+function pointInPolygon([x, y], polygon) {
+  // Even-odd rule
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
 // -------------------------- 3D Components --------------------------
 
-function FitViewButton({ geoms }) {
-  const { camera } = useThree((s) => ({ camera: s.camera }));
+const ORBIT_FOV = 50; // vertical FOV of the perspective orbit camera, degrees
+
+function fitViewFrame(cameras, near, far, extraBounds, fovDeg = ORBIT_FOV) {
+  // Center of all frustums (and extraBounds) and the distance at which they fill a view of this vertical FOV
+  if (!cameras?.length && !extraBounds) return null;
+  const box = computeCamerasBounds(cameras, near, far);
+  if (extraBounds) box.union(extraBounds);
+  if (box.isEmpty()) return null;
+  const sizeV = box.getSize(new THREE.Vector3());
+  const maxSize = Math.max(sizeV.x, sizeV.y, sizeV.z);
+  return { center: box.getCenter(new THREE.Vector3()), dist: (maxSize / 2) / Math.tan(THREE.MathUtils.degToRad(fovDeg) / 2) };
+}
+
+function orthoZoom(distance, height) {
+  // Orthographic zoom showing as much around the orbit target as the perspective orbit camera at `distance`
+  return height / (2 * Math.max(1e-9, distance) * Math.tan(THREE.MathUtils.degToRad(ORBIT_FOV) / 2));
+}
+
+function orbitDistance(camera, target, height) {
+  // Distance to the orbit target; for the orthographic camera the perspective distance its zoom corresponds to
+  if (!camera.isOrthographicCamera) return camera.position.distanceTo(target);
+  return height / (2 * Math.max(1e-9, camera.zoom) * Math.tan(THREE.MathUtils.degToRad(ORBIT_FOV) / 2));
+}
+
+function viewDirection(camera, controls) {
+  // Unit vector from the orbit target to the camera
+  const d = controls?.target
+    ? camera.position.clone().sub(controls.target)
+    : new THREE.Vector3(0, 0, 1).applyQuaternion(camera.quaternion);
+  return d.lengthSq() > 1e-18 ? d.normalize() : new THREE.Vector3(1, 1, 1).normalize();
+}
+
+function placeOrbitCamera(camera, controls, height, { target, direction, distance }) {
+  // Puts the camera at target + direction * distance looking at target (the orthographic camera gets the equivalent
+  // zoom) with clip planes for that distance; the orthographic near plane lies behind the camera so zooming in
+  // never clips what is in front of the target
+  camera.position.copy(target).addScaledVector(direction.clone().normalize(), distance);
+  if (camera.isOrthographicCamera) camera.zoom = orthoZoom(distance, height);
+  camera.near = camera.isOrthographicCamera ? -distance * 1000 : Math.max(0.01, distance / 1500);
+  camera.far = Math.max(distance * 1000, 1);
+  camera.updateProjectionMatrix();
+  camera.lookAt(target);
+  if (controls?.target) {
+    controls.target.copy(target);
+    controls.update();
+  }
+}
+
+function frameOrbitCamera(camera, controls, height, { cameras, near, far, extraBounds = null }) {
+  // Fit View: the frustums (and extraBounds) fill the view, seen from the current direction; false if there is nothing
+  const fit = fitViewFrame(cameras, near, far, extraBounds);
+  if (!fit) return false;
+  placeOrbitCamera(camera, controls, height, { target: fit.center, direction: viewDirection(camera, controls), distance: fit.dist * 1.5 });
+  return true;
+}
+
+const VIEW_PRESETS = {
+  // Direction from the orbit target to the eye in data coordinates, for a Y-up and a Z-up world (Z-up as in Blender:
+  // the front view looks along +Y); key: numpad-style shortcut, Ctrl for the opposite side
+  front: { label: "Front", key: "1", y: [0, 0, 1], z: [0, -1, 0] },
+  back: { label: "Back", key: "Ctrl+1", y: [0, 0, -1], z: [0, 1, 0] },
+  right: { label: "Right", key: "3", y: [1, 0, 0], z: [1, 0, 0] },
+  left: { label: "Left", key: "Ctrl+3", y: [-1, 0, 0], z: [-1, 0, 0] },
+  top: { label: "Top", key: "7", y: [0, 1, 0], z: [0, 0, 1] },
+  bottom: { label: "Bottom", key: "Ctrl+7", y: [0, -1, 0], z: [0, 0, -1] },
+  iso: { label: "Isometric", key: "9", y: [1, 1, 1], z: [1, -1, 1] },
+};
+const VIEW_PRESET_KEYS = { 1: ["front", "back"], 3: ["right", "left"], 7: ["top", "bottom"], 9: ["iso", "iso"] };
+
+function presetDirection(name, worldUp) {
+  // Eye direction of a view preset in the viewer's (Y-up) world. Top/bottom are tilted a hair toward the front so
+  // OrbitControls, which keeps +Y up, still has a heading (screen up = away from the front)
+  const d = new THREE.Vector3().fromArray(VIEW_PRESETS[name][worldUp === "z" ? "z" : "y"]);
+  if (worldUp === "z") d.transformDirection(Z_TO_Y);
+  d.normalize();
+  if (Math.abs(d.y) > 0.999) d.z += 1e-3;
+  return d.normalize();
+}
+
+function FitViewButton({ cameras, near, far, extraBounds = null }) {
+  // extraBounds: optional world-space Box3 (e.g. point clouds) to include in the fit
+  const { camera, controls, size } = useThree((s) => ({ camera: s.camera, controls: s.controls, size: s.size }));
 
   const onFit = useCallback(() => {
-    if (!geoms?.length) return;
-    const box = new THREE.Box3();
-    for (const g of geoms) {
-      if (!g) continue;
-      const pos = g.getAttribute?.("position");
-      if (!pos) continue;
-      const b = new THREE.Box3().setFromBufferAttribute(pos);
-      box.union(b);
-    }
-    if (box.isEmpty()) return;
-    const center = box.getCenter(new THREE.Vector3());
-    const sizeV = box.getSize(new THREE.Vector3());
-    const maxSize = Math.max(sizeV.x, sizeV.y, sizeV.z);
-    const fov = THREE.MathUtils.degToRad(camera.fov ?? 50);
-    const dist = (maxSize / 2) / Math.tan(fov / 2);
-    const dir = new THREE.Vector3(1, 1, 1).normalize();
-    camera.position.copy(center.clone().add(dir.multiplyScalar(dist * 1.5)));
-    camera.near = Math.max(0.01, dist / 1000);
-    camera.far = dist * 1000;
-    camera.updateProjectionMatrix();
-    camera.lookAt(center);
-  }, [geoms, camera]);
+    frameOrbitCamera(camera, controls, size.height, { cameras, near, far, extraBounds });
+  }, [cameras, near, far, extraBounds, camera, controls, size]);
 
   return (
     <button
       onClick={onFit}
       className="px-3 py-1 rounded-xl bg-white/90 hover:bg-white shadow-sm text-sm font-medium border border-slate-300 text-slate-900"
-      title="Fit view to frustums"
+      title="Fit view to frustums (Home)"
     >
       Fit View
     </button>
   );
 }
 
-function FrustumLines({ id, matrix, color, fovX, aspect, near, far, label, isSelected, onSelect }) {
+function ViewToolbar({ projection, onProjection, navigation, onNavigation, onPreset }) {
+  // Projection toggle, view presets and navigation mode, next to Fit View
+  const ortho = projection === "orthographic";
+  const control = "px-2 py-1 rounded-xl bg-white/90 hover:bg-white shadow-sm text-sm font-medium border border-slate-300 text-slate-900";
+  return (
+    <>
+      <button
+        onClick={() => onProjection(ortho ? "perspective" : "orthographic")}
+        className={control}
+        title="Switch between perspective and orthographic projection (5)"
+        aria-pressed={ortho}
+      >
+        {ortho ? "Ortho" : "Persp"}
+      </button>
+      <select value="" onChange={(e) => onPreset(e.target.value)} className={control} aria-label="View preset">
+        <option value="" disabled hidden>View</option>
+        {Object.entries(VIEW_PRESETS).map(([name, p]) => (
+          <option key={name} value={name}>{p.label} ({p.key})</option>
+        ))}
+      </select>
+      <select
+        value={navigation}
+        onChange={(e) => onNavigation(e.target.value)}
+        className={control}
+        title="Navigation: orbit around the target, or fly/walk through the scene (` cycles)"
+        aria-label="Navigation"
+      >
+        <option value="orbit">Orbit</option>
+        <option value="fly">Fly</option>
+        <option value="walk">Walk</option>
+      </select>
+    </>
+  );
+}
+
+function useThumbnail(file, onError) {
+  // Texture for an image File or remote source (see images.js), loaded asynchronously (null until ready); failures go
+  // to onError(file, error). The texture's GPU copy is freed when the image changes or the plane goes away (the cached
+  // texture uploads again if it is shown later).
+  const [loaded, setLoaded] = useState({ file: null, texture: null });
+  useEffect(() => {
+    if (!file) return;
+    let alive = true;
+    let shown = null;
+    loadThumbnail(file)
+      .then((texture) => {
+        if (!alive) return;
+        shown = texture;
+        setLoaded({ file, texture });
+      })
+      .catch((e) => { if (alive) onError?.(file, e); });
+    return () => {
+      alive = false;
+      shown?.dispose();
+    };
+  }, [file, onError]);
+  return loaded.file === file ? loaded.texture : null;
+}
+
+function FrustumImage({ file, matrix, fovX, aspect, px, py, far, opacity, onError }) {
+  // Textured quad on the far rectangle, in camera local space (F0..F3 bottom-left counterclockwise)
+  const texture = useThumbnail(file, onError);
+  const geom = useMemo(() => {
+    const [, , , , F0, F1, F2, F3] = computeFrustumCornersLocal(fovX, aspect, far, far, px, py);
+    const g = new THREE.BufferGeometry();
+    g.setAttribute("position", new THREE.Float32BufferAttribute([F0, F1, F2, F3].flatMap((v) => v.toArray()), 3));
+    g.setAttribute("uv", new THREE.Float32BufferAttribute([0, 0, 1, 0, 1, 1, 0, 1], 2));
+    g.setIndex([0, 1, 2, 0, 2, 3]);
+    return g;
+  }, [fovX, aspect, px, py, far]);
+  useEffect(() => () => geom.dispose(), [geom]);
+
+  if (!texture) return null;
+  return (
+    <mesh matrix={matrix} matrixAutoUpdate={false} raycast={() => null}>
+      <primitive object={geom} attach="geometry" />
+      <meshBasicMaterial
+        map={texture}
+        transparent
+        opacity={opacity}
+        side={THREE.DoubleSide}
+        depthWrite={false}
+        toneMapped={false}
+      />
+    </mesh>
+  );
+}
+
+function FrustumLines({ id, matrix, color, fovX, aspect, px, py, near, far, label, isSelected, onSelect, opacity = 1 }) {
   // Compute local corners -> transform by matrix
   const baseGeom = useMemo(() => {
-    const corners = computeFrustumCornersLocal(fovX, aspect, near, far);
+    const corners = computeFrustumCornersLocal(fovX, aspect, near, far, px, py);
     return buildFrustumEdges(corners);
-  }, [fovX, aspect, near, far]);
+  }, [fovX, aspect, px, py, near, far]);
 
   const worldGeom = useMemo(() => applyMatrixToGeometry(baseGeom, matrix), [baseGeom, matrix]);
 
@@ -146,59 +546,708 @@ function FrustumLines({ id, matrix, color, fovX, aspect, near, far, label, isSel
   return (
     <group>
       <lineSegments
-        onClick={(e) => { e.stopPropagation(); onSelect?.(id); }}
+        onClick={(e) => { e.stopPropagation(); onSelect?.(id, e.nativeEvent?.shiftKey); }}
       >
         <primitive object={worldGeom} attach="geometry" />
-        <lineBasicMaterial attach="material" linewidth={1} color={color} />
+        <lineBasicMaterial attach="material" linewidth={1} color={color} transparent={opacity < 1} opacity={opacity} />
       </lineSegments>
       {/* Hover hotspot at the camera origin to reveal label */}
       <mesh
         position={origin.toArray()}
-        onClick={(e) => { e.stopPropagation(); onSelect?.(id); }}
+        onClick={(e) => { e.stopPropagation(); onSelect?.(id, e.nativeEvent?.shiftKey); }}
       >
         <sphereGeometry args={[hotspotRadius, 8, 8]} />
         <meshBasicMaterial transparent opacity={0} depthWrite={false} />
       </mesh>
-      {isSelected && (
-        <Billboard position={origin.toArray()}>
-          <Text
-            fontSize={0.08}
-            color="#111"
-            anchorX="center"
-            anchorY="bottom"
-            outlineWidth={0.0015}
-            outlineColor="#fff"
-            renderOrder={999}
-            material-depthTest={false}
-            material-toneMapped={false}
-          >
-            {label}
-          </Text>
-        </Billboard>
+      {isSelected && <CameraLabel position={origin} label={label} />}
+    </group>
+  );
+}
+
+function CameraLabel({ position, label }) {
+  return (
+    <Billboard position={position.toArray()}>
+      <Text
+        fontSize={0.08}
+        color="#111"
+        anchorX="center"
+        anchorY="bottom"
+        outlineWidth={0.0015}
+        outlineColor="#fff"
+        renderOrder={999}
+        material-depthTest={false}
+        material-toneMapped={false}
+      >
+        {label}
+      </Text>
+    </Billboard>
+  );
+}
+
+// -------------------------- Instanced rendering (large datasets) --------------------------
+
+const INSTANCED_THRESHOLD = 2000; // cameras; above this Scene switches to InstancedFrustums
+const MAX_NEARBY_CAMERAS = 64; // labels/images drawn in instanced mode
+const PICK_RADIUS_PX = 4; // click tolerance around thin lines
+
+const INSTANCED_VERTEX_SHADER = `
+  attribute vec4 frustumM0;
+  attribute vec4 frustumM1;
+  attribute vec4 frustumM2;
+  attribute vec4 frustumM3;
+  attribute vec4 frustumColor;
+  uniform float idOffset;
+  varying vec4 vColor;
+  varying float vId;
+  void main() {
+    mat4 m = mat4(frustumM0, frustumM1, frustumM2, frustumM3);
+    vColor = frustumColor;
+    vId = idOffset + float(gl_InstanceID) + 1.0;
+    gl_Position = projectionMatrix * viewMatrix * modelMatrix * m * vec4(position, 1.0);
+  }
+`;
+
+const INSTANCED_FRAGMENT_SHADER = `
+  varying vec4 vColor;
+  void main() {
+    gl_FragColor = vColor;
+    #include <colorspace_fragment>
+  }
+`;
+
+const PICKING_FRAGMENT_SHADER = `
+  varying float vId;
+  void main() {
+    // 24-bit id in RGB; 0 = background
+    float id = floor(vId + 0.5);
+    gl_FragColor = vec4(mod(id, 256.0), mod(floor(id / 256.0), 256.0), floor(id / 65536.0), 255.0) / 255.0;
+  }
+`;
+
+function buildInstancedBatches(cameras, near, far) {
+  // One InstancedBufferGeometry per group: the canonical frustum edges, with per-instance matrix
+  // (c2w * frustumShapeMatrix) and RGBA color; ids are global across batches (offset + instance index)
+  const base = buildFrustumEdges(canonicalFrustumCorners(near, far));
+  const byGroup = new Map();
+  for (const c of cameras) {
+    if (!byGroup.has(c.groupId)) byGroup.set(c.groupId, []);
+    byGroup.get(c.groupId).push(c);
+  }
+  let offset = 0;
+  const m = new THREE.Matrix4();
+  const color = new THREE.Color();
+  return [...byGroup].map(([groupId, cams]) => {
+    const matrices = new Float32Array(cams.length * 16);
+    const colors = new Float32Array(cams.length * 4);
+    cams.forEach((c, i) => {
+      m.multiplyMatrices(c.matrix, frustumShapeMatrix(c.intrinsics)).toArray(matrices, i * 16);
+      color.set(c.color ?? "#888");
+      colors.set([color.r, color.g, color.b, c.opacity ?? 1], i * 4);
+    });
+    const geom = new THREE.InstancedBufferGeometry();
+    geom.setAttribute("position", base.getAttribute("position"));
+    const buf = new THREE.InstancedInterleavedBuffer(matrices, 16);
+    for (let k = 0; k < 4; k++) geom.setAttribute(`frustumM${k}`, new THREE.InterleavedBufferAttribute(buf, 4, k * 4));
+    geom.setAttribute("frustumColor", new THREE.InstancedBufferAttribute(colors, 4));
+    geom.instanceCount = cams.length;
+    const batch = { groupId, cams, geom, offset };
+    offset += cams.length;
+    return batch;
+  });
+}
+
+function InstancedFrustums({ cameras, near, far, onSelect }) {
+  // Draws all frustums with one instanced LineSegments per group and picks by rendering instance ids
+  // into a small render target around the cursor (GPU picking), so cost does not grow with scene objects.
+  // onSelect(id, additive, event) gets the click event, as r3f still reports that click as missed (see clickClearsSelection)
+  const { gl, camera } = useThree((s) => ({ gl: s.gl, camera: s.camera }));
+  const batches = useMemo(() => buildInstancedBatches(cameras, near, far), [cameras, near, far]);
+
+  const objects = useMemo(() => batches.map((b) => {
+    const material = new THREE.ShaderMaterial({
+      vertexShader: INSTANCED_VERTEX_SHADER,
+      fragmentShader: INSTANCED_FRAGMENT_SHADER,
+      uniforms: { idOffset: { value: b.offset } },
+      transparent: true,
+    });
+    const lines = new THREE.LineSegments(b.geom, material);
+    lines.frustumCulled = false; // bounds of the base geometry say nothing about the instances
+    lines.raycast = () => {};
+    return lines;
+  }), [batches]);
+
+  const picking = useMemo(() => {
+    const scene = new THREE.Scene();
+    for (const b of batches) {
+      const material = new THREE.ShaderMaterial({
+        vertexShader: INSTANCED_VERTEX_SHADER,
+        fragmentShader: PICKING_FRAGMENT_SHADER,
+        uniforms: { idOffset: { value: b.offset } },
+      });
+      const lines = new THREE.LineSegments(b.geom, material);
+      lines.frustumCulled = false;
+      scene.add(lines);
+    }
+    const size = PICK_RADIUS_PX * 2 + 1;
+    return { scene, target: new THREE.WebGLRenderTarget(size, size), size };
+  }, [batches]);
+
+  useEffect(() => () => {
+    for (const o of objects) o.material.dispose();
+    for (const b of batches) b.geom.dispose();
+    picking.scene.traverse((o) => o.material?.dispose());
+    picking.target.dispose();
+  }, [objects, batches, picking]);
+
+  // Click (not drag) on the canvas -> pick the instance closest to the cursor
+  useEffect(() => {
+    const el = gl.domElement;
+    let down = null;
+    const onDown = (e) => { down = [e.clientX, e.clientY]; };
+    const onClick = (e) => {
+      if (!down || Math.hypot(e.clientX - down[0], e.clientY - down[1]) > 4) return;
+      const rect = el.getBoundingClientRect();
+      const dpr = gl.getPixelRatio();
+      const full = gl.getDrawingBufferSize(new THREE.Vector2());
+      const { size, target, scene } = picking;
+      const x = Math.round((e.clientX - rect.left) * dpr) - PICK_RADIUS_PX;
+      const y = Math.round((e.clientY - rect.top) * dpr) - PICK_RADIUS_PX;
+      const prevTarget = gl.getRenderTarget();
+      const prevClearColor = gl.getClearColor(new THREE.Color());
+      const prevClearAlpha = gl.getClearAlpha();
+      const pixels = new Uint8Array(size * size * 4);
+      try {
+        camera.setViewOffset(full.x, full.y, x, y, size, size);
+        gl.setRenderTarget(target);
+        gl.setClearColor(0x000000, 0);
+        gl.clear();
+        gl.render(scene, camera);
+        gl.readRenderTargetPixels(target, 0, 0, size, size, pixels);
+      } finally {
+        camera.clearViewOffset();
+        gl.setRenderTarget(prevTarget);
+        gl.setClearColor(prevClearColor, prevClearAlpha);
+      }
+      let best = 0;
+      let bestDist = Infinity;
+      for (let i = 0; i < size * size; i++) {
+        const id = pixels[i * 4] + pixels[i * 4 + 1] * 256 + pixels[i * 4 + 2] * 65536;
+        if (!id) continue;
+        const d = Math.hypot((i % size) - PICK_RADIUS_PX, Math.floor(i / size) - PICK_RADIUS_PX);
+        if (d < bestDist) { bestDist = d; best = id; }
+      }
+      if (!best) return;
+      const batch = batches.find((b) => best - 1 >= b.offset && best - 1 < b.offset + b.cams.length);
+      if (batch) onSelect?.(batch.cams[best - 1 - batch.offset].id, e.shiftKey, e);
+    };
+    el.addEventListener("pointerdown", onDown);
+    el.addEventListener("click", onClick);
+    return () => {
+      el.removeEventListener("pointerdown", onDown);
+      el.removeEventListener("click", onClick);
+    };
+  }, [gl, camera, picking, batches, onSelect]);
+
+  return (
+    <>
+      {objects.map((o, i) => <primitive key={i} object={o} />)}
+    </>
+  );
+}
+
+function useNearbyCameras(cameras, enabled, max = MAX_NEARBY_CAMERAS) {
+  // Up to `max` cameras in the view frustum closest to the viewer; refreshed a few times per second while
+  // the view moves. Used to cull labels and images in instanced mode.
+  const { camera } = useThree((s) => ({ camera: s.camera }));
+  const [nearby, setNearby] = useState([]);
+  const last = useRef({ time: 0, key: "", cameras: null });
+
+  useFrame(({ clock }) => {
+    if (!enabled) return;
+    const viewKey = camera.matrixWorld.elements.join(",") + camera.projectionMatrix.elements.join(",");
+    const t = clock.elapsedTime;
+    if (last.current.cameras === cameras && (viewKey === last.current.key || t - last.current.time < 0.2)) return;
+    last.current = { time: t, key: viewKey, cameras };
+    const frustum = new THREE.Frustum().setFromProjectionMatrix(
+      new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    );
+    const best = []; // [dist, camera] sorted ascending, length <= max
+    const p = new THREE.Vector3();
+    for (const c of cameras) {
+      p.setFromMatrixPosition(c.matrix);
+      if (!frustum.containsPoint(p)) continue;
+      const d = p.distanceToSquared(camera.position);
+      if (best.length === max && d >= best[best.length - 1][0]) continue;
+      let i = best.length;
+      while (i > 0 && best[i - 1][0] > d) i--;
+      best.splice(i, 0, [d, c]);
+      if (best.length > max) best.pop();
+    }
+    const next = best.map(([, c]) => c);
+    setNearby((prev) => (prev.length === next.length && prev.every((c, i) => c === next[i]) ? prev : next));
+  });
+
+  return enabled ? nearby : [];
+}
+
+function PathLine({ points, color, opacity = 1 }) {
+  // Polyline through world-space points (e.g. timeline trails)
+  const geom = useMemo(() => new THREE.BufferGeometry().setFromPoints(points), [points]);
+  useEffect(() => () => geom.dispose(), [geom]);
+  const line = useMemo(() => new THREE.Line(geom), [geom]);
+  return (
+    <primitive object={line} raycast={() => null}>
+      <lineBasicMaterial attach="material" color={color} transparent={opacity < 1} opacity={opacity} />
+    </primitive>
+  );
+}
+
+function TrajectoryPath({ trajectory, color }) {
+  // Capture path: polyline in group color, outlier steps in red, cone arrows at each step's midpoint
+  const { points, steps, outliers } = trajectory;
+  const outlierGeom = useMemo(() => {
+    const positions = outliers.flatMap((i) => [...points[i].toArray(), ...points[i + 1].toArray()]);
+    return new THREE.BufferGeometry().setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  }, [points, outliers]);
+  useEffect(() => () => outlierGeom.dispose(), [outlierGeom]);
+
+  const arrows = useMemo(() => {
+    const size = median(steps.map((st) => st.distance)) * 0.15;
+    if (!(size > 0)) return null;
+    const geom = new THREE.ConeGeometry(size * 0.35, size, 8);
+    const mesh = new THREE.InstancedMesh(geom, new THREE.MeshBasicMaterial({ color }), steps.length);
+    const up = new THREE.Vector3(0, 1, 0);
+    const m = new THREE.Matrix4();
+    const q = new THREE.Quaternion();
+    const scale = new THREE.Vector3(1, 1, 1);
+    for (let i = 0; i < steps.length; i++) {
+      const dir = points[i + 1].clone().sub(points[i]);
+      const mid = points[i].clone().add(dir.clone().multiplyScalar(0.5));
+      q.setFromUnitVectors(up, dir.lengthSq() > 0 ? dir.normalize() : up);
+      mesh.setMatrixAt(i, m.compose(mid, q, scale));
+    }
+    mesh.raycast = () => null;
+    return mesh;
+  }, [points, steps, color]);
+  useEffect(() => () => {
+    arrows?.geometry.dispose();
+    arrows?.material.dispose();
+  }, [arrows]);
+
+  return (
+    <group>
+      <PathLine points={points} color={color} />
+      {outliers.length > 0 && (
+        <lineSegments raycast={() => null} renderOrder={1}>
+          <primitive object={outlierGeom} attach="geometry" />
+          <lineBasicMaterial attach="material" color="#e11d48" depthTest={false} />
+        </lineSegments>
       )}
+      {arrows && <primitive object={arrows} />}
+    </group>
+  );
+}
+
+function ColoredSegments({ segments }) {
+  // Line segments with per-vertex colors: comparison error lines, co-visibility edges
+  const geom = useMemo(() => {
+    const g = new THREE.BufferGeometry();
+    g.setAttribute("position", new THREE.BufferAttribute(segments.positions, 3));
+    g.setAttribute("color", new THREE.BufferAttribute(segments.colors, 3));
+    return g;
+  }, [segments]);
+  useEffect(() => () => geom.dispose(), [geom]);
+  return (
+    <lineSegments raycast={() => null} renderOrder={1}>
+      <primitive object={geom} attach="geometry" />
+      <lineBasicMaterial attach="material" vertexColors depthTest={false} />
+    </lineSegments>
+  );
+}
+
+function errorColor(t) {
+  // 0 -> green, 1 -> red
+  return new THREE.Color().setHSL((1 - Math.min(1, Math.max(0, t))) / 3, 0.8, 0.45);
+}
+
+const LOOK_TRANSITION_SECONDS = 0.5;
+
+function lookThroughPose(cam, viewAspect) {
+  // View pose + tangent extents [left, right, bottom, top] (at unit depth) that show exactly what `cam` sees,
+  // letterboxed to the viewport aspect. Orientation is rebuilt from the forward/up axes so flipped conventions
+  // (e.g. DirectX, det < 0) still look the right way.
+  const z = new THREE.Vector3().setFromMatrixColumn(cam.matrix, 2).normalize();
+  const y = new THREE.Vector3().setFromMatrixColumn(cam.matrix, 1);
+  y.sub(z.clone().multiplyScalar(y.dot(z))).normalize();
+  const x = new THREE.Vector3().crossVectors(y, z);
+  const quaternion = new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+  const { fovX, aspect, px, py } = cam.intrinsics;
+  const tw = 2 * Math.tan(fovX / 2);
+  const th = tw / Math.max(1e-6, aspect);
+  let [l, r, b, t] = [-tw * px, tw * (1 - px), -th * (1 - py), th * py];
+  if (viewAspect > tw / th) {
+    const pad = (th * viewAspect - tw) / 2;
+    l -= pad; r += pad;
+  } else {
+    const pad = (tw / viewAspect - th) / 2;
+    b -= pad; t += pad;
+  }
+  return { position: new THREE.Vector3().setFromMatrixPosition(cam.matrix), quaternion, extents: [l, r, b, t] };
+}
+
+function orbitExtents(fovDeg, viewAspect) {
+  const t = Math.tan(THREE.MathUtils.degToRad(fovDeg) / 2);
+  return [-t * viewAspect, t * viewAspect, -t, t];
+}
+
+function LookThroughController({ target }) {
+  // Drives the default camera through a selected camera's pose and intrinsics, with smooth transitions between
+  // cameras and back to the saved orbit pose; OrbitControls are disabled while looking through.
+  const { camera, controls, size } = useThree((s) => ({ camera: s.camera, controls: s.controls, size: s.size }));
+  const state = useRef({ mode: "orbit", saved: null, anim: null, target: null, extents: null });
+
+  useFrame(({ clock }) => {
+    // Looking through is perspective only: wait for ProjectionSwitch to hand over the perspective camera and its controls
+    if (camera.isOrthographicCamera || (controls && controls.object !== camera)) return;
+    const st = state.current;
+    const now = clock.elapsedTime;
+    const viewAspect = size.width / Math.max(1, size.height);
+    const current = () => ({
+      position: camera.position.clone(),
+      quaternion: camera.quaternion.clone(),
+      extents: st.extents ?? orbitExtents(camera.fov ?? ORBIT_FOV, viewAspect),
+    });
+
+    if (target && target !== st.target) {
+      if (st.mode === "orbit") {
+        st.saved = {
+          position: camera.position.clone(),
+          quaternion: camera.quaternion.clone(),
+          fov: camera.fov ?? ORBIT_FOV,
+          target: controls?.target?.clone(),
+        };
+        if (controls) controls.enabled = false;
+        camera.manual = true;
+      }
+      st.anim = { from: current(), start: now };
+      st.mode = "look";
+      st.target = target;
+    } else if (!target && st.mode === "look") {
+      st.anim = { from: current(), start: now };
+      st.mode = "returning";
+      st.target = null;
+    }
+    if (st.mode === "orbit") return;
+
+    const to = st.mode === "look"
+      ? lookThroughPose(st.target, viewAspect)
+      : { ...st.saved, extents: orbitExtents(st.saved.fov, viewAspect) };
+    const k = st.anim ? THREE.MathUtils.smoothstep(Math.min(1, (now - st.anim.start) / LOOK_TRANSITION_SECONDS), 0, 1) : 1;
+    const from = st.anim?.from ?? to;
+    camera.position.lerpVectors(from.position, to.position, k);
+    camera.quaternion.slerpQuaternions(from.quaternion, to.quaternion, k);
+    st.extents = from.extents.map((v, i) => v + (to.extents[i] - v) * k);
+    camera.updateMatrixWorld();
+    const n = camera.near;
+    const [l, r, b, t] = st.extents;
+    camera.projectionMatrix.makePerspective(l * n, r * n, t * n, b * n, n, camera.far);
+    camera.projectionMatrixInverse.copy(camera.projectionMatrix).invert();
+    if (k >= 1) st.anim = null;
+
+    if (st.mode === "returning" && k >= 1) {
+      // Back in orbit: hand the camera back to R3F (resize handling) and OrbitControls
+      st.mode = "orbit";
+      st.extents = null;
+      camera.manual = false;
+      camera.aspect = viewAspect;
+      camera.updateProjectionMatrix();
+      if (controls) {
+        if (st.saved.target) controls.target.copy(st.saved.target);
+        controls.enabled = true;
+        controls.update();
+      }
+    }
+  });
+
+  return null;
+}
+
+const FLY_KEYS = {
+  // Movement per key in camera space: x right, y world up, z backward
+  KeyW: [0, 0, -1], ArrowUp: [0, 0, -1], KeyS: [0, 0, 1], ArrowDown: [0, 0, 1],
+  KeyA: [-1, 0, 0], ArrowLeft: [-1, 0, 0], KeyD: [1, 0, 0], ArrowRight: [1, 0, 0],
+  KeyQ: [0, -1, 0], KeyE: [0, 1, 0],
+};
+const FLY_SPEED = 0.25; // Fit View distances per second
+const FLY_LOOK_SPEED = 0.004; // radians per dragged pixel
+
+function FlyControls({ mode, cameras, near, far, extraBounds }) {
+  // First-person navigation for inside-out captures, where orbiting the centroid is useless: WASD/arrows move along
+  // the view, Q/E down/up, Shift 4x faster, drag to look around, wheel scales the speed. Walk moves on the
+  // horizontal plane only (no Q/E). OrbitControls are disabled meanwhile; on exit the orbit target is put in front of the camera.
+  const { camera, controls, gl } = useThree((s) => ({ camera: s.camera, controls: s.controls, gl: s.gl }));
+  const [speed] = useState(() => Math.max(1e-3, (fitViewFrame(cameras, near, far, extraBounds)?.dist ?? 4) * FLY_SPEED));
+  const input = useRef({ keys: new Set(), fast: false, scale: 1 });
+
+  useEffect(() => {
+    const el = gl.domElement;
+    const inp = input.current;
+    const euler = new THREE.Euler(0, 0, 0, "YXZ");
+    let drag = null;
+    const onKeyDown = (e) => {
+      inp.fast = e.shiftKey;
+      if (!FLY_KEYS[e.code] || e.ctrlKey || e.metaKey || e.altKey || e.target?.closest?.("input, select, textarea")) return;
+      inp.keys.add(e.code);
+      e.preventDefault();
+    };
+    const onKeyUp = (e) => {
+      inp.fast = e.shiftKey;
+      inp.keys.delete(e.code);
+    };
+    const onBlur = () => inp.keys.clear();
+    const onPointerDown = (e) => {
+      if (e.button === 0) drag = [e.clientX, e.clientY];
+    };
+    const onPointerMove = (e) => {
+      if (!drag) return;
+      // Yaw around world up and clamped pitch, no roll
+      euler.setFromQuaternion(camera.quaternion);
+      euler.y -= (e.clientX - drag[0]) * FLY_LOOK_SPEED;
+      euler.x = THREE.MathUtils.clamp(euler.x - (e.clientY - drag[1]) * FLY_LOOK_SPEED, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+      euler.z = 0;
+      camera.quaternion.setFromEuler(euler);
+      drag = [e.clientX, e.clientY];
+    };
+    const onPointerUp = () => {
+      drag = null;
+    };
+    const onWheel = (e) => {
+      e.preventDefault();
+      inp.scale = THREE.MathUtils.clamp(inp.scale * Math.exp(-e.deltaY * 0.002), 0.01, 100);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", onBlur);
+    el.addEventListener("pointerdown", onPointerDown);
+    window.addEventListener("pointermove", onPointerMove);
+    window.addEventListener("pointerup", onPointerUp);
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", onBlur);
+      el.removeEventListener("pointerdown", onPointerDown);
+      window.removeEventListener("pointermove", onPointerMove);
+      window.removeEventListener("pointerup", onPointerUp);
+      el.removeEventListener("wheel", onWheel);
+      inp.keys.clear();
+      if (controls?.target) {
+        // Orbit around a point ahead, at the depth of the old target (or one second of flight)
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+        const depth = controls.target.clone().sub(camera.position).dot(forward);
+        controls.target.copy(camera.position).addScaledVector(forward, depth > 1e-6 ? depth : speed);
+        controls.enabled = true;
+        controls.update();
+      }
+    };
+  }, [camera, controls, gl, speed]);
+
+  useFrame((_, delta) => {
+    if (controls) controls.enabled = false;
+    const inp = input.current;
+    const move = new THREE.Vector3();
+    for (const code of inp.keys) move.add(new THREE.Vector3().fromArray(FLY_KEYS[code]));
+    const walk = mode === "walk";
+    if (walk) move.y = 0;
+    if (move.lengthSq() === 0) return;
+    move.normalize().multiplyScalar(speed * inp.scale * (inp.fast ? 4 : 1) * Math.min(delta, 0.1));
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+    if (walk) right.setY(0).normalize();
+    const forward = walk
+      ? new THREE.Vector3(0, 1, 0).cross(right).normalize()
+      : new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+    camera.position.addScaledVector(right, move.x).addScaledVector(forward, -move.z);
+    camera.position.y += move.y;
+  });
+
+  return null;
+}
+
+function ProjectionSwitch({ projection }) {
+  // Replaces the default camera when the projection changes, keeping the view: the orthographic zoom shows as much
+  // around the orbit target as the perspective camera did from its distance, and back. drei recreates OrbitControls
+  // for the new camera, so the orbit target is restored once they belong to it.
+  const { camera, controls, size, set } = useThree((s) => ({ camera: s.camera, controls: s.controls, size: s.size, set: s.set }));
+  const pendingTarget = useRef(null);
+
+  useEffect(() => {
+    const ortho = projection === "orthographic";
+    if (Boolean(camera.isOrthographicCamera) === ortho) return;
+    const target = controls?.target?.clone() ?? new THREE.Vector3();
+    const next = ortho
+      ? new THREE.OrthographicCamera(-size.width / 2, size.width / 2, size.height / 2, -size.height / 2)
+      : new THREE.PerspectiveCamera(ORBIT_FOV, size.width / Math.max(1, size.height));
+    next.up.copy(camera.up);
+    placeOrbitCamera(next, null, size.height, {
+      target,
+      direction: viewDirection(camera, controls),
+      distance: orbitDistance(camera, target, size.height),
+    });
+    pendingTarget.current = target;
+    set({ camera: next });
+  }, [projection, camera, controls, size, set]);
+
+  useEffect(() => {
+    if (!pendingTarget.current || controls?.object !== camera) return;
+    controls.target.copy(pendingTarget.current);
+    controls.update();
+    pendingTarget.current = null;
+  }, [camera, controls]);
+
+  return null;
+}
+
+// -------------------------- Point clouds --------------------------
+
+function srgbToLinear(c) {
+  // PLY/COLMAP colors are sRGB; vertex colors are expected in the linear working space
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function PointCloud({ cloud, matrix, color, size = 2, stride = 1 }) {
+  // Every stride-th point of a readPointCloud() result, drawn with a constant on-screen size
+  const geometry = useMemo(() => {
+    const n = Math.ceil(cloud.count / stride);
+    const positions = new Float32Array(n * 3);
+    const colors = cloud.colors ? new Float32Array(n * 3) : null;
+    for (let i = 0, j = 0; j < n; i += stride, j++) {
+      for (let k = 0; k < 3; k++) {
+        positions[j * 3 + k] = cloud.positions[i * 3 + k];
+        if (colors) colors[j * 3 + k] = srgbToLinear(cloud.colors[i * 3 + k]);
+      }
+    }
+    const g = new THREE.BufferGeometry();
+    g.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    if (colors) g.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    g.boundingBox = cloud.bounds.clone();
+    g.computeBoundingSphere();
+    return g;
+  }, [cloud, stride]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <points geometry={geometry} matrix={matrix} matrixAutoUpdate={false} raycast={() => null}>
+      <pointsMaterial size={size} sizeAttenuation={false} vertexColors={!!cloud.colors} color={cloud.colors ? "#ffffff" : color} />
+    </points>
+  );
+}
+
+// -------------------------- Meshes --------------------------
+
+function meshTransform({ position, rotation, scale }) {
+  // Per-mesh placement in data coordinates: translate * rotate (XYZ Euler, degrees) * uniform scale
+  const euler = new THREE.Euler(...rotation.map((d) => THREE.MathUtils.degToRad(d)), "XYZ");
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(...position),
+    new THREE.Quaternion().setFromEuler(euler),
+    new THREE.Vector3(scale, scale, scale)
+  );
+}
+
+function MeshOverlay({ mesh }) {
+  // Hidden meshes stay mounted (visible=false) so their object is not re-attached on every toggle
+  useEffect(() => {
+    setMeshAppearance(mesh.object, { opacity: mesh.opacity, wireframe: mesh.wireframe });
+  }, [mesh.object, mesh.opacity, mesh.wireframe]);
+
+  return (
+    <group matrix={mesh.matrix} matrixAutoUpdate={false} visible={mesh.visible}>
+      <primitive object={mesh.object} dispose={null} />
     </group>
   );
 }
 
-function Scene({ cameras = [], controls = {}, selectedId, setSelectedId }) {
+// -------------------------- Pose editing --------------------------
+
+function PoseGizmo({ pivot, mode, onPreview, onCommit }) {
+  // Transform gizmo on a helper object at `pivot`; reports the viewer-world similarity since the drag started
+  // (uniform scale) while dragging and once on release. The helper resets when the pivot moves.
+  const object = useMemo(() => new THREE.Object3D(), []);
+  useEffect(() => {
+    object.position.copy(pivot);
+    object.quaternion.identity();
+    object.scale.set(1, 1, 1);
+    object.updateMatrixWorld();
+  }, [object, pivot]);
+
+  const delta = () => {
+    if (mode === "scale") {
+      // Uniform: the axis dragged furthest from 1 wins
+      const s = object.scale.toArray().reduce((a, b) => (Math.abs(Math.log(b)) > Math.abs(Math.log(a)) ? b : a), 1);
+      object.scale.setScalar(Math.max(1e-3, s));
+    }
+    object.updateMatrix();
+    return object.matrix.clone().multiply(new THREE.Matrix4().makeTranslation(-pivot.x, -pivot.y, -pivot.z));
+  };
+
+  return (
+    <>
+      <primitive object={object} />
+      <TransformControls
+        object={object}
+        mode={mode}
+        onObjectChange={() => onPreview(delta())}
+        onMouseUp={() => {
+          const d = delta();
+          object.position.copy(pivot);
+          object.quaternion.identity();
+          object.scale.set(1, 1, 1);
+          onCommit(d);
+        }}
+      />
+    </>
+  );
+}
+
+function editedGroupData(data, indices, delta, { convention, report, badFramePolicy, world }) {
+  // Applies the viewer-world similarity `delta` to frames (indices: Set, or null for all) and writes them back as
+  // transform_matrix rows in the group's convention. world: similarity from the group's displayed poses to what
+  // is shown (normalization, comparison alignment), so edits made on the shown cameras land in the loaded poses.
+  const d = world.clone().invert().multiply(delta).multiply(world);
+  const s = new THREE.Vector3().setFromMatrixScale(d).x;
+  const unscale = new THREE.Matrix4().makeScale(1 / s, 1 / s, 1 / s);
+  const frames = data.frames.map((f, idx) => {
+    if (indices && !indices.has(idx)) return f;
+    const resolved = resolveFrameTransform(f.transform_matrix, report?.byIndex.get(idx), badFramePolicy);
+    if (!resolved) return f;
+    const m = d.clone().multiply(displayMatrix(resolved.rows, convention)).multiply(unscale);
+    return { ...f, transform_matrix: exportMatrix(m, convention) };
+  });
+  return { ...data, frames };
+}
+
+function Scene({ cameras = [], paths = [], trajectories = [], pointClouds = [], meshes = [], segments = [], fitBounds = null, controls = {}, selectedIds = [], onSelect, lookCamera = null, gizmo = null, projection = "perspective", navigation = "orbit", toolbar = null, onImageError }) {
   const {
-    fovX = THREE.MathUtils.degToRad(60),
-    aspect = 1.5,
     near = 0.1,
     far = 2.0,
     showGrid = true,
     showAxes = true,
     showLabels = true,
+    showImages = true,
+    imageOpacity = 0.8,
+    pointSize = 2,
+    pointStride = 1,
   } = controls || {};
 
-  const geomsRef = useRef([]);
-
-  // Build line geometries once for FitView
-  const geoms = useMemo(() => {
-    const base = buildFrustumEdges(computeFrustumCornersLocal(fovX, aspect, near, far));
-    return (cameras || []).map((c) => applyMatrixToGeometry(base, c.matrix));
-  }, [cameras, fovX, aspect, near, far]);
-  geomsRef.current = geoms;
+  // Large datasets: one instanced draw per group, GPU picking, labels/images only for nearby cameras
+  const instanced = cameras.length > INSTANCED_THRESHOLD;
+  const nearby = useNearbyCameras(cameras, instanced && (showLabels || showImages));
+  const selection = useMemo(() => new Set(selectedIds), [selectedIds]);
+  const selectedLabeled = useMemo(
+    () => (instanced && selection.size ? cameras.filter((c) => selection.has(c.id)).slice(0, MAX_NEARBY_CAMERAS) : []),
+    [instanced, cameras, selection]
+  );
+  const imageCameras = instanced ? nearby : cameras;
 
   return (
     <>
@@ -212,140 +1261,358 @@ function Scene({ cameras = [], controls = {}, selectedId, setSelectedId }) {
         </GizmoHelper>
       )}
 
-      {(cameras || []).map((c, i) => (
+      {instanced ? (
+        <>
+          <InstancedFrustums cameras={cameras} near={near} far={far} onSelect={onSelect} />
+          {showLabels && nearby.map((c) => (
+            <CameraLabel key={c.id} position={new THREE.Vector3().setFromMatrixPosition(c.matrix)} label={c.label} />
+          ))}
+          {selectedLabeled.filter((c) => !(showLabels && nearby.includes(c))).map((c) => (
+            <CameraLabel key={`sel_${c.id}`} position={new THREE.Vector3().setFromMatrixPosition(c.matrix)} label={c.label} />
+          ))}
+        </>
+      ) : cameras.map((c, i) => (
         <FrustumLines
           key={i}
           id={c.id}
           matrix={c.matrix}
           color={c.color ?? hslColor(i, cameras.length)}
-          fovX={fovX}
-          aspect={aspect}
+          fovX={c.intrinsics.fovX}
+          aspect={c.intrinsics.aspect}
+          px={c.intrinsics.px}
+          py={c.intrinsics.py}
           near={near}
           far={far}
           label={c.label}
-          isSelected={selectedId === c.id || showLabels}
-          onSelect={setSelectedId}
+          isSelected={selection.has(c.id) || showLabels}
+          onSelect={onSelect}
+          opacity={c.opacity}
+        />
+      ))}
+
+      {paths.map((p) => (
+        <PathLine key={p.id} points={p.points} color={p.color} opacity={p.opacity} />
+      ))}
+
+      {trajectories.map((t) => (
+        <TrajectoryPath key={t.groupId} trajectory={t} color={t.color} />
+      ))}
+
+      {meshes.map((m) => (
+        <MeshOverlay key={m.id} mesh={m} />
+      ))}
+
+      {segments.map((s, i) => <ColoredSegments key={i} segments={s} />)}
+
+      {pointClouds.map((pc) => (
+        <PointCloud key={pc.id} cloud={pc.cloud} matrix={pc.matrix} color={pc.color} size={pointSize} stride={pointStride} />
+      ))}
+
+      {showImages && imageCameras.map((c) => c.imageFile && (
+        <FrustumImage
+          key={`img_${c.id}`}
+          file={c.imageFile}
+          matrix={c.matrix}
+          fovX={c.intrinsics.fovX}
+          aspect={c.intrinsics.aspect}
+          px={c.intrinsics.px}
+          py={c.intrinsics.py}
+          far={far}
+          opacity={imageOpacity * (c.opacity ?? 1)}
+          onError={onImageError}
         />
       ))}
 
+      {gizmo && !lookCamera && <PoseGizmo {...gizmo} />}
+
       <OrbitControls makeDefault />
+      <ProjectionSwitch projection={projection} />
+      <LookThroughController target={lookCamera} />
+      {navigation !== "orbit" && !lookCamera && (
+        <FlyControls mode={navigation} cameras={cameras} near={near} far={far} extraBounds={fitBounds} />
+      )}
       <Html position={[0,0,0]} prepend>
         <div className="absolute left-4 top-4 flex items-center gap-2">
-          <FitViewButton geoms={geomsRef.current} />
+          {!lookCamera && <FitViewButton cameras={cameras} near={near} far={far} extraBounds={fitBounds} />}
+          {!lookCamera && toolbar}
         </div>
       </Html>
     </>
   );
 }
 
-function CaptureRegistrar({ setSavePngFn }) {
-  // Registers a capture function that renders with black background and 4:3 aspect
-  const { gl, scene, camera } = useThree((s) => ({ gl: s.gl, scene: s.scene, camera: s.camera }));
-
+function ProjectionRegistrar({ setProjectFn }) {
+  // Registers a function projecting world points to canvas pixels (null when behind the camera or clipped)
+  const { camera, size } = useThree((s) => ({ camera: s.camera, size: s.size }));
   useEffect(() => {
-    if (!gl || !scene || !camera || !setSavePngFn) return;
+    const project = (points) => points.map((p) => {
+      const v = p.clone().project(camera);
+      if (!(v.z > -1 && v.z < 1)) return null;
+      return [((v.x + 1) / 2) * size.width, ((1 - v.y) / 2) * size.height];
+    });
+    setProjectFn(() => project);
+    return () => setProjectFn(null);
+  }, [camera, size, setProjectFn]);
+  return null;
+}
 
-    const save = () => {
+function ViewRegistrar({ setViewApi }) {
+  // Registers get/set/subscribe for the orbit viewpoint (camera position and OrbitControls target), and orient/frame/
+  // focus for view presets and shortcuts. Views are stored as perspective positions: with the orthographic camera
+  // the position is at the distance its zoom corresponds to, so sessions and links work in both projections.
+  const { camera, controls, get } = useThree((s) => ({ camera: s.camera, controls: s.controls, get: s.get }));
+  useEffect(() => {
+    if (!controls?.target || controls.object !== camera) return;
+    const height = () => get().size.height; // read when used, so resizing does not re-register the API
+    const place = (pose) => placeOrbitCamera(camera, controls, height(), pose);
+    const current = () => ({
+      target: controls.target.clone(),
+      direction: viewDirection(camera, controls),
+      distance: orbitDistance(camera, controls.target, height()),
+    });
+    const api = {
+      get: () => {
+        const { target, direction, distance } = current();
+        return { position: target.clone().addScaledVector(direction, distance).toArray(), target: target.toArray() };
+      },
+      set: (view) => {
+        const target = new THREE.Vector3().fromArray(view.target);
+        const offset = new THREE.Vector3().fromArray(view.position).sub(target);
+        place({ target, direction: offset, distance: offset.length() });
+      },
+      // direction: from the target to the eye (viewer world); keeps the target and distance
+      orient: (direction) => place({ ...current(), direction }),
+      // Fit View on these cameras (and extraBounds) from the current direction; false if there is nothing to frame
+      frame: (cams, near, far, extraBounds = null) => frameOrbitCamera(camera, controls, height(), { cameras: cams, near, far, extraBounds }),
+      // Orbit around `point` (THREE.Vector3) from the current direction and distance
+      focus: (point) => place({ ...current(), target: point.clone() }),
+      subscribe: (fn) => {
+        controls.addEventListener("change", fn);
+        return () => controls.removeEventListener("change", fn);
+      },
+    };
+    setViewApi(api);
+    return () => setViewApi(null);
+  }, [camera, controls, get, setViewApi]);
+  return null;
+}
+
+function orthoSides(camera, aspect) {
+  // [left, right] of an orthographic camera showing the same height at another aspect
+  const half = ((camera.top - camera.bottom) / 2) * aspect;
+  return [-half, half];
+}
+
+function CaptureRegistrar({ setCaptureApi }) {
+  // Registers figure capture: png() renders the view at any resolution (tiled through the canvas, so it is not
+  // limited by the window), frame() renders a given pose the same way for video recording (see recorder.js), and
+  // viewProjection() gives the matrices a vector figure of the same framing needs
+  const { gl, scene, camera } = useThree((s) => ({ gl: s.gl, scene: s.scene, camera: s.camera }));
+
+  useEffect(() => {
+    if (!gl || !scene || !camera || !setCaptureApi) return;
+
+    const render = ({ width, height, supersample = 1, background = null, legend = null }, pose = null) => {
+      // background: CSS color, or null for transparent; legend: color scale drawn over the image (see colormaps.js);
+      // pose: { position, quaternion, fov? } instead of the view
       const renderer = gl;
+      const view = pose ? camera.clone() : camera;
+      if (pose) {
+        view.position.copy(pose.position);
+        view.quaternion.copy(pose.quaternion);
+        if (pose.fov && typeof view.fov === 'number') view.fov = pose.fov;
+        view.clearViewOffset();
+        view.updateMatrixWorld();
+      }
       const canvas = renderer.domElement;
-      if (!canvas) return;
+      const pixelRatio = renderer.getPixelRatio();
+      const ss = supersample;
+      // Tile size in output pixels: one supersampled tile has to fit into the drawing buffer
+      const tileW = Math.max(1, Math.floor(canvas.width / ss));
+      const tileH = Math.max(1, Math.floor(canvas.height / ss));
 
-      const width = canvas.width;
-      const height = canvas.height;
-      const targetW = Math.min(width, Math.floor(height * 4 / 3));
-      const targetH = Math.min(height, Math.floor(width * 3 / 4));
-      const offsetX = Math.floor((width - targetW) / 2);
-      const offsetY = Math.floor((height - targetH) / 2);
-
-      const filename = `camera-frustums-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+      const out = document.createElement('canvas');
+      out.width = width;
+      out.height = height;
+      const outCtx = out.getContext('2d');
+      const tile = document.createElement('canvas');
 
       // Save renderer and camera state
       const prevClearColor = renderer.getClearColor(new THREE.Color());
       const prevClearAlpha = renderer.getClearAlpha();
       const prevAutoClear = renderer.autoClear;
-      const prevScissorTest = renderer.getScissorTest ? renderer.getScissorTest() : false;
-      const isPerspective = typeof camera.aspect === 'number';
-      const prevAspect = isPerspective ? camera.aspect : undefined;
+      const prevScissorTest = renderer.getScissorTest();
+      const prevView = view.view?.enabled ? { ...view.view } : null;
+      const isPerspective = typeof view.aspect === 'number';
+      const prevAspect = isPerspective ? view.aspect : undefined;
+      const prevSides = view.isOrthographicCamera ? [view.left, view.right] : null;
 
       try {
-        // Set black background and render with 4:3 aspect
-        renderer.setClearColor(0x000000, 1);
+        renderer.setClearColor(background ? new THREE.Color(background) : 0x000000, background ? 1 : 0);
         renderer.autoClear = true;
-        // Clear full canvas to black first
-        renderer.setViewport(0, 0, width, height);
-        renderer.setScissor(0, 0, width, height);
         renderer.setScissorTest(true);
-        renderer.clear(true, true, true);
+        if (isPerspective) view.aspect = width / height;
+        else if (prevSides) [view.left, view.right] = orthoSides(view, width / height);
 
-        if (isPerspective) {
-          camera.aspect = 4 / 3;
-          camera.updateProjectionMatrix?.();
-        }
+        for (let y = 0; y < height; y += tileH) {
+          for (let x = 0; x < width; x += tileW) {
+            const w = Math.min(tileW, width - x);
+            const h = Math.min(tileH, height - y);
+            view.setViewOffset(width * ss, height * ss, x * ss, y * ss, w * ss, h * ss);
+            view.updateProjectionMatrix();
+            // Viewport and scissor are in CSS pixels; the tile sits in the bottom-left corner of the buffer
+            renderer.setViewport(0, 0, (w * ss) / pixelRatio, (h * ss) / pixelRatio);
+            renderer.setScissor(0, 0, (w * ss) / pixelRatio, (h * ss) / pixelRatio);
+            renderer.clear(true, true, true);
+            renderer.render(scene, view);
 
-        // Render into centered 4:3 viewport
-        renderer.setViewport(offsetX, offsetY, targetW, targetH);
-        renderer.setScissor(offsetX, offsetY, targetW, targetH);
-        renderer.setScissorTest(true);
-        renderer.render(scene, camera);
-
-        // Crop to largest centered 4:3 area
-        const exportCanvas = document.createElement('canvas');
-        exportCanvas.width = targetW;
-        exportCanvas.height = targetH;
-        const ctx = exportCanvas.getContext('2d');
-        ctx.drawImage(canvas, offsetX, offsetY, targetW, targetH, 0, 0, targetW, targetH);
-
-        if (exportCanvas.toBlob) {
-          exportCanvas.toBlob((blob) => {
-            if (!blob) return;
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            a.remove();
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
-          }, 'image/png');
-        } else {
-          const dataUrl = exportCanvas.toDataURL('image/png');
-          const a = document.createElement('a');
-          a.href = dataUrl;
-          a.download = filename;
-          document.body.appendChild(a);
-          a.click();
-          a.remove();
+            tile.width = w * ss;
+            tile.height = h * ss;
+            const tileCtx = tile.getContext('2d');
+            tileCtx.clearRect(0, 0, tile.width, tile.height);
+            tileCtx.drawImage(canvas, 0, canvas.height - h * ss, w * ss, h * ss, 0, 0, w * ss, h * ss);
+            // Halve until the output size: bilinear sampling between 2x2 pixels averages them exactly
+            tileCtx.imageSmoothingEnabled = true;
+            tileCtx.imageSmoothingQuality = 'low';
+            let size = [w * ss, h * ss];
+            while (size[0] > w || size[1] > h) {
+              const next = [Math.max(w, size[0] / 2), Math.max(h, size[1] / 2)];
+              tileCtx.globalCompositeOperation = 'copy';
+              tileCtx.drawImage(tile, 0, 0, size[0], size[1], 0, 0, next[0], next[1]);
+              size = next;
+            }
+            outCtx.drawImage(tile, 0, 0, w, h, x, y, w, h);
+          }
         }
+        if (legend) drawColorLegend(outCtx, legend, width, height);
       } finally {
         // Restore state
         renderer.setClearColor(prevClearColor, prevClearAlpha);
         renderer.autoClear = prevAutoClear;
-        renderer.setViewport(0, 0, width, height);
-        renderer.setScissor(0, 0, width, height);
+        renderer.setViewport(0, 0, canvas.width / pixelRatio, canvas.height / pixelRatio);
+        renderer.setScissor(0, 0, canvas.width / pixelRatio, canvas.height / pixelRatio);
         renderer.setScissorTest(prevScissorTest);
-        if (isPerspective && prevAspect) {
-          camera.aspect = prevAspect;
-          camera.updateProjectionMatrix?.();
-        }
+        if (prevView) view.setViewOffset(prevView.fullWidth, prevView.fullHeight, prevView.offsetX, prevView.offsetY, prevView.width, prevView.height);
+        else view.clearViewOffset();
+        if (isPerspective) view.aspect = prevAspect;
+        else if (prevSides) [view.left, view.right] = prevSides;
+        view.updateProjectionMatrix();
       }
+      return out;
     };
 
-    const wrapped = () => requestAnimationFrame(save);
-    setSavePngFn(() => wrapped);
-    return () => setSavePngFn(null);
-  }, [gl, scene, camera, setSavePngFn]);
+    // Rendered on the next frame so the scene is up to date
+    const nextFrame = (fn) => new Promise((resolve, reject) => {
+      requestAnimationFrame(() => {
+        try {
+          resolve(fn());
+        } catch (e) {
+          reject(e);
+        }
+      });
+    });
+    const api = {
+      // -> PNG Blob
+      png: (options) => nextFrame(() => render(options)).then((out) => new Promise((resolve, reject) => {
+        out.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the PNG'))), 'image/png');
+      })),
+      // -> canvas of one video frame
+      frame: (options, pose) => nextFrame(() => render(options, pose)),
+      viewProjection: (aspect) => {
+        const view = camera.clone();
+        if (typeof view.aspect === 'number') {
+          view.aspect = aspect;
+          view.clearViewOffset();
+        } else if (view.isOrthographicCamera) {
+          [view.left, view.right] = orthoSides(view, aspect);
+          view.clearViewOffset();
+        }
+        view.updateMatrixWorld();
+        view.updateProjectionMatrix();
+        return view.projectionMatrix.clone().multiply(view.matrixWorldInverse);
+      },
+    };
+    setCaptureApi(api);
+    return () => setCaptureApi(null);
+  }, [gl, scene, camera, setCaptureApi]);
 
   return null;
 }
 
+function figureContent({ cameras, near, far, paths, trajectories, segments, labelIds }) {
+  // What Scene draws as lines, in world space for projectFigure: frustums, trails, capture paths (outlier steps in
+  // red), comparison/co-visibility segments, and labels of the cameras in labelIds
+  const lines = cameras.map((c, i) => ({
+    segments: frustumSegments(c, near, far), color: c.color ?? hslColor(i, cameras.length), opacity: c.opacity,
+  }));
+  const polyline = (points) => points.slice(1).map((p, k) => [points[k], p]);
+  for (const p of paths) lines.push({ segments: polyline(p.points), color: p.color, opacity: p.opacity });
+  for (const t of trajectories) {
+    lines.push({ segments: polyline(t.points), color: t.color });
+    if (t.outliers.length) lines.push({ segments: t.outliers.map((k) => [t.points[k], t.points[k + 1]]), color: "#e11d48", weight: 1.5 });
+  }
+  for (const seg of segments) {
+    const v = (k) => new THREE.Vector3().fromArray(seg.positions, k);
+    for (let k = 0; k < seg.positions.length; k += 6) {
+      lines.push({ segments: [[v(k), v(k + 3)]], color: new THREE.Color().fromArray(seg.colors, k) });
+    }
+  }
+  const labels = cameras
+    .filter((c) => labelIds(c.id))
+    .map((c) => ({ position: new THREE.Vector3().setFromMatrixPosition(c.matrix), text: c.label }));
+  return { lines, labels };
+}
+
+// -------------------------- Coverage map --------------------------
+
+const COVERAGE_FLAG_COLORS = { isolated: "#e11d48", weak: "#f59e0b", disconnected: "#a855f7" };
+const MAX_COVERAGE_DOTS = 2000; // camera directions drawn on the map
+const MAX_COVISIBILITY_EDGES = 20000; // strongest edges drawn in the view
+
+function CoverageMap({ sphere, directions, width = 300, height = 150 }) {
+  // Mollweide map of viewing-direction density (blue, darker = more cameras within the radius) with gaps in red
+  const ref = useRef(null);
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    const img = ctx.createImageData(width, height);
+    const max = Math.max(1, ...sphere.density);
+    for (let py = 0; py < height; py++) {
+      for (let px = 0; px < width; px++) {
+        const ll = mollweideInverse(((px + 0.5) / width) * 4 - 2, 1 - ((py + 0.5) / height) * 2);
+        if (!ll) continue;
+        const d = sphere.density[coverageBin(ll[0], ll[1])];
+        const color = d > 0
+          ? new THREE.Color().setHSL(0.6, 0.75, 0.92 - 0.55 * (Math.log1p(d) / Math.log1p(max)))
+          : new THREE.Color("#fb7185");
+        const k = (py * width + px) * 4;
+        img.data[k] = color.r * 255;
+        img.data[k + 1] = color.g * 255;
+        img.data[k + 2] = color.b * 255;
+        img.data[k + 3] = 255;
+      }
+    }
+    ctx.putImageData(img, 0, 0);
+    ctx.fillStyle = "#0f172a";
+    const stride = Math.max(1, Math.ceil(directions.length / MAX_COVERAGE_DOTS));
+    for (let i = 0; i < directions.length; i += stride) {
+      const [x, y] = mollweideForward(...toLonLat(directions[i]));
+      ctx.fillRect(((x + 2) / 4) * width - 1, ((1 - y) / 2) * height - 1, 2, 2);
+    }
+  }, [sphere, directions, width, height]);
+  return <canvas ref={ref} width={width} height={height} className="block mx-auto" />;
+}
+
 // -------------------------- Main App --------------------------
 
+const PLAYBACK_SECONDS = 10; // duration of one pass over the time range at 1x
+
 export default function CameraFrustumsApp() {
-  const [groups, setGroups] = useState([]); // [{id,name,data:{camera_angle_x,frames:[]}, color, visible}]
+  const [groups, setGroups] = useState([]); // [{id,name,data:{camera_angle_x,frames:[]}, color, visible, overrides:{fovX?,aspect?}, convention:{axes?,pose?,worldUp?}, filter?:{query?,ranges?,everyN?,timeMin?,timeMax?}, source?:{url}}]
   const [error, setError] = useState("");
 
   // Visualization controls
-  const [aspect, setAspect] = useState(1.5); // width/height
   const [near, setNear] = useState(0.1);
   const [far, setFar] = useState(2.0);
   const [scale, setScale] = useState(0.1); // scales near/far distances (default 0.1)
@@ -354,37 +1621,423 @@ export default function CameraFrustumsApp() {
   const [showLabels, setShowLabels] = useState(false);
   const [invertMatrices, setInvertMatrices] = useState(false);
   const [worldUp, setWorldUp] = useState('z'); // 'y' or 'z' (default Z-up)
-  const [selectedId, setSelectedId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]); // selected camera ids in selection order; the last is the primary one
+  const selectedId = selectedIds.length ? selectedIds[selectedIds.length - 1] : null;
+  const setSelectedId = useCallback((id) => setSelectedIds(id == null ? [] : [id]), []);
+  const selectCamera = useCallback((id, additive) => {
+    // Shift-click toggles a camera in the selection, plain click selects only it
+    setSelectedIds((prev) => {
+      if (!additive) return [id];
+      const chosen = new Set(prev); // keeps selection order
+      if (!chosen.delete(id)) chosen.add(id);
+      return [...chosen];
+    });
+  }, []);
+  const pickedClick = useRef(null); // last click a GPU pick selected a camera with (instanced mode)
+  const selectInView = useCallback((id, additive, event) => {
+    if (event) pickedClick.current = event;
+    selectCamera(id, additive);
+  }, [selectCamera]);
+  const [openFilters, setOpenFilters] = useState({}); // groupId -> frame filter row expanded in the Groups panel
+  // Pose editing: a gizmo on the selected cameras or a whole group; edits replace the groups' data (undoable)
+  const [editMode, setEditMode] = useState(false);
+  const [editTarget, setEditTarget] = useState(''); // '' = selected cameras, else a group id
+  const [gizmoMode, setGizmoMode] = useState('translate'); // 'translate' | 'rotate' | 'scale'
+  const [editPreview, setEditPreview] = useState(null); // viewer-world delta (Matrix4) while dragging
+  const [editHistory, setEditHistory] = useState({ past: [], future: [] }); // edits: [{ groupId, before, after }] (group data)
+  const [selectMode, setSelectMode] = useState(null); // null | 'box' | 'lasso' (drag in the view to select)
+  const [marquee, setMarquee] = useState(null); // { points: [[x, y], ...], additive } while dragging
+  const [projectFn, setProjectFn] = useState(null); // world -> canvas pixels, registered from Canvas
+  const [lookId, setLookId] = useState(null); // camera id the view looks through (null = orbit view)
+  const [projection, setProjection] = useState('perspective'); // 'perspective' | 'orthographic' (orbit view)
+  const [navigation, setNavigation] = useState('orbit'); // 'orbit' | 'fly' | 'walk' (see FlyControls)
+  const [badFramePolicy, setBadFramePolicy] = useState('keep'); // 'keep' | 'fix' | 'skip' frames with validation problems
   const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [conventionHints, setConventionHints] = useState({}); // groupId -> detectConvention() result (or null)
+  const [imageIndex, setImageIndex] = useState(() => new Map()); // path suffix -> image File (see images.js)
+  const [imageErrors, setImageErrors] = useState(() => new Map()); // image File or remote source -> load error message
+  const reportImageError = useCallback((file, error) => {
+    setImageErrors((prev) => (prev.has(file) ? prev : new Map(prev).set(file, String(error?.message ?? error))));
+  }, []);
+  const [showImages, setShowImages] = useState(true);
+  const [imageOpacity, setImageOpacity] = useState(0.8);
+  // Datasets loaded from URLs (see remote.js)
+  const [showUrlDialog, setShowUrlDialog] = useState(false);
+  const [urlInput, setUrlInput] = useState('');
+  const [urlLoading, setUrlLoading] = useState(false);
+  const [datasetIndex, setDatasetIndex] = useState(null); // { url, title, entries: [{ url, name, description }] }
+  // Timeline (D-NeRF "time"); window and trail lengths are fractions of the time range
+  const [timelineOn, setTimelineOn] = useState(false);
+  const [timeCursor, setTimeCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [playSpeed, setPlaySpeed] = useState(1);
+  const [timeMode, setTimeMode] = useState('window'); // 'window' | 'highlight'
+  const [timeWindow, setTimeWindow] = useState(0.05);
+  const [trailLength, setTrailLength] = useState(0);
+  // Capture paths per group (camera centers in frame/time order) and step statistics
+  const [showPaths, setShowPaths] = useState(false);
+  const [outlierFactor, setOutlierFactor] = useState(3);
+  // Point clouds: [{ id, name, cloud: readPointCloud() result, color, visible }]
+  const [clouds, setClouds] = useState([]);
+  const [pointSize, setPointSize] = useState(2); // px
+  const [pointStride, setPointStride] = useState(1); // draw every Nth point
+  const [fitIncludesPoints, setFitIncludesPoints] = useState(true);
+  // Meshes: [{ id, name, object (THREE.Object3D), visible, opacity, wireframe, position, rotation (deg), scale }]
+  const [meshes, setMeshes] = useState([]);
+  const committedMeshes = useRef([]);
+  useEffect(() => {
+    // Free the GPU resources of meshes that left the committed list (removed or replaced); not in the state
+    // updaters, which React may run twice or replay
+    const kept = new Set(meshes.map((m) => m.object));
+    for (const m of committedMeshes.current) if (!kept.has(m.object)) disposeMesh(m.object);
+    committedMeshes.current = meshes;
+  }, [meshes]);
+  // Group comparison (reference vs. estimate; null ids = first/second group)
+  const [showCompare, setShowCompare] = useState(false);
+  const [compare, setCompare] = useState({
+    enabled: false, referenceId: null, estimateId: null, matchBy: 'file_path', withScale: true, apply: true, showSegments: true, colorByError: true,
+  });
+  // Scene normalization
+  const [showNormalize, setShowNormalize] = useState(false);
+  const [normalize, setNormalize] = useState({ enabled: false, center: 'centroid', rescale: true, radius: 1, orientUp: true });
+  // Color by attribute (see colormaps.js); min/max null = range of the shown values
+  const [colorBy, setColorBy] = useState({ attribute: 'group', colormap: 'viridis', min: null, max: null });
+  // Coverage analysis (viewing-direction sphere and co-visibility graph; computed while the panel is open)
+  const [showCoverage, setShowCoverage] = useState(false);
+  const [coverageOptions, setCoverageOptions] = useState({
+    groupId: '', radius: 20, depth: 'center', minOverlap: 0.1, minNeighbors: 2, showGraph: true, highlight: true,
+  });
+  // Pose export
+  const [showExport, setShowExport] = useState(false);
+  const [exportScope, setExportScope] = useState('each'); // 'each' | 'merged' | a group id
+  const [exportConvention, setExportConvention] = useState({ axes: 'opengl', pose: 'c2w', worldUp: null }); // worldUp null = global World Up
+  const [exportFormats, setExportFormats] = useState({ json: true, csv: false, colmap: false });
   const canvasRef = useRef(null); // holds WebGL canvas element
-  const [savePngFn, setSavePngFn] = useState(null); // capture function registered from Canvas
+  // Figure export (see CaptureRegistrar and figure.js); raster sizes in px, vector page sizes in pt
+  const [captureApi, setCaptureApi] = useState(null); // png/viewProjection, registered from Canvas
+  const [showFigure, setShowFigure] = useState(false);
+  const [figureBusy, setFigureBusy] = useState(false);
+  const [figureOptions, setFigureOptions] = useState({
+    format: 'png', aspect: '4:3', width: 1600, height: 1200, pageWidth: 360, pageHeight: 270, supersample: 2,
+    transparent: false, background: '#ffffff', lineWidth: 0.5, fontSize: 6, legend: true,
+  });
+  // Video recording (see recorder.js): turntable, fly-through along a group's path, or saved viewpoints
+  const [showRecorder, setShowRecorder] = useState(false);
+  const [recorderOptions, setRecorderOptions] = useState(() => ({
+    mode: 'turntable', groupId: '', width: 1280, height: 720, fps: 30, duration: 8, revolutions: 1, clockwise: false,
+    format: videoEncodingSupported() ? 'webm' : 'zip', supersample: 1, transparent: false, background: '#ffffff',
+  }));
+  const [recorderViews, setRecorderViews] = useState([]); // saved orbit viewpoints { position, target }
+  const [recording, setRecording] = useState(null); // { frame, total } while rendering
+  const recordAbort = useRef(false);
+  // Sessions (see session.js): autosaved to IndexedDB, saved/opened as files; settings and viewpoint in the URL hash
+  const [viewApi, setViewApi] = useState(null); // orbit viewpoint get/set/subscribe, registered from Canvas
+  const [pendingView, setPendingView] = useState(null); // viewpoint to apply once viewApi is registered
+  const [viewVersion, setViewVersion] = useState(0); // bumped (debounced) when the orbit view changes
+  const orbitView = useRef(null); // last orbit viewpoint (kept while looking through a camera)
+  const sessionReady = useRef(false); // stored session and URL hash have been read, so autosave may overwrite them
+  const settings = useMemo(() => ({
+    near, far, scale, invertMatrices, worldUp, badFramePolicy, showGrid, showAxes, showLabels, showImages, imageOpacity,
+    showPaths, outlierFactor, pointSize, pointStride, normalize, colorBy, compare, projection,
+  }), [near, far, scale, invertMatrices, worldUp, badFramePolicy, showGrid, showAxes, showLabels, showImages, imageOpacity,
+    showPaths, outlierFactor, pointSize, pointStride, normalize, colorBy, compare, projection]);
+  const applySettings = useCallback((s) => {
+    // s: sanitized settings (sanitizeSettings/decodeViewHash); missing ones keep their current value
+    const setters = {
+      near: setNear, far: setFar, scale: setScale, invertMatrices: setInvertMatrices, worldUp: setWorldUp,
+      badFramePolicy: setBadFramePolicy, showGrid: setShowGrid, showAxes: setShowAxes, showLabels: setShowLabels,
+      showImages: setShowImages, imageOpacity: setImageOpacity, showPaths: setShowPaths, outlierFactor: setOutlierFactor,
+      pointSize: setPointSize, pointStride: setPointStride, normalize: setNormalize, colorBy: setColorBy, compare: setCompare,
+      projection: setProjection,
+    };
+    for (const [name, v] of Object.entries(s)) setters[name]?.(v);
+  }, []);
+  const applySession = useCallback((session) => {
+    // session: parseSession() result; replaces the loaded groups
+    setGroups(session.groups);
+    setSelectedIds([]);
+    setLookId(null);
+    applySettings(session.settings);
+    if (session.view) setPendingView(session.view);
+  }, [applySettings]);
+  const applyViewLink = useCallback(() => {
+    const link = decodeViewHash(window.location.hash);
+    if (!link) return;
+    applySettings(link.settings);
+    if (link.view) setPendingView(link.view);
+  }, [applySettings]);
 
-  const fovX = useMemo(() => {
-    // Use the first group's camera_angle_x if present
-    return groups[0]?.data?.camera_angle_x ?? THREE.MathUtils.degToRad(60);
+  // Validation report per group (recomputed only when a group's data changes)
+  const validationCache = useRef(new WeakMap()); // group.data -> validateFrames() result
+  const validation = useMemo(() => {
+    const out = new Map();
+    for (const g of groups) {
+      if (!g.data) continue;
+      if (!validationCache.current.has(g.data)) validationCache.current.set(g.data, validateFrames(g.data.frames));
+      out.set(g.id, validationCache.current.get(g.data));
+    }
+    return out;
   }, [groups]);
 
-  const cameras = useMemo(() => {
+  // Per-group frame filters (see filters.js), compiled once per filter change
+  const frameFilters = useMemo(() => new Map(groups.map((g) => [g.id, compileFrameFilter(g.filter)])), [groups]);
+
+  // Displayed camera poses before scene normalization
+  const displayedCameras = useMemo(() => {
     if (!groups?.length) return [];
-    const zToY = new THREE.Matrix4().makeRotationX(-Math.PI / 2); // maps Z-up world to Y-up
     const cams = [];
-    groups.forEach((g, gi) => {
-      if (!g?.visible) return;
-      const frames = g.data?.frames || [];
-      frames.forEach((f, idx) => {
-        const m = matrix4FromRows(f.transform_matrix);
-        if (invertMatrices) m.invert();
-        const worldAligned = worldUp === 'z' ? zToY.clone().multiply(m) : m;
-        cams.push({
-          id: `${g.id}:${idx}`,
-          label: `${g.name ?? `group_${gi}`}/${f.file_path ?? `cam_${idx}`}`,
-          matrix: worldAligned,
-          color: g.color,
-        });
+    for (const g of groups) {
+      if (!g?.visible) continue;
+      const options = { invertMatrices, worldUp, badFramePolicy, report: validation.get(g.id), filter: frameFilters.get(g.id) };
+      for (const c of groupCameras(g, options)) {
+        c.color = c.flagged ? FLAGGED_COLOR : g.color;
+        c.imageFile = findImage(imageIndex, c.frame.file_path) ?? remoteImage(g.data, g.source?.url, c.frame.file_path);
+        cams.push(c);
+      }
+    }
+    return cams;
+  }, [groups, invertMatrices, worldUp, imageIndex, validation, badFramePolicy, frameFilters]);
+  const hasImageSources = imageIndex.size > 0 || groups.some((g) => g.source);
+  const imageFailures = useMemo(() => {
+    // groupId -> visible cameras whose image failed to load (Diagnostics)
+    const out = new Map();
+    if (!imageErrors.size) return out;
+    for (const c of displayedCameras) {
+      if (!imageErrors.has(c.imageFile)) continue;
+      if (!out.has(c.groupId)) out.set(c.groupId, []);
+      out.get(c.groupId).push(c);
+    }
+    return out;
+  }, [displayedCameras, imageErrors]);
+  const shownPerGroup = useMemo(() => {
+    const counts = new Map();
+    for (const c of displayedCameras) counts.set(c.groupId, (counts.get(c.groupId) ?? 0) + 1);
+    return counts;
+  }, [displayedCameras]);
+
+  // Scene normalization (recenter / rescale / orient up) on top of the displayed poses; turning it off restores them
+  const normalization = useMemo(
+    () => (normalize.enabled ? normalizationTransform(displayedCameras, normalize) : null),
+    [displayedCameras, normalize]
+  );
+
+  // Comparison of two groups on the displayed (un-normalized) poses, so errors are in data units
+  const compareIds = useMemo(() => ({
+    reference: groups.some((g) => g.id === compare.referenceId) ? compare.referenceId : groups[0]?.id,
+    estimate: groups.some((g) => g.id === compare.estimateId) ? compare.estimateId : groups[1]?.id,
+  }), [groups, compare.referenceId, compare.estimateId]);
+  const comparison = useMemo(() => {
+    if (!compare.enabled || !compareIds.reference || !compareIds.estimate) return null;
+    if (compareIds.reference === compareIds.estimate) return { error: 'Pick two different groups' };
+    const reference = displayedCameras.filter((c) => c.groupId === compareIds.reference);
+    const estimate = displayedCameras.filter((c) => c.groupId === compareIds.estimate);
+    return compareTrajectories(reference, estimate, { matchBy: compare.matchBy, withScale: compare.withScale });
+  }, [displayedCameras, compareIds, compare.enabled, compare.matchBy, compare.withScale]);
+  const comparisonColors = useMemo(() => {
+    // estimate camera id -> color by ATE translation error relative to the largest
+    if (!comparison?.pairs || !compare.colorByError) return null;
+    const max = comparison.ate.translation.max || 1;
+    return new Map(comparison.pairs.map((p) => [p.est.id, errorColor(p.translationError / max)]));
+  }, [comparison, compare.colorByError]);
+
+  const posedCameras = useMemo(() => {
+    const aligned = compare.apply && comparison?.alignment ? comparison.alignment : null;
+    if (!normalization && !aligned && !comparisonColors) return displayedCameras;
+    return displayedCameras.map((c) => {
+      let matrix = aligned && c.groupId === compareIds.estimate ? alignedPose(c.matrix, aligned) : c.matrix;
+      if (normalization) matrix = normalizedPose(matrix, normalization);
+      return { ...c, matrix, color: comparisonColors?.get(c.id) ?? c.color };
+    });
+  }, [displayedCameras, normalization, comparison, compare.apply, compareIds, comparisonColors]);
+
+  // Color by attribute: values of the shown cameras mapped through the colormap between the (clamped) min and max
+  const frameFields = useMemo(
+    () => numericFrameFields(groups.filter((g) => g.visible).flatMap((g) => g.data?.frames ?? [])),
+    [groups]
+  );
+  const colorScale = useMemo(() => {
+    if (colorBy.attribute === 'group') return null;
+    const values = cameraAttributeValues(posedCameras, colorBy.attribute);
+    let lo = Infinity;
+    let hi = -Infinity;
+    let missing = 0;
+    for (const v of values.values()) {
+      if (Number.isNaN(v)) missing++;
+      else {
+        lo = Math.min(lo, v);
+        hi = Math.max(hi, v);
+      }
+    }
+    const min = Number.isFinite(colorBy.min) ? colorBy.min : lo;
+    const max = Number.isFinite(colorBy.max) ? colorBy.max : hi;
+    return { values, min, max, missing, title: colorAttributeLabel(colorBy.attribute), colormap: colorBy.colormap };
+  }, [posedCameras, colorBy]);
+  const cameras = useMemo(() => {
+    // Flagged cameras and comparison error colors keep their color; groupColor is kept for paths and legends
+    if (!colorScale) return posedCameras;
+    const { values, min, max, colormap } = colorScale;
+    const range = max - min;
+    return posedCameras.map((c) => {
+      if (c.flagged || comparisonColors?.has(c.id)) return c;
+      const v = values.get(c.id);
+      const color = Number.isNaN(v) ? MISSING_VALUE_COLOR : colormapColor(colormap, range > 0 ? (v - min) / range : 0.5);
+      return { ...c, color, groupColor: c.color };
+    });
+  }, [posedCameras, colorScale, comparisonColors]);
+
+  const errorSegments = useMemo(() => {
+    if (!comparison?.pairs || !compare.showSegments) return null;
+    const positions = new Float32Array(comparison.pairs.length * 6);
+    const colors = new Float32Array(comparison.pairs.length * 6);
+    const max = comparison.ate.translation.max || 1;
+    const v = new THREE.Vector3();
+    comparison.pairs.forEach((p, i) => {
+      const ends = [p.ref.matrix, compare.apply ? p.aligned : p.est.matrix];
+      ends.forEach((m, k) => {
+        v.setFromMatrixPosition(m);
+        if (normalization) v.applyMatrix4(normalization.matrix);
+        v.toArray(positions, i * 6 + k * 3);
+        errorColor(p.translationError / max).toArray(colors, i * 6 + k * 3);
       });
     });
-    return cams;
-  }, [groups, invertMatrices, worldUp]);
+    return { positions, colors };
+  }, [comparison, compare.showSegments, compare.apply, normalization]);
+  const normalizationInData = useMemo(() => {
+    // The similarity expressed in the global World Up's world (what the loaded positions are in)
+    if (!normalization) return null;
+    const toData = worldUp === 'z' ? Z_TO_Y.clone().invert() : new THREE.Matrix4();
+    const m = toData.clone().multiply(normalization.matrix).multiply(toData.clone().invert());
+    return {
+      rows: rowsFromMatrix4(m),
+      inverseRows: rowsFromMatrix4(m.clone().invert()),
+      center: normalization.center.clone().applyMatrix4(toData).toArray(),
+    };
+  }, [normalization, worldUp]);
+
+  // Point clouds and meshes are world coordinates: same World Up mapping and normalization as the cameras
+  // (Invert only affects poses)
+  const dataWorldMatrix = useMemo(() => {
+    const m = worldUp === 'z' ? Z_TO_Y.clone() : new THREE.Matrix4();
+    return normalization ? normalization.matrix.clone().multiply(m) : m;
+  }, [worldUp, normalization]);
+  const shownClouds = useMemo(
+    () => clouds.filter((c) => c.visible).map((c) => ({ id: c.id, cloud: c.cloud, color: c.color, matrix: dataWorldMatrix })),
+    [clouds, dataWorldMatrix]
+  );
+  const shownMeshes = useMemo(
+    () => meshes.map((m) => ({ ...m, matrix: dataWorldMatrix.clone().multiply(meshTransform(m)) })),
+    [meshes, dataWorldMatrix]
+  );
+  const cloudBounds = useMemo(() => {
+    if (!fitIncludesPoints || !shownClouds.length) return null;
+    const box = new THREE.Box3();
+    for (const c of shownClouds) box.union(c.cloud.bounds.clone().applyMatrix4(dataWorldMatrix));
+    return box;
+  }, [fitIncludesPoints, shownClouds, dataWorldMatrix]);
+
+  // Time range over visible cameras, plus frames whose time goes backwards in frame order
+  const timeInfo = useMemo(() => {
+    let min = Infinity;
+    let max = -Infinity;
+    const outOfOrder = [];
+    const lastTime = new Map(); // groupId -> previous time in frame order
+    for (const c of cameras) {
+      if (c.time === undefined) continue;
+      min = Math.min(min, c.time);
+      max = Math.max(max, c.time);
+      const prev = lastTime.get(c.groupId);
+      if (prev !== undefined && c.time < prev) outOfOrder.push(c);
+      lastTime.set(c.groupId, c.time);
+    }
+    if (!Number.isFinite(min)) return null;
+    return { min, max, span: max - min || 1, outOfOrder };
+  }, [cameras]);
+
+  const timelineActive = timelineOn && !!timeInfo;
+
+  // Cameras actually drawn: timeline window filter or highlight/fade; cameras without time are always shown
+  const shownCameras = useMemo(() => {
+    if (!timelineActive) return cameras;
+    if (timeMode === 'window') {
+      const half = (timeWindow * timeInfo.span) / 2;
+      return cameras.filter((c) => c.time === undefined || Math.abs(c.time - timeCursor) <= half);
+    }
+    const nearest = new Map(); // groupId -> camera closest to the cursor
+    for (const c of cameras) {
+      if (c.time === undefined) continue;
+      const best = nearest.get(c.groupId);
+      if (!best || Math.abs(c.time - timeCursor) < Math.abs(best.time - timeCursor)) nearest.set(c.groupId, c);
+    }
+    return cameras.map((c) => (c.time === undefined || nearest.get(c.groupId) === c ? c : { ...c, opacity: 0.15 }));
+  }, [cameras, timelineActive, timeInfo, timeMode, timeWindow, timeCursor]);
+
+  // Trails: camera centers of each group over [cursor - trail, cursor], in time order
+  const trails = useMemo(() => {
+    if (!timelineActive || !(trailLength > 0)) return [];
+    const from = timeCursor - trailLength * timeInfo.span;
+    const byGroup = new Map();
+    for (const c of cameras) {
+      if (c.time === undefined || c.time < from || c.time > timeCursor) continue;
+      if (!byGroup.has(c.groupId)) byGroup.set(c.groupId, []);
+      byGroup.get(c.groupId).push(c);
+    }
+    return [...byGroup].filter(([, cams]) => cams.length > 1).map(([gid, cams]) => ({
+      id: `trail_${gid}`,
+      color: cams[0].groupColor ?? cams[0].color,
+      points: cams
+        .slice()
+        .sort((a, b) => a.time - b.time)
+        .map((c) => new THREE.Vector3().setFromMatrixPosition(c.matrix)),
+    }));
+  }, [cameras, timelineActive, timeInfo, trailLength, timeCursor]);
+
+  // Per-group trajectories over all visible cameras (independent of the timeline filter)
+  const trajectories = useMemo(() => {
+    if (!showPaths) return [];
+    const byGroup = new Map();
+    for (const c of cameras) {
+      if (!byGroup.has(c.groupId)) byGroup.set(c.groupId, []);
+      byGroup.get(c.groupId).push(c);
+    }
+    return [...byGroup].map(([groupId, cams]) => ({ groupId, color: cams[0].groupColor ?? cams[0].color, ...buildTrajectory(cams, outlierFactor) }));
+  }, [cameras, showPaths, outlierFactor]);
+
+  // Playback: the whole time range takes PLAYBACK_SECONDS at 1x, looping at the end
+  useEffect(() => {
+    if (!playing || !timelineActive) return;
+    let raf = 0;
+    let last = performance.now();
+    const step = (now) => {
+      const dt = (now - last) / 1000;
+      last = now;
+      setTimeCursor((t) => {
+        const next = t + (dt * playSpeed * timeInfo.span) / PLAYBACK_SECONDS;
+        return next > timeInfo.max ? timeInfo.min : Math.max(next, timeInfo.min);
+      });
+      raf = requestAnimationFrame(step);
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, playSpeed, timelineActive, timeInfo]);
+
+  const addParsedGroups = useCallback((parsed) => {
+    // parsed: [{ name, data, source? }]; a group with the same name gets the new data (keeps color/visibility/id)
+    if (!parsed.length) return;
+    setGroups((prev) => {
+      const next = [...prev];
+      const additions = [];
+      parsed.forEach((p, idx) => {
+        const existingIdx = next.findIndex((g) => g.name === p.name);
+        if (existingIdx >= 0) {
+          next[existingIdx] = { ...next[existingIdx], data: p.data, source: p.source, original: undefined };
+        } else {
+          const color = hslColor(prev.length + additions.length, prev.length + parsed.length);
+          additions.push({ id: `${Date.now()}_${idx}`, name: p.name, data: p.data, color, visible: true, overrides: {}, convention: {}, source: p.source });
+        }
+      });
+      return [...next, ...additions];
+    });
+  }, []);
 
   const onFiles = useCallback(async (fileList) => {
     try {
@@ -393,95 +2046,699 @@ export default function CameraFrustumsApp() {
       if (!files.length) return;
       // Parse all files first
       const parsed = [];
+      const colmapDirs = new Map(); // folder -> { cameras, images, points3D } files of one COLMAP model
+      const imageEntries = [];
+      const cloudFiles = []; // [{ name, file }]
+      const meshFiles = [];
+      let session = null; // a session file replaces the loaded groups
+      // Files dropped with a mesh (.mtl, .gltf buffers, textures) are its resources, not datasets
+      const hasMesh = files.some((f) => MESH_FILE_RE.test(f.name));
       for (let i = 0; i < files.length; i++) {
         const file = files[i];
+        const path = filePath(file);
+        const colmap = colmapFileKind(path);
+        if (colmap) {
+          const dir = path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "";
+          if (!colmapDirs.has(dir)) colmapDirs.set(dir, {});
+          colmapDirs.get(dir)[colmap.kind] = file;
+          continue;
+        }
+        if (IMAGE_FILE_RE.test(file.name)) {
+          imageEntries.push({ path, file });
+          continue;
+        }
+        if (POINT_CLOUD_FILE_RE.test(file.name)) {
+          cloudFiles.push({ name: path.replace(/\.[^.]+$/, ""), file });
+          continue;
+        }
+        if (MESH_FILE_RE.test(file.name)) {
+          meshFiles.push(file);
+          continue;
+        }
+        if (hasMesh && !/\.json$/i.test(file.name)) continue;
+        // Other files inside a dropped/chosen folder (images, logs, ...) are not datasets
+        if (path !== file.name && !/\.json$/i.test(file.name)) continue;
         const text = await file.text();
         const data = JSON.parse(text);
-        if (!data.frames || !Array.isArray(data.frames)) throw new Error("Missing 'frames' array");
+        if (isSessionJson(data)) {
+          session = parseSession(data);
+          continue;
+        }
         const name = (file.name || `group_${i}`).replace(/\.[^.]+$/, "");
-        parsed.push({ name, data });
+        parsed.push({ name, data: parseDataset(data) });
       }
-      setGroups((prev) => {
-        const next = [...prev];
-        const additions = [];
-        parsed.forEach((p, idx) => {
-          const existingIdx = next.findIndex((g) => g.name === p.name);
-          if (existingIdx >= 0) {
-            // Replace data for existing group (keeps color/visibility/id)
-            next[existingIdx] = { ...next[existingIdx], data: p.data };
-          } else {
-            const color = hslColor(prev.length + additions.length, prev.length + parsed.length);
-            additions.push({ id: `${Date.now()}_${idx}`, name: p.name, data: p.data, color, visible: true });
-          }
+      for (const [dir, model] of colmapDirs) {
+        if (model.points3D) cloudFiles.push({ name: `${dir || "colmap"}/points3D`, file: model.points3D });
+        if (!model.cameras && !model.images) continue;
+        if (!model.cameras || !model.images) {
+          throw new Error(`COLMAP model${dir ? ` in '${dir}'` : ""} needs both cameras and images (.txt or .bin)`);
+        }
+        parsed.push(...await readColmapModel(model, dir || "colmap"));
+      }
+      const loadedClouds = [];
+      for (const { name, file } of cloudFiles) loadedClouds.push({ name, cloud: await readPointCloud(file) });
+      const loadedMeshes = [];
+      for (const file of meshFiles) {
+        loadedMeshes.push({ name: filePath(file).replace(/\.[^.]+$/, ""), object: await readMesh(file, files) });
+      }
+      if (session) applySession(session);
+      if (imageEntries.length) setImageIndex((prev) => addToImageIndex(prev, imageEntries));
+      if (loadedMeshes.length) {
+        setMeshes((prev) => [
+          // Meshes of the same name are replaced (and disposed once the new list is committed)
+          ...prev.filter((m) => !loadedMeshes.some((l) => l.name === m.name)),
+          ...loadedMeshes.map((l, idx) => ({
+            id: `mesh_${Date.now()}_${idx}`, ...l, visible: true, opacity: 1, wireframe: false, position: [0, 0, 0], rotation: [0, 0, 0], scale: 1,
+          })),
+        ]);
+      }
+      if (loadedClouds.length) {
+        setClouds((prev) => {
+          const next = prev.filter((c) => !loadedClouds.some((l) => l.name === c.name));
+          return [...next, ...loadedClouds.map((l, idx) => ({ id: `cloud_${Date.now()}_${idx}`, ...l, color: "#64748b", visible: true }))];
         });
-        return [...next, ...additions];
+      }
+      if (!parsed.length) {
+        if (session || imageEntries.length || loadedClouds.length || loadedMeshes.length) return;
+        throw new Error("No transforms JSON, COLMAP model, point cloud, mesh or session found");
+      }
+      addParsedGroups(parsed);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || String(e));
+    }
+  }, [applySession, addParsedGroups]);
+
+  const loadUrls = useCallback(async (urls) => {
+    // Transforms JSON URLs become groups (images fetched relative to them); a dataset index opens the picker
+    setError("");
+    setUrlLoading(true);
+    try {
+      const parsed = [];
+      for (const url of urls) {
+        const result = await fetchDataset(url);
+        if (result.kind === "index") {
+          setDatasetIndex(result);
+          setShowUrlDialog(true);
+        } else {
+          parsed.push({ name: result.name, data: result.data, source: { url: result.url } });
+        }
+      }
+      addParsedGroups(parsed);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || String(e));
+    } finally {
+      setUrlLoading(false);
+    }
+  }, [addParsedGroups]);
+
+  // Look-through mode: the looked-through camera and its neighbours in frame order within its group
+  const lookCamera = useMemo(() => (lookId == null ? null : cameras.find((c) => c.id === lookId) ?? null), [cameras, lookId]);
+  const lookSiblings = useMemo(() => (lookCamera ? cameras.filter((c) => c.groupId === lookCamera.groupId) : []), [cameras, lookCamera]);
+  const lookIndex = lookCamera ? lookSiblings.indexOf(lookCamera) : -1;
+
+  const stepLook = useCallback((delta) => {
+    const next = lookSiblings[lookIndex + delta];
+    if (!next) return;
+    setLookId(next.id);
+    setSelectedId(next.id);
+  }, [lookSiblings, lookIndex, setSelectedId]);
+
+  const startLookThrough = useCallback((id) => {
+    // Looking through a camera is a perspective view, entered from orbit navigation
+    setNavigation('orbit');
+    setProjection('perspective');
+    setLookId(id);
+  }, []);
+
+  // Inspector: selected cameras (ids whose camera is no longer shown are ignored)
+  const selectedCameras = useMemo(() => {
+    if (!selectedIds.length) return [];
+    const byId = new Map(cameras.map((c) => [c.id, c]));
+    return selectedIds.map((id) => byId.get(id)).filter(Boolean);
+  }, [cameras, selectedIds]);
+  const inspected = useMemo(() => (selectedCameras.length === 1 ? cameraInfo(selectedCameras[0]) : null), [selectedCameras]);
+
+  // Pose editing: cameras under the gizmo, its pivot (their centroid) and committing/undoing edits
+  const editCameras = useMemo(
+    () => (editTarget ? cameras.filter((c) => c.groupId === editTarget) : selectedCameras),
+    [editTarget, cameras, selectedCameras]
+  );
+  const editIds = useMemo(() => new Set(editCameras.map((c) => c.id)), [editCameras]);
+  const editPivot = useMemo(() => {
+    if (!editCameras.length) return null;
+    const p = new THREE.Vector3();
+    for (const c of editCameras) p.add(new THREE.Vector3().setFromMatrixPosition(c.matrix));
+    return p.divideScalar(editCameras.length);
+  }, [editCameras]);
+  const modifiedFrames = useMemo(() => {
+    // groupId -> number of frames that differ from the data as loaded
+    const out = new Map();
+    for (const g of groups) {
+      if (!g.original || g.original === g.data) continue;
+      out.set(g.id, g.data.frames.filter((f, i) => f !== g.original.frames[i]).length);
+    }
+    return out;
+  }, [groups]);
+
+  const applyEdit = useCallback((edit, from, to) => {
+    // Moves each group's data from edit[].from to edit[].to; groups changed since (reloaded, removed) are left alone
+    setGroups((prev) => prev.map((g) => {
+      const e = edit.find((x) => x.groupId === g.id);
+      if (!e || g.data !== e[from]) return g;
+      return { ...g, data: e[to], original: g.original ?? e[from] };
+    }));
+  }, []);
+  const pushEdit = useCallback((edit) => {
+    if (!edit.length) return;
+    applyEdit(edit, 'before', 'after');
+    setEditHistory((h) => ({ past: [...h.past, edit], future: [] }));
+  }, [applyEdit]);
+  const undoEdit = useCallback(() => {
+    const edit = editHistory.past[editHistory.past.length - 1];
+    if (!edit) return;
+    applyEdit(edit, 'after', 'before');
+    setEditHistory((h) => ({ past: h.past.slice(0, -1), future: [edit, ...h.future] }));
+  }, [editHistory, applyEdit]);
+  const redoEdit = useCallback(() => {
+    const edit = editHistory.future[0];
+    if (!edit) return;
+    applyEdit(edit, 'before', 'after');
+    setEditHistory((h) => ({ past: [...h.past, edit], future: h.future.slice(1) }));
+  }, [editHistory, applyEdit]);
+
+  const commitPoseEdit = useCallback((delta) => {
+    setEditPreview(null);
+    if (delta.equals(new THREE.Matrix4())) return;
+    const indices = new Map(); // groupId -> Set of frame indices, or null for the whole group
+    if (editTarget) indices.set(editTarget, null);
+    for (const c of editTarget ? [] : selectedCameras) {
+      if (!indices.has(c.groupId)) indices.set(c.groupId, new Set());
+      indices.get(c.groupId).add(c.index);
+    }
+    pushEdit(groups.filter((g) => indices.has(g.id)).map((g) => {
+      // Shown poses = normalization x (comparison alignment for the estimate group) x displayed poses
+      const world = normalization ? normalization.matrix.clone() : new THREE.Matrix4();
+      if (compare.apply && comparison?.alignment && g.id === compareIds.estimate) world.multiply(comparison.alignment.matrix);
+      const after = editedGroupData(g.data, indices.get(g.id), delta, {
+        convention: resolveConvention(g, { invertMatrices, worldUp }),
+        report: validation.get(g.id),
+        badFramePolicy,
+        world,
+      });
+      return { groupId: g.id, before: g.data, after };
+    }));
+  }, [editTarget, selectedCameras, groups, normalization, compare.apply, comparison, compareIds, invertMatrices, worldUp, validation, badFramePolicy, pushEdit]);
+  const selectionInfo = useMemo(() => (selectedCameras.length > 1 ? selectionStats(selectedCameras) : null), [selectedCameras]);
+
+  // Box/lasso selection: camera centers projected into the view and tested against the dragged shape
+  const finishMarquee = useCallback((shape) => {
+    setMarquee(null);
+    if (!projectFn || shape.points.length < 2) return;
+    const xs = shape.points.map((p) => p[0]);
+    const ys = shape.points.map((p) => p[1]);
+    const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    if (x1 - x0 < 3 && y1 - y0 < 3) return;
+    const inside = selectMode === 'lasso'
+      ? (q) => pointInPolygon(q, shape.points)
+      : (q) => q[0] >= x0 && q[0] <= x1 && q[1] >= y0 && q[1] <= y1;
+    const screen = projectFn(shownCameras.map((c) => new THREE.Vector3().setFromMatrixPosition(c.matrix)));
+    const hits = shownCameras.filter((c, i) => screen[i] && inside(screen[i])).map((c) => c.id);
+    // Additive: append new hits after the current selection (a Set keeps this linear for large selections)
+    setSelectedIds((prev) => (shape.additive ? [...new Set([...prev, ...hits])] : hits));
+  }, [projectFn, selectMode, shownCameras]);
+
+  useEffect(() => {
+    // Camera went away (group hidden/removed)
+    if (lookId != null && !lookCamera) setLookId(null);
+  }, [lookId, lookCamera]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.target?.closest?.("input, select, textarea")) return;
+      if ((e.ctrlKey || e.metaKey) && (e.key === "z" || e.key === "Z" || e.key === "y")) {
+        e.preventDefault();
+        if (e.key === "y" || e.shiftKey) redoEdit();
+        else undoEdit();
+        return;
+      }
+      if (lookCamera) {
+        if (e.key === "ArrowLeft" || e.key === "[") stepLook(-1);
+        else if (e.key === "ArrowRight" || e.key === "]") stepLook(1);
+        else if (e.key === "Escape") setLookId(null);
+        else return;
+        e.preventDefault();
+      } else if ((e.key === "l" || e.key === "L" || e.code === "Digit0" || e.code === "Numpad0") && selectedId != null) {
+        startLookThrough(selectedId);
+      } else if (e.key === "Escape" && selectMode) {
+        setSelectMode(null);
+        setMarquee(null);
+      } else if (editMode && navigation === 'orbit' && !e.ctrlKey && !e.metaKey && ({ w: 1, e: 1, r: 1 })[e.key.toLowerCase()]) {
+        setGizmoMode({ w: 'translate', e: 'rotate', r: 'scale' }[e.key.toLowerCase()]);
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [lookCamera, stepLook, startLookThrough, selectedId, selectMode, editMode, navigation, undoEdit, redoEdit]);
+
+  // Export the displayed poses (after convention, validation policy) in the chosen target convention
+  const exportPoses = useCallback(() => {
+    const target = { ...exportConvention, worldUp: exportConvention.worldUp ?? worldUp };
+    const colmapTarget = { axes: 'opencv', pose: 'w2c', worldUp: target.worldUp };
+    const exported = groups
+      .filter((g) => g.visible && (exportScope === 'each' || exportScope === 'merged' || g.id === exportScope))
+      .map((g) => ({
+        name: g.name,
+        data: g.data,
+        overrides: g.overrides,
+        frames: cameras.filter((c) => c.groupId === g.id).map((c) => ({
+          frame: c.frame,
+          rows: exportMatrix(c.matrix, target),
+          c2w: exportMatrix(c.matrix, { ...target, pose: 'c2w' }),
+          w2cOpenCV: exportMatrix(c.matrix, colmapTarget),
+        })),
+      }))
+      .filter((g) => g.frames.length);
+    if (!exported.length) return;
+    const conventionTag = `${target.axes}_${target.pose}_${target.worldUp}up`; // e.g. opencv_c2w_zup, in CSV file names
+    const bundles = exportScope === 'each'
+      ? exported.map((g) => ({ base: `${g.name.replace(/[^\w.-]+/g, '_')}_`, groups: [g], json: transformsJson(g) }))
+      : [{ base: exported.length === 1 ? `${exported[0].name.replace(/[^\w.-]+/g, '_')}_` : '', groups: exported, json: mergedTransformsJson(exported) }];
+    for (const b of bundles) {
+      if (exportFormats.json) downloadText(JSON.stringify(b.json, null, 2), `${b.base}transforms.json`, 'application/json');
+      if (exportFormats.csv) downloadText(posesCsv(b.groups), `${b.base}poses_${conventionTag}.csv`, 'text/csv');
+      if (exportFormats.colmap) {
+        downloadText(colmapCamerasText(b.groups), `${b.base}cameras.txt`);
+        downloadText(colmapImagesText(b.groups), `${b.base}images.txt`);
+      }
+    }
+  }, [groups, cameras, exportScope, exportConvention, exportFormats, worldUp]);
+
+  const onInputChange = useCallback((e) => {
+    const files = e.target.files;
+    if (files?.length) onFiles(files);
+  }, [onFiles]);
+
+  // Drag & drop support
+  const dropRef = useRef(null);
+  useEffect(() => {
+    const prevent = (ev) => { ev.preventDefault(); ev.stopPropagation(); };
+    const onDrop = (ev) => {
+      prevent(ev);
+      filesFromDataTransfer(ev.dataTransfer)
+        .then((files) => { if (files.length) onFiles(files); })
+        .catch((e) => setError(e.message || String(e)));
+    };
+    // Global listeners so drop works anywhere
+    window.addEventListener("dragover", prevent);
+    window.addEventListener("drop", onDrop);
+    return () => {
+      window.removeEventListener("dragover", prevent);
+      window.removeEventListener("drop", onDrop);
+    };
+  }, [onFiles]);
+
+  // Session restore: the last autosaved session first, then a view link in the URL overrides settings and viewpoint
+  // (groups are not restored when the page was opened with ?src= datasets)
+  useEffect(() => {
+    let cancelled = false;
+    const hasSources = new URLSearchParams(window.location.search).has("src");
+    loadStoredSession()
+      .then((stored) => {
+        if (cancelled || !stored) return;
+        const session = parseSession(stored);
+        setGroups((prev) => (prev.length || hasSources ? prev : session.groups)); // files dropped meanwhile win
+        applySettings(session.settings);
+        if (session.view) setPendingView(session.view);
+      })
+      .catch((e) => { if (!cancelled) setError(`Could not restore the last session: ${e.message ?? e}`); })
+      .finally(() => {
+        if (cancelled) return;
+        applyViewLink();
+        sessionReady.current = true;
+      });
+    window.addEventListener("hashchange", applyViewLink);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("hashchange", applyViewLink);
+    };
+  }, [applySettings, applyViewLink]);
+
+  useEffect(() => {
+    // ?src=<url> (repeatable): datasets or dataset indexes to load on start
+    const sources = new URLSearchParams(window.location.search).getAll("src").filter(Boolean);
+    if (sources.length) loadUrls(sources);
+  }, [loadUrls]);
+
+  useEffect(() => {
+    if (!viewApi || !pendingView) return;
+    viewApi.set(pendingView);
+    setPendingView(null);
+  }, [viewApi, pendingView]);
+
+  useEffect(() => {
+    if (!viewApi) return;
+    let timer = 0;
+    const unsubscribe = viewApi.subscribe(() => {
+      clearTimeout(timer);
+      timer = setTimeout(() => setViewVersion((v) => v + 1), 300);
+    });
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [viewApi]);
+
+  const currentView = useCallback(() => {
+    if (viewApi && lookId == null) orbitView.current = viewApi.get();
+    return orbitView.current;
+  }, [viewApi, lookId]);
+  const currentSession = useCallback(() => createSession({ groups, settings, view: currentView() }), [groups, settings, currentView]);
+
+  // Autosave (debounced) to IndexedDB and the URL hash: the whole session when groups or settings change, only the
+  // settings and viewpoint when the view moves
+  useEffect(() => {
+    if (!sessionReady.current) return;
+    const timer = setTimeout(() => {
+      const session = currentSession();
+      window.history.replaceState(null, "", `#${encodeViewHash(session.settings, session.view)}`);
+      storeSession(session).catch((e) => setError(`Could not save the session: ${e.message ?? e}`));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [currentSession]);
+
+  useEffect(() => {
+    if (!sessionReady.current || !viewVersion) return;
+    const timer = setTimeout(() => {
+      const session = createSession({ groups: [], settings, view: currentView() });
+      window.history.replaceState(null, "", `#${encodeViewHash(session.settings, session.view)}`);
+      storeSessionView(session).catch((e) => setError(`Could not save the session: ${e.message ?? e}`));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [currentView, settings, viewVersion]);
+
+  const saveSessionFile = useCallback(() => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadText(JSON.stringify(currentSession()), `camera-frustums-session-${stamp}.json`, 'application/json');
+  }, [currentSession]);
+
+  const copyViewLink = useCallback(() => {
+    const session = currentSession();
+    const url = new URL(window.location.href);
+    url.hash = encodeViewHash(session.settings, session.view);
+    navigator.clipboard?.writeText(url.toString());
+  }, [currentSession]);
+
+  // -------------------------- Self-tests --------------------------
+  const [selfTests, setSelfTests] = useState([]);
+  useEffect(() => {
+    const tests = [];
+    try {
+      const corners = computeFrustumCornersLocal(THREE.MathUtils.degToRad(60), 1.5, 0.1, 2);
+      tests.push({ name: "frustum corners count", pass: corners.length === 8 });
+    } catch (e) {
+      tests.push({ name: "frustum corners count", pass: false, err: String(e) });
+    }
+    try {
+      const m = matrix4FromRows([[1,0,0,0],[0,1,0,0],[0,0,1,0],[0,0,0,1]]);
+      const v = new THREE.Vector3(0,0,-1).applyMatrix4(m);
+      tests.push({ name: "matrix4FromRows identity", pass: v.z === -1 });
+    } catch (e) {
+      tests.push({ name: "matrix4FromRows identity", pass: false, err: String(e) });
+    }
+    try {
+      // buildFrustumEdges creates 12 line pairs => 24 vertices
+      const corners = computeFrustumCornersLocal(THREE.MathUtils.degToRad(60), 1.5, 0.1, 2);
+      const geom = buildFrustumEdges(corners);
+      const pos = geom.getAttribute("position");
+      tests.push({ name: "frustum edges vertex count", pass: !!pos && pos.count === 24 });
+    } catch (e) {
+      tests.push({ name: "frustum edges vertex count", pass: false, err: String(e) });
+    }
+    try {
+      // matrix * inverse ≈ identity
+      const m = matrix4FromRows([[1,0,0,2],[0,1,0,3],[0,0,1,4],[0,0,0,1]]);
+      const inv = m.clone().invert();
+      const prod = m.clone().multiply(inv);
+      const id = new THREE.Matrix4();
+      const diff = prod.elements.map((v,i)=>Math.abs(v - id.elements[i]));
+      const maxErr = Math.max(...diff);
+      tests.push({ name: "matrix inversion correctness", pass: maxErr < 1e-6 });
+    } catch (e) {
+      tests.push({ name: "matrix inversion correctness", pass: false, err: String(e) });
+    }
+    try {
+      // off-center principal point shifts the image plane (asymmetric frustum)
+      const corners = computeFrustumCornersLocal(THREE.MathUtils.degToRad(60), 1.5, 1, 2, 0.25, 0.5);
+      const ok = Math.abs(corners[1].x / -corners[0].x - 3) < 1e-6 && Math.abs(corners[3].y + corners[0].y) < 1e-6;
+      tests.push({ name: "principal point offset", pass: ok });
+    } catch (e) {
+      tests.push({ name: "principal point offset", pass: false, err: String(e) });
+    }
+    try {
+      // fl_x/w take precedence over camera_angle_x; frame fields override group fields
+      const k = resolveIntrinsics(
+        { data: { camera_angle_x: 1, fl_x: 500, w: 1000, h: 500 } },
+        { cx: 250, cy: 250 }
+      );
+      const ok = Math.abs(k.fovX - Math.PI / 2) < 1e-9 && Math.abs(k.aspect - 2) < 1e-9 && k.px === 0.25 && k.py === 0.5;
+      tests.push({ name: "intrinsics resolution", pass: ok });
+    } catch (e) {
+      tests.push({ name: "intrinsics resolution", pass: false, err: String(e) });
+    }
+    try {
+      // instanced path: canonical frustum x frustumShapeMatrix reproduces computeFrustumCornersLocal
+      const k = { fovX: 1.1, aspect: 1.3, px: 0.4, py: 0.6 };
+      const expected = computeFrustumCornersLocal(k.fovX, k.aspect, 0.1, 2, k.px, k.py);
+      const shape = frustumShapeMatrix(k);
+      const ok = canonicalFrustumCorners(0.1, 2).every((v, i) => v.applyMatrix4(shape).distanceTo(expected[i]) < 1e-9);
+      tests.push({ name: "instanced frustum shape", pass: ok });
+    } catch (e) {
+      tests.push({ name: "instanced frustum shape", pass: false, err: String(e) });
+    }
+    try {
+      // OpenCV axes: identity c2w looks down +Z once mapped to the viewer's -Z forward
+      const m = displayMatrix([[1,0,0,0],[0,1,0,0],[0,0,1,0],[0,0,0,1]], { axes: "opencv", pose: "c2w", worldUp: "y" });
+      const fwd = new THREE.Vector3(0,0,-1).applyMatrix4(m);
+      tests.push({ name: "OpenCV axis convention", pass: Math.abs(fwd.z - 1) < 1e-9 });
+    } catch (e) {
+      tests.push({ name: "OpenCV axis convention", pass: false, err: String(e) });
+    }
+    try {
+      // ring of OpenGL c2w cameras looking at the origin is detected as OpenGL, c2w, Y-up
+      const frames = [0, 1, 2, 3, 4, 5].map((k) => {
+        const m = new THREE.Matrix4().makeRotationY((k * Math.PI) / 3).multiply(new THREE.Matrix4().makeTranslation(0, 0, 4));
+        const e = m.elements;
+        return { transform_matrix: [[e[0],e[4],e[8],e[12]],[e[1],e[5],e[9],e[13]],[e[2],e[6],e[10],e[14]],[0,0,0,1]] };
+      });
+      const hint = detectConvention(frames);
+      tests.push({ name: "convention auto-detect", pass: hint?.axes === "opengl" && hint.pose === "c2w" && hint.worldUp === "y" });
+    } catch (e) {
+      tests.push({ name: "convention auto-detect", pass: false, err: String(e) });
+    }
+    try {
+      // export round trip: display in one convention, export to another and back reproduces the input rows
+      const rows = [[0,-1,0,1],[0,0,-1,2],[1,0,0,3],[0,0,0,1]];
+      const from = { axes: "opencv", pose: "w2c", worldUp: "z" };
+      const to = { axes: "directx", pose: "c2w", worldUp: "y" };
+      const there = exportMatrix(displayMatrix(rows, from), to);
+      const back = exportMatrix(displayMatrix(there, to), from);
+      tests.push({ name: "export round trip", pass: back.every((r, i) => r.every((v, j) => Math.abs(v - rows[i][j]) < 1e-9)) });
+    } catch (e) {
+      tests.push({ name: "export round trip", pass: false, err: String(e) });
+    }
+    try {
+      // normalization: tilted ring around (5, 1, 0) ends up centered, within radius 1, looking at the origin, upright
+      const tilt = new THREE.Matrix4().makeRotationZ(0.4).setPosition(5, 1, 0);
+      const cams = [0, 1, 2, 3, 4, 5].map((k) => ({
+        matrix: tilt.clone().multiply(new THREE.Matrix4().makeRotationY((k * Math.PI) / 3)).multiply(new THREE.Matrix4().makeTranslation(0, 0, 4)),
+      }));
+      const n = normalizationTransform(cams, { center: "convergence", rescale: true, radius: 1, orientUp: true });
+      const ok = cams.every((c) => {
+        const m = normalizedPose(c.matrix, n);
+        const p = new THREE.Vector3().setFromMatrixPosition(m);
+        const up = new THREE.Vector3(0, 1, 0).transformDirection(m);
+        return Math.abs(p.length() - 1) < 1e-6 && Math.abs(up.y - 1) < 1e-6 && Math.abs(m.determinant() - 1) < 1e-6;
+      });
+      tests.push({ name: "scene normalization", pass: ok });
+    } catch (e) {
+      tests.push({ name: "scene normalization", pass: false, err: String(e) });
+    }
+    try {
+      // ASCII PLY with a face element after the vertices: positions and 0..255 colors
+      const ply = "ply\nformat ascii 1.0\nelement vertex 2\nproperty float x\nproperty float y\nproperty float z\nproperty uchar red\nproperty uchar green\nproperty uchar blue\nelement face 1\nproperty list uchar int vertex_indices\nend_header\n1 2 3 255 0 0\n4 5 6 0 255 0\n3 0 1 1\n";
+      const { positions, colors } = parsePly(new TextEncoder().encode(ply).buffer);
+      tests.push({ name: "PLY parsing", pass: positions.join() === "1,2,3,4,5,6" && colors.join() === "1,0,0,0,1,0" });
+    } catch (e) {
+      tests.push({ name: "PLY parsing", pass: false, err: String(e) });
+    }
+    try {
+      // Umeyama alignment recovers a known similarity from point pairs
+      const truth = new THREE.Matrix4().compose(new THREE.Vector3(1, -2, 3), new THREE.Quaternion().setFromEuler(new THREE.Euler(0.3, -1.2, 2)), new THREE.Vector3(2, 2, 2));
+      const src = [[0,0,0],[1,0,0],[0,1,0],[0,0,1],[1,1,1]].map((a) => new THREE.Vector3(...a));
+      const { matrix } = umeyamaAlignment(src, src.map((p) => p.clone().applyMatrix4(truth)));
+      tests.push({ name: "Umeyama alignment", pass: matrix.elements.every((v, k) => Math.abs(v - truth.elements[k]) < 1e-6) });
+    } catch (e) {
+      tests.push({ name: "Umeyama alignment", pass: false, err: String(e) });
+    }
+    try {
+      // frame filters: index ranges, regex search and every-Nth subsampling
+      const frames = Array.from({ length: 10 }, (_, k) => ({ file_path: `./images/r_${k}.png` }));
+      const f = compileFrameFilter({ query: '/r_[0-7]\\.png$/', ranges: '1-3, 6-', everyN: 2 });
+      let kept = 0;
+      const shown = frames.filter((fr, k) => f.match(fr, k) && !(kept++ % f.everyN)).map((fr) => fr.file_path.slice(-7));
+      const bad = compileFrameFilter({ ranges: '5-2' });
+      tests.push({ name: "frame filters", pass: shown.join() === "r_1.png,r_3.png,r_7.png" && !!bad.error && bad.match(frames[0], 0) });
+    } catch (e) {
+      tests.push({ name: "frame filters", pass: false, err: String(e) });
+    }
+    try {
+      // session round trip: file format and URL hash
+      const view = { position: [6, 4, 6], target: [0, 0.5, 0] };
+      const group = { id: 'g1', name: 'train', data: { camera_angle_x: 0.7, frames: [{ file_path: 'a', transform_matrix: [[1,0,0,0],[0,1,0,0],[0,0,1,0],[0,0,0,1]] }] }, color: '#f00', visible: false, overrides: {}, convention: {} };
+      const session = parseSession(JSON.parse(JSON.stringify(createSession({ groups: [group], settings: { near: 0.2, worldUp: 'y' }, view }))));
+      const link = decodeViewHash(`#${encodeViewHash(session.settings, session.view)}`);
+      tests.push({
+        name: "session round trip",
+        pass: session.groups[0].visible === false && session.groups[0].data.frames.length === 1
+          && link.settings.near === 0.2 && link.settings.worldUp === 'y' && link.view.target[1] === 0.5,
+      });
+    } catch (e) {
+      tests.push({ name: "session round trip", pass: false, err: String(e) });
+    }
+    try {
+      // coverage: overlapping frustums connect, a distant one is isolated; a full ring of directions has no gap at the equator
+      const frustum = (x) => computeFrustumCornersLocal(0.8, 1, 0.1, 2).map((v) => v.applyMatrix4(new THREE.Matrix4().makeTranslation(x, 0, 0)));
+      const graph = covisibilityGraph([frustum(0), frustum(0.3), frustum(50)], { minOverlap: 0.1, minNeighbors: 1 });
+      const ring = Array.from({ length: 36 }, (_, k) => new THREE.Vector3(Math.sin(k / 36 * 2 * Math.PI), 0, Math.cos(k / 36 * 2 * Math.PI)));
+      const sphere = directionCoverage(ring, 20);
+      tests.push({
+        name: "coverage analysis",
+        pass: graph.edges.length === 1 && graph.status.join() === ",,isolated" && sphere.density[coverageBin(0.1, 0.01)] > 0 && sphere.density[coverageBin(0, 1.5)] === 0,
+      });
+    } catch (e) {
+      tests.push({ name: "coverage analysis", pass: false, err: String(e) });
+    }
+    try {
+      // pose editing: a viewer-world move up lands on dataset Z for a Z-up OpenCV group; other frames are untouched
+      const rows = [[1,0,0,1],[0,-1,0,2],[0,0,-1,3],[0,0,0,1]];
+      const data = { frames: [{ file_path: 'a', transform_matrix: rows }, { file_path: 'b', transform_matrix: rows }] };
+      const convention = { axes: 'opencv', pose: 'c2w', worldUp: 'z' };
+      const edited = editedGroupData(data, new Set([0]), new THREE.Matrix4().makeTranslation(0, 1, 0), { convention, report: null, badFramePolicy: 'keep', world: new THREE.Matrix4() });
+      const m = edited.frames[0].transform_matrix;
+      const near = (a, b) => Math.abs(a - b) < 1e-9;
+      tests.push({
+        name: "pose edit write-back",
+        pass: near(m[0][3], 1) && near(m[1][3], 2) && near(m[2][3], 4) && near(m[1][1], -1) && edited.frames[1] === data.frames[1],
+      });
+    } catch (e) {
+      tests.push({ name: "pose edit write-back", pass: false, err: String(e) });
+    }
+    try {
+      // figure: near-plane clipping, far-to-near order and well-formed PDF cross references
+      const view = new THREE.PerspectiveCamera(50, 4 / 3, 0.1, 100);
+      view.position.set(0, 0, 5);
+      view.updateMatrixWorld();
+      const fig = projectFigure({
+        viewProjection: view.projectionMatrix.clone().multiply(view.matrixWorldInverse),
+        lines: [
+          { segments: [[new THREE.Vector3(-1, 0, 0), new THREE.Vector3(1, 0, 0)]], color: '#ff0000' },
+          { segments: [[new THREE.Vector3(0, 0, -3), new THREE.Vector3(0, 1, -3)]], color: '#0000ff' },
+          { segments: [[new THREE.Vector3(0, 0, 6), new THREE.Vector3(0, 1, 7)]], color: '#00ff00' },
+        ],
+      });
+      const pdf = figurePdf(fig, { width: 360, height: 270, legend: [{ label: 'train', color: '#ff0000' }] });
+      const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+      tests.push({
+        name: "figure projection",
+        pass: fig.strokes.map((st) => st.color).join() === "#0000ff,#ff0000" && Math.abs(fig.strokes[1].segments[0][1] - 0.5) < 1e-9
+          && pdf.slice(xref, xref + 4) === "xref" && figureSvg(fig, { width: 360, height: 270 }).includes('stroke="#ff0000"'),
       });
     } catch (e) {
-      console.error(e);
-      setError(e.message || String(e));
+      tests.push({ name: "figure projection", pass: false, err: String(e) });
     }
-  }, []);
-
-  const onInputChange = useCallback((e) => {
-    const files = e.target.files;
-    if (files?.length) onFiles(files);
-  }, [onFiles]);
-
-  // Drag & drop support
-  const dropRef = useRef(null);
-  useEffect(() => {
-    const prevent = (ev) => { ev.preventDefault(); ev.stopPropagation(); };
-    const onDrop = (ev) => {
-      prevent(ev);
-      const files = ev.dataTransfer?.files;
-      if (files?.length) onFiles(files);
-    };
-    // Global listeners so drop works anywhere
-    window.addEventListener("dragover", prevent);
-    window.addEventListener("drop", onDrop);
-    return () => {
-      window.removeEventListener("dragover", prevent);
-      window.removeEventListener("drop", onDrop);
-    };
-  }, [onFiles]);
-
-  // -------------------------- Self-tests --------------------------
-  const [selfTests, setSelfTests] = useState([]);
-  useEffect(() => {
-    const tests = [];
     try {
-      const corners = computeFrustumCornersLocal(THREE.MathUtils.degToRad(60), 1.5, 0.1, 2);
-      tests.push({ name: "frustum corners count", pass: corners.length === 8 });
+      // recorder paths: the turntable keeps its radius and height, a fly-through starts and ends at its cameras
+      const center = new THREE.Vector3(1, 0, 1);
+      const orbit = turntablePoses({ center, from: new THREE.Vector3(1, 2, 5), frames: 8 });
+      const keys = [[0, 0, 0], [1, 0, 0], [3, 1, 0]].map((p, k) => ({
+        position: new THREE.Vector3(...p),
+        quaternion: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), k),
+      }));
+      const fly = pathPoses(keys, 10);
+      tests.push({
+        name: "recorder paths",
+        pass: orbit.every((p) => Math.abs(p.position.distanceTo(center) - Math.hypot(4, 2)) < 1e-9 && Math.abs(p.position.y - 2) < 1e-9)
+          && fly[0].position.distanceTo(keys[0].position) < 1e-9 && fly[9].position.distanceTo(keys[2].position) < 1e-6
+          && fly[9].quaternion.angleTo(keys[2].quaternion) < 1e-6,
+      });
     } catch (e) {
-      tests.push({ name: "frustum corners count", pass: false, err: String(e) });
+      tests.push({ name: "recorder paths", pass: false, err: String(e) });
     }
     try {
-      const m = matrix4FromRows([[1,0,0,0],[0,1,0,0],[0,0,1,0],[0,0,0,1]]);
-      const v = new THREE.Vector3(0,0,-1).applyMatrix4(m);
-      tests.push({ name: "matrix4FromRows identity", pass: v.z === -1 });
+      // color by attribute: step sizes along the path, frame fields with missing values, colormap ends, URL hash round trip
+      const cams = [[0, 0, 0], [1, 0, 0], [3, 0, 0]].map((p, i) => ({
+        id: `c${i}`, groupId: 'g', index: i, matrix: new THREE.Matrix4().makeTranslation(...p), frame: i ? { sharpness: i * 10 } : {},
+      }));
+      const steps = cameraAttributeValues(cams, 'step');
+      const field = cameraAttributeValues(cams, 'field:sharpness');
+      const link = decodeViewHash(`#${encodeViewHash({ colorBy: { attribute: 'field:sharpness', colormap: 'turbo', min: null, max: 2.5 } })}`);
+      tests.push({
+        name: "color by attribute",
+        pass: steps.get('c0') === 1 && steps.get('c1') === 1 && steps.get('c2') === 2
+          && Number.isNaN(field.get('c0')) && field.get('c2') === 20
+          && numericFrameFields(cams.map((c) => c.frame)).join() === 'sharpness'
+          && colormapRgb('viridis', -1).join() === colormapRgb('viridis', 0).join()
+          && link.settings.colorBy.attribute === 'field:sharpness' && link.settings.colorBy.min === null && link.settings.colorBy.max === 2.5,
+      });
     } catch (e) {
-      tests.push({ name: "matrix4FromRows identity", pass: false, err: String(e) });
+      tests.push({ name: "color by attribute", pass: false, err: String(e) });
     }
     try {
-      // buildFrustumEdges creates 12 line pairs => 24 vertices
-      const corners = computeFrustumCornersLocal(THREE.MathUtils.degToRad(60), 1.5, 0.1, 2);
-      const geom = buildFrustumEdges(corners);
-      const pos = geom.getAttribute("position");
-      tests.push({ name: "frustum edges vertex count", pass: !!pos && pos.count === 24 });
+      // color by step along the capture path (step k = 2k - 1) and its distance range
+      const n = 5;
+      const cams = Array.from({ length: n }, (_, k) => ({
+        id: `s${k}`, groupId: 'path', index: k, matrix: new THREE.Matrix4().makeTranslation(k * k, 0, 0),
+      }));
+      const steps = cameraAttributeValues(cams, 'step');
+      const stats = buildTrajectory(cams, 3).stats;
+      tests.push({
+        name: "color by step",
+        pass: steps.size === n && steps.get('s1') === 1 && stats.distance.min === 1 && stats.distance.max === 2 * n - 3,
+      });
     } catch (e) {
-      tests.push({ name: "frustum edges vertex count", pass: false, err: String(e) });
+      tests.push({ name: "color by step", pass: false, err: String(e) });
     }
     try {
-      // matrix * inverse ≈ identity
-      const m = matrix4FromRows([[1,0,0,2],[0,1,0,3],[0,0,1,4],[0,0,0,1]]);
-      const inv = m.clone().invert();
-      const prod = m.clone().multiply(inv);
-      const id = new THREE.Matrix4();
-      const diff = prod.elements.map((v,i)=>Math.abs(v - id.elements[i]));
-      const maxErr = Math.max(...diff);
-      tests.push({ name: "matrix inversion correctness", pass: maxErr < 1e-6 });
+      // view presets (same screen view for Y-up and Z-up data), orthographic zoom <-> orbit distance
+      const close = (a, b) => a.distanceTo(b) < 1e-2;
+      const sameInBothWorlds = Object.keys(VIEW_PRESETS).every((name) => close(presetDirection(name, 'y'), presetDirection(name, 'z')));
+      const ortho = new THREE.OrthographicCamera(-400, 400, 300, -300);
+      placeOrbitCamera(ortho, null, 600, { target: new THREE.Vector3(1, 2, 3), direction: new THREE.Vector3(0, 0, 1), distance: 7 });
+      const link = decodeViewHash(`#${encodeViewHash({ projection: 'orthographic' })}`);
+      tests.push({
+        name: "view presets and projection",
+        pass: sameInBothWorlds
+          && close(presetDirection('top', 'z'), new THREE.Vector3(0, 1, 0))
+          && close(presetDirection('front', 'z'), new THREE.Vector3(0, 0, 1))
+          && Math.abs(orbitDistance(ortho, new THREE.Vector3(1, 2, 3), 600) - 7) < 1e-9
+          && ortho.near < 0 && link.settings.projection === 'orthographic',
+      });
     } catch (e) {
-      tests.push({ name: "matrix inversion correctness", pass: false, err: String(e) });
+      tests.push({ name: "view presets and projection", pass: false, err: String(e) });
+    }
+    try {
+      // instanced mode: the click the GPU pick selected with is not a miss that clears the selection again
+      const click = { shiftKey: false };
+      tests.push({
+        name: "instanced pick survives pointer miss",
+        pass: !clickClearsSelection(click, { pickedEvent: click })
+          && clickClearsSelection({ shiftKey: false }, { pickedEvent: click })
+          && !clickClearsSelection({ shiftKey: true }) && !clickClearsSelection({ shiftKey: false }, { editMode: true }),
+      });
+    } catch (e) {
+      tests.push({ name: "instanced pick survives pointer miss", pass: false, err: String(e) });
     }
     try {
       // aspect safety (no NaN)
@@ -498,8 +2755,249 @@ export default function CameraFrustumsApp() {
   const nearScaled = Math.max(1e-4, near * scale);
   const farScaled = Math.max(nearScaled + 1e-4, far * scale);
 
+  // Coverage: viewing directions around the scene center and frustum co-visibility of the displayed cameras
+  const coverage = useMemo(() => {
+    if (!showCoverage) return null;
+    const cams = cameras.filter((c) => !coverageOptions.groupId || c.groupId === coverageOptions.groupId);
+    if (cams.length < 2) return { error: 'Needs at least 2 visible cameras' };
+    const { center } = normalizationTransform(cams, { center: 'convergence', rescale: false, orientUp: false });
+    const origins = cams.map((c) => new THREE.Vector3().setFromMatrixPosition(c.matrix));
+    const directions = origins.map((o) => o.clone().sub(center)).filter((v) => v.lengthSq() > 1e-18).map((v) => v.normalize());
+    const distances = origins.map((o) => o.distanceTo(center)).sort((a, b) => a - b);
+    const median = distances[distances.length >> 1] || 1;
+    // Frustum depth for overlaps: reaching past the scene center, or the displayed near/far
+    const [n, f] = coverageOptions.depth === 'view' ? [nearScaled, farScaled] : [0.05 * median, 1.5 * median];
+    const frusta = cams.map((c) => frustumCorners(c, n, f));
+    return {
+      cams,
+      directions,
+      sphere: directionCoverage(directions, coverageOptions.radius),
+      graph: covisibilityGraph(frusta, { minOverlap: coverageOptions.minOverlap, minNeighbors: coverageOptions.minNeighbors }),
+    };
+  }, [showCoverage, cameras, coverageOptions.groupId, coverageOptions.radius, coverageOptions.depth, coverageOptions.minOverlap, coverageOptions.minNeighbors, nearScaled, farScaled]);
+  const coverageFlags = useMemo(() => {
+    // camera id -> "isolated" | "weak" | "disconnected"
+    if (!coverage?.graph?.status) return null;
+    return new Map(coverage.graph.status.map((st, i) => [coverage.cams[i].id, st]).filter(([, st]) => st));
+  }, [coverage]);
+  const covisibilitySegments = useMemo(() => {
+    if (!coverage?.graph?.edges || !coverageOptions.showGraph) return null;
+    const edges = coverage.graph.edges.slice().sort((a, b) => b.overlap - a.overlap).slice(0, MAX_COVISIBILITY_EDGES);
+    const positions = new Float32Array(edges.length * 6);
+    const colors = new Float32Array(edges.length * 6);
+    const v = new THREE.Vector3();
+    edges.forEach((e, i) => {
+      [e.a, e.b].forEach((idx, k) => {
+        v.setFromMatrixPosition(coverage.cams[idx].matrix).toArray(positions, i * 6 + k * 3);
+        errorColor(1 - e.overlap).toArray(colors, i * 6 + k * 3);
+      });
+    });
+    return { positions, colors };
+  }, [coverage, coverageOptions.showGraph]);
+  const drawnCameras = useMemo(() => {
+    // Coverage flag colors and the pose edit being dragged (previewed here, committed on release)
+    const flags = coverageOptions.highlight && coverageFlags?.size ? coverageFlags : null;
+    if (!flags && !editPreview) return shownCameras;
+    const s = editPreview ? new THREE.Vector3().setFromMatrixScale(editPreview).x : 1;
+    const unscale = new THREE.Matrix4().makeScale(1 / s, 1 / s, 1 / s);
+    return shownCameras.map((c) => {
+      let out = c;
+      if (editPreview && editIds.has(c.id)) out = { ...out, matrix: editPreview.clone().multiply(c.matrix).multiply(unscale) };
+      if (flags?.has(c.id)) out = { ...out, color: COVERAGE_FLAG_COLORS[flags.get(c.id)] };
+      return out;
+    });
+  }, [shownCameras, coverageFlags, coverageOptions.highlight, editPreview, editIds]);
+
+  // View navigation (see ViewRegistrar): projection, presets, framing, focus and fly/walk, from the toolbar and keys
+  const changeNavigation = useCallback((mode) => {
+    // Fly/walk move a perspective camera
+    setNavigation(mode);
+    if (mode !== 'orbit') setProjection('perspective');
+  }, []);
+  const changeProjection = useCallback((value) => {
+    setNavigation('orbit');
+    setProjection(value);
+  }, []);
+  const showPreset = useCallback((name) => {
+    if (!viewApi || !VIEW_PRESETS[name]) return;
+    setNavigation('orbit');
+    viewApi.orient(presetDirection(name, worldUp));
+  }, [viewApi, worldUp]);
+  const frameView = useCallback((selectionOnly) => {
+    // Fit View on the selected cameras, or on everything (point clouds included) when none is selected
+    if (!viewApi) return;
+    setNavigation('orbit');
+    const framed = selectionOnly && selectedCameras.length ? selectedCameras : drawnCameras;
+    viewApi.frame(framed, nearScaled, farScaled, framed === drawnCameras ? cloudBounds : null);
+  }, [viewApi, selectedCameras, drawnCameras, nearScaled, farScaled, cloudBounds]);
+  const focusSelected = useCallback(() => {
+    // Orbit around the selected camera's center
+    const cam = selectedCameras[selectedCameras.length - 1];
+    if (!viewApi || !cam) return;
+    setNavigation('orbit');
+    viewApi.focus(new THREE.Vector3().setFromMatrixPosition(cam.matrix));
+  }, [viewApi, selectedCameras]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.target?.closest?.("input, select, textarea") || e.metaKey || lookCamera) return;
+      const digit = /^(?:Digit|Numpad)(\d)$/.exec(e.code)?.[1];
+      if (VIEW_PRESET_KEYS[digit]) showPreset(VIEW_PRESET_KEYS[digit][e.ctrlKey || e.altKey ? 1 : 0]);
+      else if (e.ctrlKey || e.altKey) return;
+      else if (digit === "5") changeProjection(projection === 'orthographic' ? 'perspective' : 'orthographic');
+      else if (e.code === "KeyF") frameView(true);
+      else if (e.code === "Home") frameView(false);
+      else if (e.code === "Period" || e.code === "NumpadDecimal") focusSelected();
+      else if (e.code === "Backquote") changeNavigation({ orbit: 'fly', fly: 'walk', walk: 'orbit' }[navigation]);
+      else if (e.code === "Escape" && navigation !== 'orbit') changeNavigation('orbit');
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [lookCamera, projection, navigation, showPreset, changeProjection, changeNavigation, frameView, focusSelected]);
+
+  const saveFigure = useCallback(async (format) => {
+    // PNG through CaptureRegistrar; SVG/PDF from the same view, projected with the page aspect
+    if (!captureApi) return;
+    const o = figureOptions;
+    const background = o.transparent ? null : o.background;
+    const filename = `camera-frustums-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    if (format === 'png') {
+      if (!(o.width >= 16 && o.height >= 16 && o.width <= FIGURE_MAX_SIDE && o.height <= FIGURE_MAX_SIDE && o.width * o.height <= FIGURE_MAX_PIXELS)) {
+        setError(`Figure size must be 16 to ${FIGURE_MAX_SIDE} px per side and at most ${FIGURE_MAX_PIXELS / 1e6} megapixels`);
+        return;
+      }
+      setFigureBusy(true);
+      try {
+        const legend = o.legend && colorScale && Number.isFinite(colorScale.min) ? colorScale : null;
+        downloadBlob(await captureApi.png({ width: o.width, height: o.height, supersample: o.supersample, background, legend }), filename);
+      } catch (e) {
+        setError(`Could not save the figure: ${e.message}`);
+      } finally {
+        setFigureBusy(false);
+      }
+      return;
+    }
+    if (!(o.pageWidth > 0 && o.pageHeight > 0)) {
+      setError('Figure page size must be positive');
+      return;
+    }
+    const labelled = new Set(selectedIds);
+    const figure = projectFigure({
+      viewProjection: captureApi.viewProjection(o.pageWidth / o.pageHeight),
+      ...figureContent({
+        cameras: drawnCameras,
+        near: nearScaled,
+        far: farScaled,
+        paths: trails,
+        trajectories: trajectories.filter((t) => t.points.length > 1),
+        segments: [errorSegments, covisibilitySegments].filter(Boolean),
+        // Scene labels every camera with "Labels" on, except in instanced mode
+        labelIds: (id) => labelled.has(id) || (showLabels && drawnCameras.length <= INSTANCED_THRESHOLD),
+      }),
+    });
+    // Groups, or samples of the color-by scale
+    let legend = [];
+    if (o.legend && colorScale && Number.isFinite(colorScale.min)) {
+      const { title, colormap, min, max } = colorScale;
+      legend = [0, 0.25, 0.5, 0.75, 1].map((t) => ({ label: `${title} ${formatLegendValue(min + (max - min) * t)}`, color: colormapColor(colormap, t) }));
+      if (colorScale.missing) legend.push({ label: 'No value', color: MISSING_VALUE_COLOR });
+    } else if (o.legend) {
+      legend = groups.filter((g) => g.visible && shownPerGroup.get(g.id)).map((g) => ({ label: g.name, color: g.color }));
+    }
+    const options = { width: o.pageWidth, height: o.pageHeight, lineWidth: o.lineWidth, fontSize: o.fontSize, background, legend };
+    if (format === 'svg') downloadText(figureSvg(figure, options), filename, 'image/svg+xml');
+    else downloadText(figurePdf(figure, options), filename, 'application/pdf');
+  }, [captureApi, figureOptions, selectedIds, drawnCameras, nearScaled, farScaled, trails, trajectories, errorSegments, covisibilitySegments, showLabels, groups, shownPerGroup, colorScale]);
+
+  const recordVideo = useCallback(async () => {
+    // Renders every frame offscreen through CaptureRegistrar, then encodes a WebM or packs the PNGs into a ZIP
+    const o = recorderOptions;
+    if (!captureApi || !viewApi) return;
+    if (!(o.width >= 16 && o.height >= 16 && o.width <= 4096 && o.height <= 4096 && o.width % 2 === 0 && o.height % 2 === 0)) {
+      setError('Video size must be even, from 16 to 4096 px per side');
+      return;
+    }
+    const frames = Math.round(o.duration * o.fps);
+    if (!(frames >= 2 && frames <= 36000)) {
+      setError('Video needs between 2 and 36000 frames (duration × fps)');
+      return;
+    }
+    let poses;
+    try {
+      if (o.mode === 'turntable') {
+        const fit = fitViewFrame(drawnCameras, nearScaled, farScaled, cloudBounds);
+        if (!fit) throw new Error('Nothing to orbit around');
+        poses = turntablePoses({ center: fit.center, from: new THREE.Vector3().fromArray(viewApi.get().position), frames, revolutions: o.revolutions, clockwise: o.clockwise });
+      } else if (o.mode === 'path') {
+        const cams = drawnCameras.filter((c) => c.groupId === (o.groupId || groups.find((g) => g.visible)?.id));
+        const keys = buildTrajectory(cams, outlierFactor).ordered.map((c) => {
+          const { position, quaternion } = lookThroughPose(c, o.width / o.height);
+          const fovY = 2 * Math.atan(Math.tan(c.intrinsics.fovX / 2) / Math.max(1e-6, c.intrinsics.aspect));
+          return { position, quaternion, fov: THREE.MathUtils.radToDeg(fovY) };
+        });
+        poses = pathPoses(keys, frames);
+      } else {
+        poses = viewpointPoses(recorderViews, frames);
+      }
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+    const options = { width: o.width, height: o.height, supersample: o.supersample, background: o.format === 'zip' && o.transparent ? null : o.background };
+    const filename = `camera-frustums-${o.mode}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    recordAbort.current = false;
+    setRecording({ frame: 0, total: frames });
+    let encoder = null;
+    try {
+      encoder = o.format === 'webm' ? await createWebmEncoder({ width: o.width, height: o.height, fps: o.fps }) : null;
+      const files = [];
+      for (let i = 0; i < frames; i++) {
+        if (recordAbort.current) return;
+        const canvas = await captureApi.frame(options, poses[i]);
+        if (encoder) await encoder.add(canvas);
+        else {
+          const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+          if (!blob) throw new Error('Could not encode a PNG frame');
+          files.push({ name: `frame_${String(i).padStart(5, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+        }
+        setRecording({ frame: i + 1, total: frames });
+      }
+      downloadBlob(encoder ? await encoder.finish() : zipFile(files), `${filename}.${encoder ? 'webm' : 'zip'}`);
+    } catch (e) {
+      setError(`Recording failed: ${e.message ?? e}`);
+    } finally {
+      encoder?.close();
+      setRecording(null);
+    }
+  }, [recorderOptions, captureApi, viewApi, drawnCameras, nearScaled, farScaled, cloudBounds, groups, outlierFactor, recorderViews]);
+
+  // Figure size fields: px for PNG, pt for SVG/PDF; a chosen aspect keeps the height in step with the width
+  const figureSizeKeys = figureOptions.format === 'png' ? ['width', 'height'] : ['pageWidth', 'pageHeight'];
+  const figureAspect = (key) => {
+    if (key === 'view') {
+      const c = canvasRef.current;
+      return c?.clientWidth && c?.clientHeight ? c.clientWidth / c.clientHeight : 4 / 3;
+    }
+    const [w, h] = key.split(':').map(Number);
+    return w / h;
+  };
+  const setFigureAspect = (aspect) => setFigureOptions((prev) => ({
+    ...prev,
+    aspect,
+    ...(aspect ? { height: Math.round(prev.width / figureAspect(aspect)), pageHeight: Math.round((prev.pageWidth / figureAspect(aspect)) * 10) / 10 } : {}),
+  }));
+  const setFigureWidth = (v) => setFigureOptions((prev) => {
+    const [wKey, hKey] = figureSizeKeys;
+    if (!prev.aspect) return { ...prev, [wKey]: v };
+    const h = v / figureAspect(prev.aspect);
+    return { ...prev, [wKey]: v, [hKey]: wKey === 'width' ? Math.round(h) : Math.round(h * 10) / 10 };
+  });
+
   // Sample JSON (for quick testing)
   const sampleGroups = useMemo(() => ([_makeGroup("train", 0), _makeGroup("val", 1), _makeGroup("test", 2)]), []);
+  const timedSampleGroups = useMemo(() => ([_makeTimedGroup("orbit", 0)]), []);
 
   function _makeGroup(name, idx) {
     return {
@@ -507,6 +3005,8 @@ export default function CameraFrustumsApp() {
       name,
       color: hslColor(idx, 3),
       visible: true,
+      overrides: {},
+      convention: {},
       data: {
         camera_angle_x: THREE.MathUtils.degToRad(60),
         frames: [
@@ -518,6 +3018,27 @@ export default function CameraFrustumsApp() {
     };
   }
 
+  function _makeTimedGroup(name, idx) {
+    // Half orbit around the origin with a D-NeRF "time" per frame, for the timeline
+    const n = 12;
+    const frames = [];
+    for (let k = 0; k < n; k++) {
+      const a = (Math.PI * k) / (n - 1);
+      const eye = new THREE.Vector3(4 * Math.cos(a), 1, 4 * Math.sin(a));
+      const m = new THREE.Matrix4().lookAt(eye, new THREE.Vector3(), new THREE.Vector3(0, 1, 0)).setPosition(eye);
+      frames.push({ file_path: `${name}_${k}`, time: k / (n - 1), transform_matrix: rowsFromMatrix4(m) });
+    }
+    return {
+      id: `sample_${name}`,
+      name,
+      color: hslColor(idx, 1),
+      visible: true,
+      overrides: {},
+      convention: {},
+      data: { camera_angle_x: THREE.MathUtils.degToRad(60), frames }
+    };
+  }
+
   return (
     <div
       className="w-full h-full min-h-screen flex flex-col bg-gradient-to-b from-slate-50 to-slate-100 text-slate-900"
@@ -530,9 +3051,26 @@ export default function CameraFrustumsApp() {
 
           <label className="ml-auto text-sm font-medium px-3 py-1.5 rounded-xl bg-slate-900 text-white cursor-pointer hover:bg-slate-700">
             Load JSON
-            <input type="file" multiple accept=".json,application/json" className="hidden" onChange={onInputChange} />
+            <input type="file" multiple accept=".json,application/json,.txt,.bin,.ply,.obj,.mtl,.glb,.gltf,.stl,image/*" className="hidden" onChange={onInputChange} />
+          </label>
+
+          <label
+            className="text-sm font-medium px-3 py-1.5 rounded-xl bg-white border border-black/10 hover:bg-slate-50 cursor-pointer"
+            title="Load a folder containing transforms JSON files or a COLMAP sparse model (cameras/images/points3D .txt or .bin), PLY point clouds, meshes (OBJ, GLB/glTF, STL) and/or the source images"
+          >
+            Load Folder
+            <input type="file" webkitdirectory="" multiple className="hidden" onChange={onInputChange} />
           </label>
 
+          <button
+            className={`text-sm font-medium px-3 py-1.5 rounded-xl border border-black/10 ${showUrlDialog ? 'bg-slate-200' : 'bg-white hover:bg-slate-50'}`}
+            onClick={() => setShowUrlDialog((v) => !v)}
+            title="Load transforms JSON files or a dataset index from a URL (e.g. a local static file server)"
+            aria-pressed={showUrlDialog}
+          >
+            Load URL…
+          </button>
+
           <button
             className="text-sm font-medium px-3 py-1.5 rounded-xl bg-white border border-black/10 hover:bg-slate-50"
             onClick={() => setGroups(sampleGroups)}
@@ -543,25 +3081,70 @@ export default function CameraFrustumsApp() {
 
           <button
             className="text-sm font-medium px-3 py-1.5 rounded-xl bg-white border border-black/10 hover:bg-slate-50"
-            onClick={() => {
-              if (typeof savePngFn === 'function') {
-                savePngFn();
-                return;
-              }
-              // Fallback: simple canvas capture if registrar not ready
-              const canvas = canvasRef.current;
-              if (!canvas) return;
-              const filename = `camera-frustums-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
-              requestAnimationFrame(() => {
-                const a = document.createElement('a');
-                a.href = canvas.toDataURL('image/png');
-                a.download = filename;
-                document.body.appendChild(a);
-                a.click();
-                a.remove();
-              });
-            }}
-            title="Save current view as PNG"
+            onClick={() => setGroups(timedSampleGroups)}
+            title="Load a built-in sample with per-frame time values, for the timeline"
+          >
+            Load Timed Sample
+          </button>
+
+          <label
+            className="text-sm font-medium px-3 py-1.5 rounded-xl bg-white border border-black/10 hover:bg-slate-50 cursor-pointer"
+            title="Open a saved session file (replaces the loaded groups)"
+          >
+            Open Session
+            <input type="file" accept=".json,application/json" className="hidden" onChange={onInputChange} />
+          </label>
+
+          <button
+            className="text-sm font-medium px-3 py-1.5 rounded-xl bg-white border border-black/10 hover:bg-slate-50 disabled:opacity-40"
+            onClick={saveSessionFile}
+            disabled={!groups.length}
+            title="Save the loaded groups, settings and viewpoint as a session file"
+          >
+            Save Session
+          </button>
+
+          <button
+            className="text-sm font-medium px-3 py-1.5 rounded-xl bg-white border border-black/10 hover:bg-slate-50"
+            onClick={copyViewLink}
+            title="Copy a link that reproduces the current settings and viewpoint (the data is not included)"
+          >
+            Copy Link
+          </button>
+
+          <button
+            className={`text-sm font-medium px-3 py-1.5 rounded-xl border border-black/10 disabled:opacity-40 ${showExport ? 'bg-slate-200' : 'bg-white hover:bg-slate-50'}`}
+            onClick={() => setShowExport((v) => !v)}
+            disabled={!groups.length}
+            title="Export the displayed poses as transforms.json, CSV or a COLMAP text model"
+            aria-pressed={showExport}
+          >
+            Export…
+          </button>
+
+          <button
+            className={`text-sm font-medium px-3 py-1.5 rounded-xl border border-black/10 ${showFigure ? 'bg-slate-200' : 'bg-white hover:bg-slate-50'}`}
+            onClick={() => setShowFigure((v) => !v)}
+            title="Figure export: PNG at any resolution, or vector SVG/PDF with a legend"
+            aria-pressed={showFigure}
+          >
+            Figure…
+          </button>
+
+          <button
+            className={`text-sm font-medium px-3 py-1.5 rounded-xl border border-black/10 ${showRecorder ? 'bg-slate-200' : 'bg-white hover:bg-slate-50'}`}
+            onClick={() => setShowRecorder((v) => !v)}
+            title="Record a turntable, fly-through or viewpoint animation as WebM or PNG frames"
+            aria-pressed={showRecorder}
+          >
+            Record…
+          </button>
+
+          <button
+            className="text-sm font-medium px-3 py-1.5 rounded-xl bg-white border border-black/10 hover:bg-slate-50 disabled:opacity-40"
+            onClick={() => saveFigure('png')}
+            disabled={!captureApi || figureBusy}
+            title={`Save the current view as a ${figureOptions.width}×${figureOptions.height} PNG (size and background in Figure…)`}
             aria-label="Save PNG"
           >
             Save PNG
@@ -570,10 +3153,10 @@ export default function CameraFrustumsApp() {
       </div>
 
       {/* Drop zone / info */}
-      {!groups.length && (
+      {!groups.length && !clouds.length && !meshes.length && (
         <div ref={dropRef} className="max-w-3xl mx-auto mt-8 px-6 py-6 rounded-2xl border border-dashed border-slate-300 bg-white/70 text-center">
           <div className="text-xl font-semibold">Drop your camera JSON here</div>
-          <div className="mt-2 text-slate-600">…or use the <span className="font-medium">Load JSON</span> button above</div>
+          <div className="mt-2 text-slate-600">…or use the <span className="font-medium">Load JSON</span> button above. COLMAP <code>cameras</code>/<code>images</code>/<code>points3D</code> (.txt or .bin) PLY point clouds and OBJ/GLB/glTF/STL meshes work too.</div>
           <div className="mt-4 text-sm text-left opacity-80">
             <div className="font-semibold mb-1">Expected structure</div>
             <pre className="bg-slate-50 p-3 rounded-lg overflow-auto text-xs border border-black/5">{`{
@@ -592,69 +3175,1314 @@ export default function CameraFrustumsApp() {
 
       {/* 3D View */}
       <div className="relative mt-4 w-full flex-1 min-h-[50vh]">
-        {groups.length > 0 && (
-          <div className="absolute left-4 top-16 z-10 w-[480px] max-h-[70vh] overflow-auto rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm">
-            <div className="font-semibold mb-3">Groups</div>
-            <div className="flex flex-col divide-y divide-slate-200">
-              {groups.map((g, i) => (
-                <div key={g.id} className="flex items-center gap-3 py-2">
+        <div className="absolute right-4 top-4 z-10 flex flex-col items-end gap-2" onMouseDown={(e)=>e.stopPropagation()}>
+          {showUrlDialog && (
+            <div className="w-[340px] rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm space-y-2">
+              <div className="flex items-center">
+                <div className="font-semibold">Load from URL</div>
+                <button className="ml-auto px-1.5 text-slate-500 hover:text-slate-900" onClick={()=>setShowUrlDialog(false)} aria-label="Close load from URL">✕</button>
+              </div>
+              <form
+                className="flex items-center gap-2"
+                onSubmit={(e)=>{ e.preventDefault(); if (urlInput.trim()) loadUrls([urlInput.trim()]); }}
+              >
+                <input
+                  value={urlInput}
+                  onChange={e=>setUrlInput(e.target.value)}
+                  placeholder="http://localhost:8000/transforms.json"
+                  className="flex-1 min-w-0 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                  aria-label="Dataset or index URL"
+                />
+                <button
+                  type="submit"
+                  className="px-2 py-0.5 rounded-md border border-slate-300 bg-white hover:bg-slate-50 disabled:opacity-40"
+                  disabled={urlLoading || !urlInput.trim()}
+                >
+                  {urlLoading ? 'Loading…' : 'Load'}
+                </button>
+              </form>
+              <div className="text-xs opacity-60">A transforms JSON or a dataset index. Images are fetched relative to the JSON; other servers must allow cross-origin requests.</div>
+              {datasetIndex && (
+                <div className="space-y-1">
+                  <div className="flex items-center gap-2">
+                    <div className="font-medium truncate" title={datasetIndex.url}>{datasetIndex.title}</div>
+                    <span className="text-xs opacity-60">{datasetIndex.entries.length} datasets</span>
+                    <button
+                      className="ml-auto px-2 py-0.5 text-xs rounded-md border border-slate-300 bg-white hover:bg-slate-50 disabled:opacity-40"
+                      onClick={()=>loadUrls(datasetIndex.entries.map((entry) => entry.url))}
+                      disabled={urlLoading || !datasetIndex.entries.length}
+                    >
+                      Load all
+                    </button>
+                  </div>
+                  <div className="max-h-64 overflow-auto rounded-md border border-slate-200 divide-y divide-slate-200 bg-white">
+                    {datasetIndex.entries.map((entry, i) => (
+                      <div key={`${i}:${entry.url}`} className="flex items-center gap-2 px-2 py-1">
+                        <div className="min-w-0 flex-1">
+                          <div className="truncate" title={entry.url}>{entry.name}</div>
+                          {entry.description && <div className="text-xs opacity-60 truncate" title={entry.description}>{entry.description}</div>}
+                        </div>
+                        <button
+                          className="shrink-0 px-2 py-0.5 text-xs rounded-md border border-slate-300 bg-white hover:bg-slate-50 disabled:opacity-40"
+                          onClick={()=>loadUrls([entry.url])}
+                          disabled={urlLoading}
+                        >
+                          {groups.some((g) => g.source?.url === entry.url) ? 'Reload' : 'Load'}
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+          {showCompare && groups.length > 1 && (
+            <div className="w-[340px] rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm space-y-2">
+              <div className="flex items-center">
+                <div className="font-semibold">Compare groups</div>
+                <button className="ml-auto px-1.5 text-slate-500 hover:text-slate-900" onClick={()=>setShowCompare(false)} aria-label="Close comparison">✕</button>
+              </div>
+              <label className="flex items-center gap-2 font-medium">
+                <input type="checkbox" checked={compare.enabled} onChange={e=>setCompare(prev=>({ ...prev, enabled: e.target.checked }))} />
+                Compare
+              </label>
+              {[['referenceId', 'reference', 'Reference'], ['estimateId', 'estimate', 'Estimate']].map(([key, idKey, label]) => (
+                <label key={key} className="flex items-center gap-2">
+                  <span className="w-20 opacity-70">{label}</span>
+                  <select value={compareIds[idKey] ?? ''} onChange={e=>setCompare(prev=>({ ...prev, [key]: e.target.value }))} className="flex-1 min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                    {groups.map((g) => <option key={g.id} value={g.id}>{g.name}</option>)}
+                  </select>
+                </label>
+              ))}
+              <label className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Match by</span>
+                <select value={compare.matchBy} onChange={e=>setCompare(prev=>({ ...prev, matchBy: e.target.value }))} className="px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                  <option value="file_path">file name</option>
+                  <option value="index">frame index</option>
+                </select>
+              </label>
+              <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                <label className="flex items-center gap-1" title="Sim(3) alignment; uncheck for a rigid (SE(3)) alignment">
+                  <input type="checkbox" checked={compare.withScale} onChange={e=>setCompare(prev=>({ ...prev, withScale: e.target.checked }))} /> Scale
+                </label>
+                <label className="flex items-center gap-1" title="Draw the estimate aligned to the reference">
+                  <input type="checkbox" checked={compare.apply} onChange={e=>setCompare(prev=>({ ...prev, apply: e.target.checked }))} /> Show aligned
+                </label>
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={compare.showSegments} onChange={e=>setCompare(prev=>({ ...prev, showSegments: e.target.checked }))} /> Error lines
+                </label>
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={compare.colorByError} onChange={e=>setCompare(prev=>({ ...prev, colorByError: e.target.checked }))} /> Color by error
+                </label>
+              </div>
+              {comparison?.error && <div className="text-xs text-rose-600">{comparison.error}</div>}
+              {comparison?.pairs && (
+                <>
+                  <div className="text-xs text-slate-600">
+                    {comparison.pairs.length} matched frames · scale {comparison.alignment.scale.toPrecision(5)}
+                  </div>
+                  <table className="w-full text-xs tabular-nums">
+                    <thead>
+                      <tr className="opacity-60 text-right">
+                        <th className="text-left font-normal"></th>
+                        <th className="font-normal">mean</th>
+                        <th className="font-normal">median</th>
+                        <th className="font-normal">RMSE</th>
+                        <th className="font-normal">max</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[
+                        ['ATE trans', comparison.ate.translation, 1],
+                        ['ATE rot °', comparison.ate.rotation, THREE.MathUtils.RAD2DEG],
+                        ['RPE trans', comparison.rpe.translation, 1],
+                        ['RPE rot °', comparison.rpe.rotation, THREE.MathUtils.RAD2DEG],
+                      ].map(([label, stats, k]) => (
+                        <tr key={label} className="text-right">
+                          <td className="text-left opacity-70">{label}</td>
+                          {['mean', 'median', 'rmse', 'max'].map((f) => <td key={f}>{stats ? (stats[f] * k).toPrecision(3) : '–'}</td>)}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                   <button
-                    className={`shrink-0 w-5 h-5 rounded-none flex items-center justify-center transition-all ${g.visible ? 'ring-2 ring-slate-400' : ''}`}
-                    style={{ background: g.color?.getStyle?.() ?? g.color }}
-                    onClick={() => setGroups(prev=>prev.map((pg,j)=> j===i?{...pg,visible:!pg.visible}:pg))}
-                    title={g.visible ? 'Click to hide this group' : 'Click to show this group'}
-                    aria-pressed={g.visible}
+                    className="w-full px-2 py-0.5 text-xs rounded-md border border-slate-300 bg-white hover:bg-slate-50"
+                    onClick={()=>{
+                      const name = (id) => groups.find((g) => g.id === id)?.name;
+                      const toDeg = (st) => st && Object.fromEntries(Object.entries(st).map(([f, v]) => [f, THREE.MathUtils.radToDeg(v)]));
+                      navigator.clipboard?.writeText(JSON.stringify({
+                        reference: name(compareIds.reference),
+                        estimate: name(compareIds.estimate),
+                        matched: comparison.pairs.length,
+                        alignment: { scale: comparison.alignment.scale, matrix: rowsFromMatrix4(comparison.alignment.matrix) },
+                        ate: { translation: comparison.ate.translation, rotation_deg: toDeg(comparison.ate.rotation) },
+                        rpe: { translation: comparison.rpe.translation, rotation_deg: toDeg(comparison.rpe.rotation) },
+                      }, null, 2));
+                    }}
+                    title="Copy metrics and the alignment matrix (viewer's Y-up world) as JSON"
                   >
-                    {g.visible ? <span className="text-white text-xs leading-none">✓</span> : null}
+                    Copy report
                   </button>
-                  <input
-                    className="flex-1 min-w-0 px-2 py-1 rounded-md border border-slate-300 bg-white text-slate-900"
-                    value={g.name}
-                    onChange={(e)=>setGroups(prev=>prev.map((pg,j)=> j===i?{...pg,name:e.target.value}:pg))}
-                  />
-                  <div className="text-xs opacity-70 whitespace-nowrap ml-auto">{g.data?.frames?.length ?? 0} cams</div>
+                </>
+              )}
+            </div>
+          )}
+          {showNormalize && (
+            <div className="w-[300px] rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm space-y-2">
+              <div className="flex items-center">
+                <div className="font-semibold">Normalize scene</div>
+                <button className="ml-auto px-1.5 text-slate-500 hover:text-slate-900" onClick={()=>setShowNormalize(false)} aria-label="Close normalization">✕</button>
+              </div>
+              <label className="flex items-center gap-2 font-medium">
+                <input type="checkbox" checked={normalize.enabled} onChange={e=>setNormalize(prev=>({ ...prev, enabled: e.target.checked }))} />
+                Apply
+                <span className="font-normal text-xs opacity-60">(uncheck to restore the original poses)</span>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Recenter</span>
+                <select value={normalize.center} onChange={e=>setNormalize(prev=>({ ...prev, center: e.target.value }))} className="flex-1 min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                  <option value="none">Off</option>
+                  <option value="centroid">Camera centroid</option>
+                  <option value="convergence">Optical-axis convergence</option>
+                </select>
+              </label>
+              <div className="flex items-center gap-2">
+                <label className="flex items-center gap-1 w-20">
+                  <input type="checkbox" checked={normalize.rescale} onChange={e=>setNormalize(prev=>({ ...prev, rescale: e.target.checked }))} />
+                  <span className="opacity-70">Rescale</span>
+                </label>
+                <span className="opacity-70">radius</span>
+                <input
+                  type="number" step="0.1" min="0.001"
+                  value={normalize.radius}
+                  onChange={e=>{
+                    const v = parseFloat(e.target.value);
+                    if (v > 0) setNormalize(prev=>({ ...prev, radius: v }));
+                  }}
+                  disabled={!normalize.rescale}
+                  className="w-20 px-2 py-0.5 rounded-md border border-slate-300 bg-white disabled:opacity-40"
+                />
+              </div>
+              <label className="flex items-center gap-2" title="Rotate so the mean camera up vector points along world up">
+                <input type="checkbox" checked={normalize.orientUp} onChange={e=>setNormalize(prev=>({ ...prev, orientUp: e.target.checked }))} />
+                <span className="opacity-70">Orient up (mean camera up → world {worldUp.toUpperCase()})</span>
+              </label>
+              {normalization ? (
+                <>
+                  <div className="text-xs text-slate-600">
+                    center ({normalizationInData.center.map((v) => v.toFixed(3)).join(', ')}) · scale ×{normalization.scale.toPrecision(4)} · rotation {THREE.MathUtils.radToDeg(normalization.angle).toFixed(1)}°
+                    {normalization.centerUsed !== normalize.center && <div className="text-amber-700">Optical axes do not converge; using the centroid.</div>}
+                  </div>
+                  <pre className="bg-slate-50 p-2 rounded-lg overflow-auto text-[11px] border border-black/5" title={`Similarity applied to camera positions, in the ${worldUp.toUpperCase()}-up world`}>
+                    {normalizationInData.rows.map((r) => r.map((v) => v.toFixed(6).padStart(10)).join(' ')).join('\n')}
+                  </pre>
+                  <div className="flex gap-2">
+                    <button
+                      className="flex-1 px-2 py-0.5 text-xs rounded-md border border-slate-300 bg-white hover:bg-slate-50"
+                      onClick={()=>navigator.clipboard?.writeText(JSON.stringify(normalizationInData.rows))}
+                    >
+                      Copy matrix
+                    </button>
+                    <button
+                      className="flex-1 px-2 py-0.5 text-xs rounded-md border border-slate-300 bg-white hover:bg-slate-50"
+                      onClick={()=>navigator.clipboard?.writeText(JSON.stringify(normalizationInData.inverseRows))}
+                      title="Maps normalized positions back to the original world"
+                    >
+                      Copy inverse
+                    </button>
+                  </div>
+                </>
+              ) : (
+                <div className="text-xs opacity-60">Check Apply to preview. Exports use the normalized poses while it is applied.</div>
+              )}
+            </div>
+          )}
+          {showCoverage && (
+            <div className="w-[340px] max-h-[70vh] overflow-auto rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm space-y-2">
+              <div className="flex items-center">
+                <div className="font-semibold">Coverage</div>
+                <button className="ml-auto px-1.5 text-slate-500 hover:text-slate-900" onClick={()=>setShowCoverage(false)} aria-label="Close coverage">✕</button>
+              </div>
+              <label className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Cameras</span>
+                <select value={coverageOptions.groupId} onChange={e=>setCoverageOptions(prev=>({ ...prev, groupId: e.target.value }))} className="flex-1 min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                  <option value="">All visible groups</option>
+                  {groups.filter((g) => g.visible).map((g) => <option key={g.id} value={g.id}>{g.name}</option>)}
+                </select>
+              </label>
+              {coverage?.error && <div className="text-rose-700">{coverage.error}</div>}
+              {coverage?.sphere && (
+                <>
+                  <div className="font-medium">Viewing directions</div>
+                  <CoverageMap sphere={coverage.sphere} directions={coverage.directions} />
+                  <div className="text-xs opacity-60">
+                    Direction from the scene center to each camera (Mollweide; top = World Up). Blue: cameras within the radius, red: gaps.
+                  </div>
+                  <label className="flex items-center gap-2">
+                    <span className="w-20 opacity-70">Radius</span>
+                    <input
+                      type="number" min="1" max="90" step="1"
+                      value={coverageOptions.radius}
+                      onChange={e=>setCoverageOptions(prev=>({ ...prev, radius: Math.min(90, Math.max(1, parseFloat(e.target.value) || 20)) }))}
+                      className="w-16 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                    />
+                    <span className="opacity-70">°</span>
+                  </label>
+                  <div className="text-xs tabular-nums space-y-0.5">
+                    <div>Covered: <span className="font-semibold">{(coverage.sphere.covered * 100).toFixed(1)}%</span> of the sphere</div>
+                    {coverage.sphere.gaps > 0 && (
+                      <div className="text-rose-700">Largest gap: {coverage.sphere.largestGapDeg.toFixed(0)}° from the nearest camera direction</div>
+                    )}
+                    {coverage.sphere.elevation && (
+                      <div>Elevation: {coverage.sphere.elevation[0].toFixed(0)}° to {coverage.sphere.elevation[1].toFixed(0)}°</div>
+                    )}
+                  </div>
+                  <div className="font-medium pt-1">Co-visibility</div>
+                  <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                    <label className="flex items-center gap-1" title="Minimum share of each frustum inside the other for an edge">
+                      <span className="opacity-70">Min overlap</span>
+                      <input
+                        type="number" min="0.01" max="1" step="0.05"
+                        value={coverageOptions.minOverlap}
+                        onChange={e=>setCoverageOptions(prev=>({ ...prev, minOverlap: Math.min(1, Math.max(0.01, parseFloat(e.target.value) || 0.1)) }))}
+                        className="w-16 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                      />
+                    </label>
+                    <label className="flex items-center gap-1" title="Frames with fewer neighbours are flagged as weakly connected">
+                      <span className="opacity-70">Min neighbours</span>
+                      <input
+                        type="number" min="1" step="1"
+                        value={coverageOptions.minNeighbors}
+                        onChange={e=>setCoverageOptions(prev=>({ ...prev, minNeighbors: Math.max(1, parseInt(e.target.value) || 1) }))}
+                        className="w-14 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                      />
+                    </label>
+                  </div>
+                  <label className="flex items-center gap-2">
+                    <span className="w-20 opacity-70">Depth</span>
+                    <select value={coverageOptions.depth} onChange={e=>setCoverageOptions(prev=>({ ...prev, depth: e.target.value }))} className="flex-1 min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                      <option value="center">Past the scene center</option>
+                      <option value="view">Displayed near/far</option>
+                    </select>
+                  </label>
+                  <div className="flex items-center gap-3">
+                    <label className="flex items-center gap-1"><input type="checkbox" checked={coverageOptions.showGraph} onChange={e=>setCoverageOptions(prev=>({ ...prev, showGraph: e.target.checked }))} /> Show graph</label>
+                    <label className="flex items-center gap-1"><input type="checkbox" checked={coverageOptions.highlight} onChange={e=>setCoverageOptions(prev=>({ ...prev, highlight: e.target.checked }))} /> Highlight flagged</label>
+                  </div>
+                  {coverage.graph.error ? (
+                    <div className="text-amber-700">{coverage.graph.error}</div>
+                  ) : (
+                    <div className="text-xs tabular-nums space-y-0.5">
+                      <div>
+                        {coverage.graph.edges.length} edges, {coverage.graph.components} component{coverage.graph.components === 1 ? '' : 's'} (largest {coverage.graph.largest} of {coverage.cams.length})
+                        {coverageOptions.showGraph && coverage.graph.edges.length > MAX_COVISIBILITY_EDGES && <span className="opacity-60"> · strongest {MAX_COVISIBILITY_EDGES} drawn</span>}
+                      </div>
+                      {Object.entries(COVERAGE_FLAG_COLORS).map(([flag, color]) => {
+                        const flagged = coverage.cams.filter((c) => coverageFlags.get(c.id) === flag);
+                        if (!flagged.length) return null;
+                        return (
+                          <div key={flag}>
+                            <span className="font-medium" style={{ color }}>{flagged.length} {flag}</span>
+                            <div className="flex flex-wrap gap-1 mt-0.5 max-h-24 overflow-auto">
+                              {flagged.slice(0, MAX_LISTED_ISSUES).map((c) => (
+                                <button
+                                  key={c.id}
+                                  className="px-1.5 rounded border border-slate-300 bg-white hover:bg-slate-50 max-w-full truncate"
+                                  onClick={()=>setSelectedId(c.id)}
+                                  title={c.label}
+                                >
+                                  {c.frame?.file_path ?? `#${c.index}`}
+                                </button>
+                              ))}
+                              {flagged.length > MAX_LISTED_ISSUES && <span>…and {flagged.length - MAX_LISTED_ISSUES} more</span>}
+                            </div>
+                          </div>
+                        );
+                      })}
+                      {!coverageFlags.size && <div className="text-green-700">Every frame has at least {coverageOptions.minNeighbors} neighbour{coverageOptions.minNeighbors === 1 ? '' : 's'} in one component</div>}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+          {editMode && (
+            <div className="w-[300px] rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm space-y-2">
+              <div className="flex items-center">
+                <div className="font-semibold">Edit poses</div>
+                <button className="ml-auto px-1.5 text-slate-500 hover:text-slate-900" onClick={()=>{ setEditMode(false); setEditPreview(null); }} aria-label="Close pose editing">✕</button>
+              </div>
+              <label className="flex items-center gap-2">
+                <span className="w-16 opacity-70">Target</span>
+                <select value={editTarget} onChange={e=>setEditTarget(e.target.value)} className="flex-1 min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                  <option value="">Selected cameras ({selectedCameras.length})</option>
+                  {groups.filter((g) => g.visible).map((g) => <option key={g.id} value={g.id}>Group: {g.name}</option>)}
+                </select>
+              </label>
+              <div className="flex items-center gap-1">
+                <span className="w-16 opacity-70">Gizmo</span>
+                {[['translate', 'Move', 'W'], ['rotate', 'Rotate', 'E'], ['scale', 'Scale', 'R']].map(([mode, label, key]) => (
+                  <button
+                    key={mode}
+                    className={`px-2 py-0.5 rounded-md border border-slate-300 ${gizmoMode === mode ? 'bg-slate-900 text-white hover:bg-slate-700' : 'bg-white hover:bg-slate-50'}`}
+                    onClick={()=>setGizmoMode(mode)}
+                    title={`${label} (${key})`}
+                    aria-pressed={gizmoMode === mode}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <div className="flex items-center gap-1">
+                <span className="w-16 opacity-70">History</span>
+                <button className="px-2 py-0.5 rounded-md border border-slate-300 bg-white hover:bg-slate-50 disabled:opacity-40" onClick={undoEdit} disabled={!editHistory.past.length} title="Undo (Ctrl+Z)">
+                  Undo{editHistory.past.length ? ` (${editHistory.past.length})` : ''}
+                </button>
+                <button className="px-2 py-0.5 rounded-md border border-slate-300 bg-white hover:bg-slate-50 disabled:opacity-40" onClick={redoEdit} disabled={!editHistory.future.length} title="Redo (Ctrl+Shift+Z or Ctrl+Y)">
+                  Redo{editHistory.future.length ? ` (${editHistory.future.length})` : ''}
+                </button>
+              </div>
+              <div className="text-xs opacity-60">
+                {editCameras.length
+                  ? `Drag the gizmo to move ${editCameras.length} camera${editCameras.length === 1 ? '' : 's'}${editTarget ? ' (all frames of the group, filtered ones included)' : ''}. Scale moves camera centers only.`
+                  : 'Select cameras (click, Shift-click, Box/Lasso) or pick a group.'}
+                {' '}Edits change the loaded poses, so export and sessions include them.
+              </div>
+            </div>
+          )}
+          {showExport && groups.length > 0 && (
+            <div
+              className="w-[300px] rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm space-y-2"
+              onMouseDown={(e)=>e.stopPropagation()}
+            >
+              <div className="flex items-center">
+                <div className="font-semibold">Export poses</div>
+                <button className="ml-auto px-1.5 text-slate-500 hover:text-slate-900" onClick={()=>setShowExport(false)} aria-label="Close export">✕</button>
+              </div>
+              <label className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Groups</span>
+                <select value={exportScope} onChange={e=>setExportScope(e.target.value)} className="flex-1 min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                  <option value="each">Each visible group</option>
+                  <option value="merged">Visible groups merged</option>
+                  {groups.filter((g) => g.visible).map((g) => <option key={g.id} value={g.id}>{g.name}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Axes</span>
+                <select
+                  value={exportConvention.axes}
+                  onChange={e=>setExportConvention(prev=>withAxesPreset(prev, e.target.value))}
+                  className="flex-1 min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white"
+                >
+                  {Object.entries(CAMERA_CONVENTIONS).map(([key, c]) => <option key={key} value={key}>{c.label}</option>)}
+                </select>
+              </label>
+              <div className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Pose</span>
+                <select value={exportConvention.pose} onChange={e=>setExportConvention(prev=>({ ...prev, pose: e.target.value }))} className="px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                  <option value="c2w">c2w</option>
+                  <option value="w2c">w2c</option>
+                </select>
+                <select value={exportConvention.worldUp ?? ''} onChange={e=>setExportConvention(prev=>({ ...prev, worldUp: e.target.value || null }))} className="px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                  <option value="">{worldUp.toUpperCase()}-up (global)</option>
+                  <option value="y">Y-up</option>
+                  <option value="z">Z-up</option>
+                </select>
+              </div>
+              <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                {[['json', 'transforms.json'], ['csv', 'CSV'], ['colmap', 'COLMAP cameras.txt + images.txt']].map(([key, label]) => (
+                  <label key={key} className="flex items-center gap-1">
+                    <input type="checkbox" checked={exportFormats[key]} onChange={e=>setExportFormats(prev=>({ ...prev, [key]: e.target.checked }))} />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <div className="text-xs opacity-60">
+                Exports what is displayed: skipped frames are left out and fixed frames are written fixed. Other fields (intrinsics, time, …) are kept as loaded.
+              </div>
+              <button
+                className="w-full px-3 py-1.5 rounded-lg bg-slate-900 text-white font-medium hover:bg-slate-700 disabled:opacity-40"
+                onClick={exportPoses}
+                disabled={!cameras.length || !Object.values(exportFormats).some(Boolean)}
+              >
+                Download
+              </button>
+            </div>
+          )}
+          {showFigure && (
+            <div
+              className="w-[300px] rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm space-y-2"
+              onMouseDown={(e)=>e.stopPropagation()}
+            >
+              <div className="flex items-center">
+                <div className="font-semibold">Figure</div>
+                <button className="ml-auto px-1.5 text-slate-500 hover:text-slate-900" onClick={()=>setShowFigure(false)} aria-label="Close figure export">✕</button>
+              </div>
+              <div className="flex items-center gap-1">
+                <span className="w-20 opacity-70">Format</span>
+                {[['png', 'PNG'], ['svg', 'SVG'], ['pdf', 'PDF']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    className={`px-2 py-0.5 rounded-md border border-slate-300 ${figureOptions.format === key ? 'bg-slate-900 text-white hover:bg-slate-700' : 'bg-white hover:bg-slate-50'}`}
+                    onClick={()=>setFigureOptions((prev) => ({ ...prev, format: key }))}
+                    aria-pressed={figureOptions.format === key}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <label className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Aspect</span>
+                <select value={figureOptions.aspect} onChange={e=>setFigureAspect(e.target.value)} className="flex-1 min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                  <option value="">Custom</option>
+                  <option value="view">Window</option>
+                  <option value="4:3">4:3</option>
+                  <option value="3:2">3:2</option>
+                  <option value="16:9">16:9</option>
+                  <option value="1:1">1:1</option>
+                </select>
+              </label>
+              <div className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Size ({figureOptions.format === 'png' ? 'px' : 'pt'})</span>
+                <input type="number" min={1} value={figureOptions[figureSizeKeys[0]]} onChange={e=>setFigureWidth(Number(e.target.value))} className="w-20 px-1 py-0.5 rounded-md border border-slate-300" aria-label="Figure width" />
+                ×
+                <input type="number" min={1} value={figureOptions[figureSizeKeys[1]]} onChange={e=>setFigureOptions((prev) => ({ ...prev, aspect: '', [figureSizeKeys[1]]: Number(e.target.value) }))} className="w-20 px-1 py-0.5 rounded-md border border-slate-300" aria-label="Figure height" />
+              </div>
+              {figureOptions.format === 'png' ? (
+                <label className="flex items-center gap-2">
+                  <span className="w-20 opacity-70">Supersample</span>
+                  <select value={figureOptions.supersample} onChange={e=>setFigureOptions((prev) => ({ ...prev, supersample: Number(e.target.value) }))} className="px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                    <option value={1}>1× (off)</option>
+                    <option value={2}>2×</option>
+                    <option value={4}>4×</option>
+                  </select>
+                </label>
+              ) : (
+                <>
+                  <div className="flex items-center gap-2">
+                    <span className="w-20 opacity-70">Lines (pt)</span>
+                    <input type="number" min={0.05} step={0.05} value={figureOptions.lineWidth} onChange={e=>setFigureOptions((prev) => ({ ...prev, lineWidth: Number(e.target.value) }))} className="w-16 px-1 py-0.5 rounded-md border border-slate-300" aria-label="Line width in points" />
+                    <span className="opacity-70">Text</span>
+                    <input type="number" min={1} step={0.5} value={figureOptions.fontSize} onChange={e=>setFigureOptions((prev) => ({ ...prev, fontSize: Number(e.target.value) }))} className="w-16 px-1 py-0.5 rounded-md border border-slate-300" aria-label="Label size in points" />
+                  </div>
+                </>
+              )}
+              {(figureOptions.format !== 'png' || colorScale) && (
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={figureOptions.legend} onChange={e=>setFigureOptions((prev) => ({ ...prev, legend: e.target.checked }))} />
+                  {colorScale ? `Legend of the color scale (${colorScale.title})` : 'Legend of groups and colors'}
+                </label>
+              )}
+              <div className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Background</span>
+                <label className="flex items-center gap-1">
+                  <input type="checkbox" checked={figureOptions.transparent} onChange={e=>setFigureOptions((prev) => ({ ...prev, transparent: e.target.checked }))} />
+                  Transparent
+                </label>
+                <input type="color" value={figureOptions.background} disabled={figureOptions.transparent} onChange={e=>setFigureOptions((prev) => ({ ...prev, background: e.target.value }))} className="ml-auto h-6 w-10 disabled:opacity-40" aria-label="Background color" />
+              </div>
+              <div className="text-xs opacity-60">
+                {figureOptions.format === 'png'
+                  ? 'Renders the current view at this size, independent of the window. Lines stay one pixel wide at the supersampled size, so they get lighter with more supersampling.'
+                  : 'Frustums, paths, comparison/co-visibility lines and labels of the current view as vector lines. Grid, axes, images, point clouds and meshes are left out.'}
+              </div>
+              <button
+                className="w-full px-3 py-1.5 rounded-lg bg-slate-900 text-white font-medium hover:bg-slate-700 disabled:opacity-40"
+                onClick={()=>saveFigure(figureOptions.format)}
+                disabled={!captureApi || figureBusy}
+              >
+                {figureBusy ? 'Rendering…' : `Download ${figureOptions.format.toUpperCase()}`}
+              </button>
+            </div>
+          )}
+          {showRecorder && (
+            <div
+              className="w-[300px] rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm space-y-2"
+              onMouseDown={(e)=>e.stopPropagation()}
+            >
+              <div className="flex items-center">
+                <div className="font-semibold">Record video</div>
+                <button className="ml-auto px-1.5 text-slate-500 hover:text-slate-900" onClick={()=>setShowRecorder(false)} aria-label="Close recorder">✕</button>
+              </div>
+              <div className="flex items-center gap-1">
+                {[['turntable', 'Turntable'], ['path', 'Fly-through'], ['views', 'Viewpoints']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    className={`px-2 py-0.5 rounded-md border border-slate-300 ${recorderOptions.mode === key ? 'bg-slate-900 text-white hover:bg-slate-700' : 'bg-white hover:bg-slate-50'}`}
+                    onClick={()=>setRecorderOptions((prev) => ({ ...prev, mode: key }))}
+                    aria-pressed={recorderOptions.mode === key}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {recorderOptions.mode === 'turntable' && (
+                <>
+                  <div className="flex items-center gap-2">
+                    <span className="w-20 opacity-70">Turns</span>
+                    <input type="number" min={0.25} step={0.25} value={recorderOptions.revolutions} onChange={e=>setRecorderOptions((prev) => ({ ...prev, revolutions: Number(e.target.value) }))} className="w-16 px-1 py-0.5 rounded-md border border-slate-300" aria-label="Revolutions" />
+                    <label className="flex items-center gap-1">
+                      <input type="checkbox" checked={recorderOptions.clockwise} onChange={e=>setRecorderOptions((prev) => ({ ...prev, clockwise: e.target.checked }))} />
+                      Clockwise
+                    </label>
+                  </div>
+                  <div className="text-xs opacity-60">Orbits the Fit View center about the vertical axis, starting from the current viewpoint at its distance and height.</div>
+                </>
+              )}
+              {recorderOptions.mode === 'path' && (
+                <>
+                  <label className="flex items-center gap-2">
+                    <span className="w-20 opacity-70">Group</span>
+                    <select value={recorderOptions.groupId} onChange={e=>setRecorderOptions((prev) => ({ ...prev, groupId: e.target.value }))} className="flex-1 min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                      {groups.filter((g) => g.visible).map((g, i) => <option key={g.id} value={i === 0 ? '' : g.id}>{g.name} ({shownPerGroup.get(g.id) ?? 0})</option>)}
+                    </select>
+                  </label>
+                  <div className="text-xs opacity-60">Looks through the group&apos;s shown cameras in path order (time, else frame order) at constant speed, with their field of view.</div>
+                </>
+              )}
+              {recorderOptions.mode === 'views' && (
+                <>
+                  <div className="flex items-center gap-1">
+                    <button
+                      className="px-2 py-0.5 rounded-md border border-slate-300 bg-white hover:bg-slate-50 disabled:opacity-40"
+                      onClick={()=>setRecorderViews((prev) => [...prev, viewApi.get()])}
+                      disabled={!viewApi}
+                    >
+                      Add current view
+                    </button>
+                    <button className="px-2 py-0.5 rounded-md border border-slate-300 bg-white hover:bg-slate-50 disabled:opacity-40" onClick={()=>setRecorderViews([])} disabled={!recorderViews.length}>Clear</button>
+                  </div>
+                  {recorderViews.length > 0 && (
+                    <div className="flex flex-wrap gap-1">
+                      {recorderViews.map((v, i) => (
+                        <span key={i} className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded-md bg-slate-100 text-xs">
+                          <button className="hover:underline" onClick={()=>viewApi?.set(v)} title="Go to this viewpoint">View {i + 1}</button>
+                          <button className="text-slate-500 hover:text-slate-900" onClick={()=>setRecorderViews((prev) => prev.filter((_, k) => k !== i))} aria-label={`Remove view ${i + 1}`}>✕</button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="text-xs opacity-60">Moves smoothly through the saved viewpoints in order (at least two).</div>
+                </>
+              )}
+              <div className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Size (px)</span>
+                <input type="number" min={16} step={2} value={recorderOptions.width} onChange={e=>setRecorderOptions((prev) => ({ ...prev, width: Number(e.target.value) }))} className="w-20 px-1 py-0.5 rounded-md border border-slate-300" aria-label="Video width" />
+                ×
+                <input type="number" min={16} step={2} value={recorderOptions.height} onChange={e=>setRecorderOptions((prev) => ({ ...prev, height: Number(e.target.value) }))} className="w-20 px-1 py-0.5 rounded-md border border-slate-300" aria-label="Video height" />
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Frames</span>
+                <select value={recorderOptions.fps} onChange={e=>setRecorderOptions((prev) => ({ ...prev, fps: Number(e.target.value) }))} className="px-1 py-0.5 rounded-md border border-slate-300 bg-white" aria-label="Frame rate">
+                  {[24, 25, 30, 60].map((fps) => <option key={fps} value={fps}>{fps} fps</option>)}
+                </select>
+                <input type="number" min={0.5} step={0.5} value={recorderOptions.duration} onChange={e=>setRecorderOptions((prev) => ({ ...prev, duration: Number(e.target.value) }))} className="w-16 px-1 py-0.5 rounded-md border border-slate-300" aria-label="Duration in seconds" />
+                <span className="opacity-70">s</span>
+              </div>
+              <div className="flex items-center gap-1">
+                <span className="w-20 opacity-70">Output</span>
+                {[['webm', 'WebM'], ['zip', 'ZIP of PNGs']].map(([key, label]) => (
                   <button
-                    className="shrink-0 p-1 rounded-md border border-slate-300 hover:bg-slate-50 bg-white text-slate-700 shadow-sm"
-                    onClick={()=>setGroups(prev=>prev.filter((_,j)=>j!==i))}
-                    aria-label={`Remove group ${g.name}`}
-                    title="Remove group"
+                    key={key}
+                    className={`px-2 py-0.5 rounded-md border border-slate-300 disabled:opacity-40 ${recorderOptions.format === key ? 'bg-slate-900 text-white hover:bg-slate-700' : 'bg-white hover:bg-slate-50'}`}
+                    onClick={()=>setRecorderOptions((prev) => ({ ...prev, format: key }))}
+                    disabled={key === 'webm' && !videoEncodingSupported()}
+                    title={key === 'webm' && !videoEncodingSupported() ? 'This browser cannot encode video (no WebCodecs)' : undefined}
+                    aria-pressed={recorderOptions.format === key}
                   >
-                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4">
-                      <path d="M9 3a1 1 0 0 0-1 1v1H5.5a1 1 0 1 0 0 2H6v12a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2V7h.5a1 1 0 1 0 0-2H16V4a1 1 0 0 0-1-1H9zm2 2h2V5h-2v0zm-2 5a1 1 0 1 1 2 0v8a1 1 0 1 1-2 0V10zm6-1a1 1 0 0 1 1 1v8a1 1 0 1 1-2 0V10a1 1 0 0 1 1-1z" />
-                    </svg>
+                    {label}
                   </button>
+                ))}
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Background</span>
+                <label className="flex items-center gap-1" title="PNG frames only; WebM video is always opaque">
+                  <input type="checkbox" checked={recorderOptions.transparent} disabled={recorderOptions.format !== 'zip'} onChange={e=>setRecorderOptions((prev) => ({ ...prev, transparent: e.target.checked }))} />
+                  Transparent
+                </label>
+                <input type="color" value={recorderOptions.background} disabled={recorderOptions.format === 'zip' && recorderOptions.transparent} onChange={e=>setRecorderOptions((prev) => ({ ...prev, background: e.target.value }))} className="ml-auto h-6 w-10 disabled:opacity-40" aria-label="Video background color" />
+              </div>
+              <label className="flex items-center gap-2">
+                <span className="w-20 opacity-70">Supersample</span>
+                <select value={recorderOptions.supersample} onChange={e=>setRecorderOptions((prev) => ({ ...prev, supersample: Number(e.target.value) }))} className="px-1 py-0.5 rounded-md border border-slate-300 bg-white">
+                  <option value={1}>1× (off)</option>
+                  <option value={2}>2×</option>
+                </select>
+              </label>
+              {recording ? (
+                <div className="space-y-1">
+                  <div className="h-2 rounded-full bg-slate-200 overflow-hidden">
+                    <div className="h-full bg-slate-900" style={{ width: `${(100 * recording.frame) / recording.total}%` }} />
+                  </div>
+                  <div className="flex items-center text-xs">
+                    <span className="opacity-70">Frame {recording.frame}/{recording.total}</span>
+                    <button className="ml-auto px-2 py-0.5 rounded-md border border-slate-300 bg-white hover:bg-slate-50" onClick={()=>{ recordAbort.current = true; }}>Cancel</button>
+                  </div>
                 </div>
-              ))}
+              ) : (
+                <button
+                  className="w-full px-3 py-1.5 rounded-lg bg-slate-900 text-white font-medium hover:bg-slate-700 disabled:opacity-40"
+                  onClick={recordVideo}
+                  disabled={!captureApi || !viewApi || (recorderOptions.mode === 'views' ? recorderViews.length < 2 : !drawnCameras.length)}
+                >
+                  Record {Math.round(recorderOptions.duration * recorderOptions.fps)} frames
+                </button>
+              )}
+            </div>
+          )}
+          {selectedCameras.length > 0 && !lookCamera && (
+            <div className="w-[340px] max-h-[60vh] overflow-auto rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm space-y-2">
+              <div className="flex items-center">
+                <div className="font-semibold truncate" title={inspected?.label}>
+                  {inspected ? inspected.label : `${selectedCameras.length} cameras selected`}
+                </div>
+                <button className="ml-auto px-1.5 text-slate-500 hover:text-slate-900" onClick={()=>setSelectedId(null)} aria-label="Clear selection">✕</button>
+              </div>
+              {inspected && (
+                <div className="text-xs space-y-1.5 tabular-nums">
+                  {[['transform_matrix (raw)', inspected.transform_matrix], ['Displayed c2w (Y-up world)', inspected.displayed_matrix]].map(([title, rows]) => (
+                    <div key={title}>
+                      <div className="opacity-60">{title}</div>
+                      <pre className="bg-slate-50 p-1.5 rounded-md overflow-auto text-[11px] border border-black/5">
+                        {Array.isArray(rows) ? rows.map((r) => (Array.isArray(r) ? r.map((v) => (typeof v === 'number' ? v.toFixed(4).padStart(9) : String(v))).join(' ') : String(r))).join('\n') : 'n/a'}
+                      </pre>
+                    </div>
+                  ))}
+                  {[
+                    ['Position', inspected.position],
+                    ['Forward', inspected.forward],
+                    ['Up', inspected.up],
+                    ['Euler XYZ°', inspected.euler_xyz_deg, 2],
+                    ['Quat xyzw', inspected.quaternion_xyzw],
+                  ].map(([label, v, digits = 4]) => (
+                    <div key={label} className="flex gap-2">
+                      <span className="w-20 shrink-0 opacity-60">{label}</span>
+                      <span>{v.map((x) => x.toFixed(digits)).join(', ')}</span>
+                    </div>
+                  ))}
+                  <div className="flex gap-2">
+                    <span className="w-20 shrink-0 opacity-60">Intrinsics</span>
+                    <span>
+                      FOV {inspected.intrinsics.fov_x_deg.toFixed(2)}° × {inspected.intrinsics.fov_y_deg.toFixed(2)}°
+                      {' · '}aspect {inspected.intrinsics.aspect.toFixed(3)}
+                      {' · '}pp {inspected.intrinsics.principal_point.map((v) => v.toFixed(3)).join(', ')}
+                    </span>
+                  </div>
+                </div>
+              )}
+              {selectionInfo && (
+                <div className="text-xs space-y-1 tabular-nums">
+                  <div className="flex gap-2"><span className="w-20 shrink-0 opacity-60">Centroid</span><span>{selectionInfo.centroid.map((v) => v.toFixed(4)).join(', ')}</span></div>
+                  <div className="flex gap-2"><span className="w-20 shrink-0 opacity-60">Spread</span><span>RMS {selectionInfo.rms_spread.toFixed(4)} · box {selectionInfo.bbox_size.map((v) => v.toFixed(3)).join(' × ')}</span></div>
+                  {selectionInfo.distance !== undefined && (
+                    <div className="flex gap-2">
+                      <span className="w-20 shrink-0 opacity-60">Between</span>
+                      <span>distance {selectionInfo.distance.toFixed(4)} · view angle {selectionInfo.view_angle_deg.toFixed(2)}° · rotation {selectionInfo.rotation_angle_deg.toFixed(2)}°</span>
+                    </div>
+                  )}
+                  <div className="opacity-60 truncate" title={selectedCameras.map((c) => c.label).join('\n')}>
+                    {selectedCameras.slice(0, 5).map((c) => c.label).join(', ')}{selectedCameras.length > 5 ? ', …' : ''}
+                  </div>
+                </div>
+              )}
+              <div className="flex gap-2">
+                <button
+                  className="flex-1 px-2 py-0.5 text-xs rounded-md border border-slate-300 bg-white hover:bg-slate-50"
+                  onClick={()=>navigator.clipboard?.writeText(JSON.stringify(
+                    inspected ?? { ...selectionInfo, cameras: selectedCameras.map(cameraInfo) }, null, 2
+                  ))}
+                >
+                  Copy JSON
+                </button>
+                <button
+                  className="flex-1 px-2 py-0.5 text-xs rounded-md border border-slate-300 bg-white hover:bg-slate-50"
+                  onClick={()=>navigator.clipboard?.writeText(
+                    inspected
+                      ? `c2w = ${numpyLiteral(inspected.displayed_matrix)}`
+                      : `c2w = ${numpyLiteral(selectedCameras.map((c) => rowsFromMatrix4(c.matrix)))}  # (${selectedCameras.length}, 4, 4)`
+                  )}
+                  title="Displayed camera-to-world matrix (viewer's Y-up world) as a NumPy array literal"
+                >
+                  Copy NumPy
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+        {selectMode && (
+          <div
+            className="absolute inset-0 z-[5] cursor-crosshair touch-none"
+            onMouseDown={(e)=>e.stopPropagation()}
+            onPointerDown={(e)=>{
+              const r = e.currentTarget.getBoundingClientRect();
+              e.currentTarget.setPointerCapture(e.pointerId);
+              setMarquee({ points: [[e.clientX - r.left, e.clientY - r.top]], additive: e.shiftKey });
+            }}
+            onPointerMove={(e)=>{
+              if (!marquee) return;
+              const r = e.currentTarget.getBoundingClientRect();
+              const q = [e.clientX - r.left, e.clientY - r.top];
+              setMarquee((prev) => prev && { ...prev, points: selectMode === 'lasso' ? [...prev.points, q] : [prev.points[0], q] });
+            }}
+            onPointerUp={()=>marquee && finishMarquee(marquee)}
+          >
+            {marquee && marquee.points.length > 1 && (
+              <svg className="absolute inset-0 w-full h-full pointer-events-none">
+                {selectMode === 'lasso' ? (
+                  <polygon points={marquee.points.map((p) => p.join(',')).join(' ')} fill="rgba(14,165,233,0.12)" stroke="#0284c7" strokeDasharray="4 3" />
+                ) : (
+                  <rect
+                    x={Math.min(marquee.points[0][0], marquee.points[1][0])}
+                    y={Math.min(marquee.points[0][1], marquee.points[1][1])}
+                    width={Math.abs(marquee.points[1][0] - marquee.points[0][0])}
+                    height={Math.abs(marquee.points[1][1] - marquee.points[0][1])}
+                    fill="rgba(14,165,233,0.12)" stroke="#0284c7" strokeDasharray="4 3"
+                  />
+                )}
+              </svg>
+            )}
+          </div>
+        )}
+        {(lookCamera || selectedId != null) && (
+          <div
+            className="absolute left-1/2 -translate-x-1/2 top-4 z-10 flex items-center gap-2 rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md px-3 py-1.5 text-sm"
+            onMouseDown={(e)=>e.stopPropagation()}
+          >
+            {lookCamera ? (
+              <>
+                <button
+                  className="px-2 py-0.5 text-sm rounded-md border border-slate-300 bg-white hover:bg-slate-50 disabled:opacity-40"
+                  onClick={()=>stepLook(-1)}
+                  disabled={lookIndex <= 0}
+                  title="Previous frame in group (←)"
+                >
+                  ◀ Prev
+                </button>
+                <span className="max-w-[320px] truncate" title={lookCamera.label}>
+                  {lookCamera.label} <span className="opacity-60">({lookIndex + 1}/{lookSiblings.length})</span>
+                </span>
+                <button
+                  className="px-2 py-0.5 text-sm rounded-md border border-slate-300 bg-white hover:bg-slate-50 disabled:opacity-40"
+                  onClick={()=>stepLook(1)}
+                  disabled={lookIndex >= lookSiblings.length - 1}
+                  title="Next frame in group (→)"
+                >
+                  Next ▶
+                </button>
+                <button
+                  className="px-2 py-0.5 text-sm rounded-md border border-slate-300 bg-slate-900 text-white hover:bg-slate-700"
+                  onClick={()=>setLookId(null)}
+                  title="Return to the orbit view (Esc)"
+                >
+                  Orbit view
+                </button>
+              </>
+            ) : (
+              <button
+                className="px-2 py-0.5 text-sm rounded-md border border-slate-300 bg-white hover:bg-slate-50"
+                onClick={()=>startLookThrough(selectedId)}
+                title="View the scene through the selected camera (L or 0)"
+              >
+                Look through selected camera
+              </button>
+            )}
+          </div>
+        )}
+        {(groups.length > 0 || clouds.length > 0 || meshes.length > 0) && (
+          <div className="absolute left-4 top-16 z-10 w-[480px] max-h-[70vh] overflow-auto rounded-xl bg-white/90 backdrop-blur border border-slate-300 shadow-md p-4 text-sm">
+            <div className="font-semibold mb-3">Groups</div>
+            <div className="flex flex-col divide-y divide-slate-200">
+              {groups.map((g, i) => {
+                const auto = resolveIntrinsics({ data: g.data }, g.data?.frames?.[0]);
+                const setOverride = (key, value) => setGroups(prev=>prev.map((pg,j)=> j===i?{...pg,overrides:{...pg.overrides,[key]:value}}:pg));
+                const setConvention = (patch) => setGroups(prev=>prev.map((pg,j)=> j===i?{...pg,convention:{...pg.convention,...patch}}:pg));
+                const hint = conventionHints[g.id];
+                const traj = trajectories.find((t) => t.groupId === g.id);
+                const filter = frameFilters.get(g.id);
+                const setFilter = (patch) => setGroups(prev=>prev.map((pg,j)=> j===i?{...pg,filter:{...pg.filter,...patch}}:pg));
+                const numberOrNull = (v) => (v === '' || !Number.isFinite(parseFloat(v)) ? null : parseFloat(v));
+                return (
+                  <div key={g.id} className="py-2">
+                    <div className="flex items-center gap-3">
+                      <button
+                        className={`shrink-0 w-5 h-5 rounded-none flex items-center justify-center transition-all ${g.visible ? 'ring-2 ring-slate-400' : ''}`}
+                        style={{ background: g.color?.getStyle?.() ?? g.color }}
+                        onClick={() => setGroups(prev=>prev.map((pg,j)=> j===i?{...pg,visible:!pg.visible}:pg))}
+                        title={g.visible ? 'Click to hide this group' : 'Click to show this group'}
+                        aria-pressed={g.visible}
+                      >
+                        {g.visible ? <span className="text-white text-xs leading-none">✓</span> : null}
+                      </button>
+                      <input
+                        className="flex-1 min-w-0 px-2 py-1 rounded-md border border-slate-300 bg-white text-slate-900"
+                        value={g.name}
+                        onChange={(e)=>setGroups(prev=>prev.map((pg,j)=> j===i?{...pg,name:e.target.value}:pg))}
+                      />
+                      {validation.get(g.id)?.issues.length > 0 && (
+                        <button
+                          className="shrink-0 px-1.5 py-0.5 text-xs rounded-md border border-rose-300 bg-rose-50 text-rose-700"
+                          onClick={()=>setShowDiagnostics(true)}
+                          title="Frames with pose problems; see Diagnostics"
+                        >
+                          ⚠ {validation.get(g.id).issues.length}
+                        </button>
+                      )}
+                      {modifiedFrames.has(g.id) && (
+                        <button
+                          className="shrink-0 px-1.5 py-0.5 text-xs rounded-md border border-amber-300 bg-amber-50 text-amber-800 hover:bg-amber-100"
+                          onClick={()=>pushEdit([{ groupId: g.id, before: g.data, after: g.original }])}
+                          title={`${modifiedFrames.get(g.id)} edited frame${modifiedFrames.get(g.id) === 1 ? '' : 's'}; click to revert to the poses as loaded (undoable)`}
+                        >
+                          ✎ {modifiedFrames.get(g.id)}
+                        </button>
+                      )}
+                      <button
+                        className={`shrink-0 px-1.5 py-0.5 text-xs rounded-md border ${filter.active || filter.error ? 'border-sky-300 bg-sky-50 text-sky-700' : 'border-slate-300 bg-white hover:bg-slate-50'}`}
+                        onClick={()=>setOpenFilters(prev=>({ ...prev, [g.id]: !prev[g.id] }))}
+                        title="Filter frames by file_path, index range, every Nth or time"
+                        aria-pressed={!!openFilters[g.id]}
+                      >
+                        Filter{filter.active ? ' ●' : ''}
+                      </button>
+                      <div className="text-xs opacity-70 whitespace-nowrap ml-auto" title={g.visible ? 'Shown / total frames' : undefined}>
+                        {g.visible ? `${shownPerGroup.get(g.id) ?? 0}/` : ''}{g.data?.frames?.length ?? 0} cams
+                      </div>
+                      <button
+                        className="shrink-0 p-1 rounded-md border border-slate-300 hover:bg-slate-50 bg-white text-slate-700 shadow-sm"
+                        onClick={()=>setGroups(prev=>prev.filter((_,j)=>j!==i))}
+                        aria-label={`Remove group ${g.name}`}
+                        title="Remove group"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4">
+                          <path d="M9 3a1 1 0 0 0-1 1v1H5.5a1 1 0 1 0 0 2H6v12a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2V7h.5a1 1 0 1 0 0-2H16V4a1 1 0 0 0-1-1H9zm2 2h2V5h-2v0zm-2 5a1 1 0 1 1 2 0v8a1 1 0 1 1-2 0V10zm6-1a1 1 0 0 1 1 1v8a1 1 0 1 1-2 0V10a1 1 0 0 1 1-1z" />
+                        </svg>
+                      </button>
+                    </div>
+                    {openFilters[g.id] && (
+                      <div className="flex flex-wrap items-center gap-2 mt-1 pl-8 text-xs">
+                        <input
+                          value={g.filter?.query ?? ''}
+                          onChange={e=>setFilter({ query: e.target.value })}
+                          placeholder="file_path contains… or /regex/"
+                          className="w-44 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                          aria-label="File path filter"
+                        />
+                        <input
+                          value={g.filter?.ranges ?? ''}
+                          onChange={e=>setFilter({ ranges: e.target.value })}
+                          placeholder="indices, e.g. 0-99,200-"
+                          className="w-36 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                          aria-label="Frame index ranges"
+                        />
+                        <label className="flex items-center gap-1">
+                          <span className="opacity-60">every</span>
+                          <input
+                            type="number" min="1" step="1"
+                            value={g.filter?.everyN ?? 1}
+                            onChange={e=>setFilter({ everyN: Math.max(1, parseInt(e.target.value) || 1) })}
+                            className="w-14 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                          />
+                        </label>
+                        <label className="flex items-center gap-1">
+                          <span className="opacity-60">time</span>
+                          <input
+                            type="number" step="any"
+                            value={g.filter?.timeMin ?? ''}
+                            onChange={e=>setFilter({ timeMin: numberOrNull(e.target.value) })}
+                            placeholder="min"
+                            className="w-16 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                          />
+                          –
+                          <input
+                            type="number" step="any"
+                            value={g.filter?.timeMax ?? ''}
+                            onChange={e=>setFilter({ timeMax: numberOrNull(e.target.value) })}
+                            placeholder="max"
+                            className="w-16 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                          />
+                        </label>
+                        {filter.active && (
+                          <button className="px-2 py-0.5 rounded-md border border-slate-300 bg-white hover:bg-slate-50" onClick={()=>setGroups(prev=>prev.map((pg,j)=> j===i?{...pg,filter:{}}:pg))}>
+                            Clear
+                          </button>
+                        )}
+                        {filter.error && <span className="text-rose-600">{filter.error}</span>}
+                      </div>
+                    )}
+                    <div className="flex items-center gap-3 mt-1 pl-8 text-xs">
+                      <label className="flex items-center gap-1" title="Horizontal FOV override in degrees (empty = from dataset intrinsics)">
+                        <span className="opacity-60">FOV°</span>
+                        <input
+                          type="number"
+                          step="0.1"
+                          value={g.overrides?.fovX != null ? +THREE.MathUtils.radToDeg(g.overrides.fovX).toFixed(2) : ''}
+                          placeholder={THREE.MathUtils.radToDeg(auto.fovX).toFixed(1)}
+                          onChange={e=>{
+                            const v = parseFloat(e.target.value);
+                            setOverride('fovX', v > 0 && v < 180 ? THREE.MathUtils.degToRad(v) : null);
+                          }}
+                          className="w-16 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                        />
+                      </label>
+                      <label className="flex items-center gap-1" title="Aspect (width/height) override (empty = from dataset intrinsics)">
+                        <span className="opacity-60">Aspect</span>
+                        <input
+                          type="number"
+                          step="0.01"
+                          value={g.overrides?.aspect ?? ''}
+                          placeholder={auto.aspect.toFixed(3)}
+                          onChange={e=>{
+                            const v = parseFloat(e.target.value);
+                            setOverride('aspect', v > 0 ? v : null);
+                          }}
+                          className="w-16 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                        />
+                      </label>
+                      {(auto.px !== 0.5 || auto.py !== 0.5) && (
+                        <span className="opacity-60" title="Normalized principal point (cx/w, cy/h)">pp {auto.px.toFixed(3)}, {auto.py.toFixed(3)}</span>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2 mt-1 pl-8 text-xs">
+                      <select
+                        value={g.convention?.axes ?? 'opengl'}
+                        onChange={e=>setGroups(prev=>prev.map((pg,j)=> j===i?{...pg,convention:withAxesPreset(pg.convention, e.target.value)}:pg))}
+                        className="min-w-0 px-1 py-0.5 rounded-md border border-slate-300 bg-white"
+                        title="Camera-axis convention of this group's transform_matrix"
+                      >
+                        {Object.entries(CAMERA_CONVENTIONS).map(([key, c]) => <option key={key} value={key}>{c.label}</option>)}
+                      </select>
+                      <select
+                        value={g.convention?.pose ?? ''}
+                        onChange={e=>setConvention({ pose: e.target.value || null })}
+                        className="px-1 py-0.5 rounded-md border border-slate-300 bg-white"
+                        title="Whether transform_matrix is camera-to-world or world-to-camera"
+                      >
+                        <option value="">{invertMatrices ? 'w2c' : 'c2w'} (global)</option>
+                        <option value="c2w">c2w</option>
+                        <option value="w2c">w2c</option>
+                      </select>
+                      <select
+                        value={g.convention?.worldUp ?? ''}
+                        onChange={e=>setConvention({ worldUp: e.target.value || null })}
+                        className="px-1 py-0.5 rounded-md border border-slate-300 bg-white"
+                        title="World up axis of this group's data"
+                      >
+                        <option value="">{worldUp.toUpperCase()}-up (global)</option>
+                        <option value="y">Y-up</option>
+                        <option value="z">Z-up</option>
+                      </select>
+                      <button
+                        className="px-2 py-0.5 text-xs rounded-md border border-slate-300 bg-white hover:bg-slate-50"
+                        onClick={()=>setConventionHints(prev=>({ ...prev, [g.id]: detectConvention(g.data?.frames) }))}
+                        title="Suggest the convention under which the cameras look toward a common region"
+                      >
+                        Auto
+                      </button>
+                    </div>
+                    {hint !== undefined && (
+                      <div className="flex items-center gap-2 mt-1 pl-8 text-xs text-slate-600">
+                        {hint ? (
+                          <>
+                            <span>
+                              Suggested: {CAMERA_CONVENTIONS[hint.axes].label.split(' (')[0]} · {hint.pose} · {hint.worldUp.toUpperCase()}-up
+                              <span className="opacity-60"> (score {hint.score.toFixed(2)})</span>
+                            </span>
+                            <button
+                              className="px-2 py-0.5 rounded-md border border-slate-300 bg-white hover:bg-slate-50"
+                              onClick={()=>{
+                                setConvention({ axes: hint.axes, pose: hint.pose, worldUp: hint.worldUp });
+                                setConventionHints(prev=>{ const next = { ...prev }; delete next[g.id]; return next; });
+                              }}
+                            >
+                              Apply
+                            </button>
+                          </>
+                        ) : (
+                          <span>Cannot suggest a convention: cameras do not converge on a common region.</span>
+                        )}
+                      </div>
+                    )}
+                    {traj?.stats && (
+                      <div className="mt-1 pl-8 text-xs text-slate-600 tabular-nums">
+                        <div>
+                          Path {traj.stats.length.toFixed(3)} ({traj.byTime ? 'time' : 'frame'} order)
+                          {' · '}step {traj.stats.distance.min.toFixed(3)}/{traj.stats.distance.median.toFixed(3)}/{traj.stats.distance.max.toFixed(3)}
+                          {' · '}rot {[traj.stats.angle.min, traj.stats.angle.median, traj.stats.angle.max].map((a) => THREE.MathUtils.radToDeg(a).toFixed(1)).join('°/')}°
+                          <span className="opacity-60"> (min/median/max)</span>
+                        </div>
+                        {traj.outliers.length > 0 && (
+                          <div
+                            className="text-rose-600"
+                            title={traj.outliers.slice(0, 20).map((i) => {
+                              const st = traj.steps[i];
+                              return `frame ${st.from.index} → ${st.to.index} (${st.to.label}): ${st.distance.toFixed(3)}, ${THREE.MathUtils.radToDeg(st.angle).toFixed(1)}°`;
+                            }).join('\n')}
+                          >
+                            {traj.outliers.length} outlier step{traj.outliers.length === 1 ? '' : 's'} (&gt; {outlierFactor}× median)
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            {clouds.length > 0 && (
+              <>
+                <div className="font-semibold mt-3 mb-2">Point clouds</div>
+                <div className="flex flex-col divide-y divide-slate-200">
+                  {clouds.map((c) => (
+                    <div key={c.id} className="py-2 flex items-center gap-3">
+                      <button
+                        className={`shrink-0 w-5 h-5 rounded-none flex items-center justify-center transition-all ${c.visible ? 'ring-2 ring-slate-400' : ''}`}
+                        style={{ background: c.color }}
+                        onClick={() => setClouds(prev=>prev.map((pc)=> pc.id===c.id?{...pc,visible:!pc.visible}:pc))}
+                        title={c.visible ? 'Click to hide this point cloud' : 'Click to show this point cloud'}
+                        aria-pressed={c.visible}
+                      >
+                        {c.visible ? <span className="text-white text-xs leading-none">✓</span> : null}
+                      </button>
+                      <div className="min-w-0 truncate" title={c.name}>{c.name}</div>
+                      <div className="text-xs opacity-70 whitespace-nowrap ml-auto">
+                        {c.cloud.count.toLocaleString()} pts{c.cloud.colors ? '' : ' (no colors)'}
+                      </div>
+                      <button
+                        className="shrink-0 p-1 rounded-md border border-slate-300 hover:bg-slate-50 bg-white text-slate-700 shadow-sm"
+                        onClick={() => setClouds(prev=>prev.filter((pc)=>pc.id!==c.id))}
+                        title="Remove point cloud"
+                        aria-label="Remove point cloud"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4">
+                          <path d="M9 3a1 1 0 0 0-1 1v1H5.5a1 1 0 1 0 0 2H6v12a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2V7h.5a1 1 0 1 0 0-2H16V4a1 1 0 0 0-1-1H9zm2 2h2V5h-2v0zm-2 5a1 1 0 1 1 2 0v8a1 1 0 1 1-2 0V10zm6-1a1 1 0 0 1 1 1v8a1 1 0 1 1-2 0V10a1 1 0 0 1 1-1z" />
+                        </svg>
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+            {meshes.length > 0 && (
+              <>
+                <div className="font-semibold mt-3 mb-2">Meshes</div>
+                <div className="flex flex-col divide-y divide-slate-200">
+                  {meshes.map((m) => {
+                    const setMesh = (patch) => setMeshes(prev=>prev.map((pm)=> pm.id===m.id?{...pm,...patch}:pm));
+                    const setVector = (key, axis, value) => {
+                      if (!Number.isFinite(value)) return;
+                      setMesh({ [key]: m[key].map((v, k) => (k === axis ? value : v)) });
+                    };
+                    return (
+                      <div key={m.id} className="py-2">
+                        <div className="flex items-center gap-3">
+                          <button
+                            className={`shrink-0 w-5 h-5 rounded-none flex items-center justify-center transition-all bg-slate-400 ${m.visible ? 'ring-2 ring-slate-400' : ''}`}
+                            onClick={() => setMesh({ visible: !m.visible })}
+                            title={m.visible ? 'Click to hide this mesh' : 'Click to show this mesh'}
+                            aria-pressed={m.visible}
+                          >
+                            {m.visible ? <span className="text-white text-xs leading-none">✓</span> : null}
+                          </button>
+                          <div className="min-w-0 truncate" title={m.name}>{m.name}</div>
+                          <button
+                            className="shrink-0 ml-auto p-1 rounded-md border border-slate-300 hover:bg-slate-50 bg-white text-slate-700 shadow-sm"
+                            onClick={() => {
+                              setMeshes(prev=>prev.filter((pm)=>pm.id!==m.id));
+                            }}
+                            title="Remove mesh"
+                            aria-label="Remove mesh"
+                          >
+                            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4">
+                              <path d="M9 3a1 1 0 0 0-1 1v1H5.5a1 1 0 1 0 0 2H6v12a2 2 0 0 0 2 2h8a2 2 0 0 0 2-2V7h.5a1 1 0 1 0 0-2H16V4a1 1 0 0 0-1-1H9zm2 2h2V5h-2v0zm-2 5a1 1 0 1 1 2 0v8a1 1 0 1 1-2 0V10zm6-1a1 1 0 0 1 1 1v8a1 1 0 1 1-2 0V10a1 1 0 0 1 1-1z" />
+                            </svg>
+                          </button>
+                        </div>
+                        <div className="flex items-center gap-3 mt-1 pl-8 text-xs">
+                          <label className="flex items-center gap-1">
+                            <span className="opacity-60">Opacity</span>
+                            <input type="range" min="0.05" max="1" step="0.05" value={m.opacity} onChange={e=>setMesh({ opacity: parseFloat(e.target.value) })} className="w-20" aria-label="Mesh opacity" />
+                          </label>
+                          <label className="flex items-center gap-1">
+                            <input type="checkbox" checked={m.wireframe} onChange={e=>setMesh({ wireframe: e.target.checked })} /> Wireframe
+                          </label>
+                          <label className="flex items-center gap-1" title="Uniform scale">
+                            <span className="opacity-60">Scale</span>
+                            <input
+                              type="number" step="0.1"
+                              value={m.scale}
+                              onChange={e=>{
+                                const v = parseFloat(e.target.value);
+                                if (v > 0) setMesh({ scale: v });
+                              }}
+                              className="w-16 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                            />
+                          </label>
+                        </div>
+                        {[['position', 'Position', 0.1], ['rotation', 'Rotation°', 5]].map(([key, label, step]) => (
+                          <div key={key} className="flex items-center gap-1 mt-1 pl-8 text-xs">
+                            <span className="w-16 opacity-60">{label}</span>
+                            {['X', 'Y', 'Z'].map((axis, k) => (
+                              <input
+                                key={axis}
+                                type="number" step={step}
+                                value={m[key][k]}
+                                onChange={e=>setVector(key, k, parseFloat(e.target.value))}
+                                className="w-20 px-2 py-0.5 rounded-md border border-slate-300 bg-white"
+                                aria-label={`${label} ${axis}`}
+                                title={`${axis} (data coordinates)`}
+                              />
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+        {navigation !== 'orbit' && !lookCamera && (
+          <div className="absolute left-1/2 -translate-x-1/2 top-4 z-10 rounded-lg bg-white/85 backdrop-blur border border-slate-300 shadow-sm px-3 py-1.5 text-xs pointer-events-none">
+            <span className="font-semibold">{navigation === 'walk' ? 'Walk' : 'Fly'}</span>
+            <span className="opacity-70"> · WASD/arrows move{navigation === 'walk' ? ' (level)' : ' · Q/E down/up'} · drag to look · Shift faster · wheel: speed · Esc: orbit</span>
+          </div>
+        )}
+        {colorScale && Number.isFinite(colorScale.min) && (
+          <div className="absolute left-4 bottom-4 z-10 w-[220px] rounded-lg bg-white/85 backdrop-blur border border-slate-300 shadow-sm px-3 py-2 text-xs pointer-events-none">
+            <div className="font-semibold truncate">{colorScale.title}</div>
+            <div className="h-2.5 mt-1 rounded-sm" style={{ background: colormapGradient(colorScale.colormap) }} />
+            <div className="flex justify-between tabular-nums opacity-70 mt-0.5">
+              <span>{formatLegendValue(colorScale.min)}</span>
+              <span>{formatLegendValue((colorScale.min + colorScale.max) / 2)}</span>
+              <span>{formatLegendValue(colorScale.max)}</span>
             </div>
+            {colorScale.missing > 0 && (
+              <div className="flex items-center gap-1 mt-0.5 opacity-70">
+                <span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ background: MISSING_VALUE_COLOR }} />
+                {colorScale.missing} without a value
+              </div>
+            )}
           </div>
         )}
         <Canvas
           className="w-full h-full"
-          camera={{ position: [6, 4, 6], fov: 50 }}
+          camera={{ position: [6, 4, 6], fov: ORBIT_FOV }}
           gl={{ preserveDrawingBuffer: true }}
           onCreated={({ gl }) => { canvasRef.current = gl.domElement; }}
           dpr={[1, 2]}
           raycaster={{ params: { Line: { threshold: 0.1 }}}}
           onPointerDown={(e)=>e.stopPropagation()}
-          onPointerMissed={() => setSelectedId(null)}
+          onMouseDown={(e)=>e.stopPropagation()}
+          onPointerMissed={(e) => { if (clickClearsSelection(e, { pickedEvent: pickedClick.current, editMode })) setSelectedId(null); }}
         >
-          <CaptureRegistrar setSavePngFn={setSavePngFn} />
+          <CaptureRegistrar setCaptureApi={setCaptureApi} />
+          <ProjectionRegistrar setProjectFn={setProjectFn} />
+          <ViewRegistrar setViewApi={setViewApi} />
           <Scene
-            cameras={cameras}
-            controls={{ fovX, aspect, near: nearScaled, far: farScaled, showGrid, showAxes, showLabels }}
-            selectedId={selectedId}
-            setSelectedId={setSelectedId}
+            cameras={drawnCameras}
+            paths={trails}
+            trajectories={trajectories.filter((t) => t.points.length > 1)}
+            pointClouds={shownClouds}
+            meshes={shownMeshes}
+            segments={[errorSegments, covisibilitySegments].filter(Boolean)}
+            fitBounds={cloudBounds}
+            controls={{ near: nearScaled, far: farScaled, showGrid, showAxes, showLabels, showImages, imageOpacity, pointSize, pointStride }}
+            selectedIds={selectedIds}
+            onSelect={selectInView}
+            lookCamera={lookCamera}
+            gizmo={editMode && editPivot ? { pivot: editPivot, mode: gizmoMode, onPreview: setEditPreview, onCommit: commitPoseEdit } : null}
+            projection={projection}
+            navigation={navigation}
+            onImageError={reportImageError}
+            toolbar={
+              <ViewToolbar
+                projection={projection}
+                onProjection={changeProjection}
+                navigation={navigation}
+                onNavigation={changeNavigation}
+                onPreset={showPreset}
+              />
+            }
           />
         </Canvas>
       </div>
 
       {/* Bottom controls bar (moved from top) */}
       <div className="sticky bottom-0 z-20 backdrop-blur bg-white/70 border-t border-black/5">
-        <div className="max-w-6xl mx-auto px-4 py-3 flex flex-wrap items-center gap-3 text-sm">
-          <div className="flex items-center gap-1">
-            <span className="opacity-60">Aspect</span>
-            <input type="number" step="0.01" value={aspect} onChange={e=>setAspect(parseFloat(e.target.value)||1)} className="w-20 px-2 py-1 rounded-md border border-black/10" />
+        {/* Timeline (only when some visible frame has a "time" value) */}
+        {timeInfo && (
+          <div className="max-w-6xl mx-auto px-4 pt-3 flex flex-wrap items-center gap-3 text-sm">
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={timelineOn}
+                onChange={e=>{
+                  setTimelineOn(e.target.checked);
+                  if (!e.target.checked) setPlaying(false);
+                  setTimeCursor((t) => Math.min(timeInfo.max, Math.max(timeInfo.min, t)));
+                }}
+              /> Timeline
+            </label>
+            <button
+              className="px-2 py-0.5 text-sm rounded-md border border-black/10 bg-white hover:bg-slate-50 disabled:opacity-50"
+              onClick={()=>setPlaying(p=>!p)}
+              disabled={!timelineOn}
+              aria-label={playing ? 'Pause' : 'Play'}
+            >
+              {playing ? 'Pause' : 'Play'}
+            </button>
+            <div className="relative flex-1 min-w-[160px]">
+              <input
+                type="range"
+                min={timeInfo.min}
+                max={timeInfo.max}
+                step={timeInfo.span / 1000}
+                value={Math.min(timeInfo.max, Math.max(timeInfo.min, timeCursor))}
+                onChange={e=>setTimeCursor(parseFloat(e.target.value))}
+                disabled={!timelineOn}
+                className="w-full"
+                aria-label="Time"
+              />
+              {/* Out-of-order frames as red ticks along the scrubber */}
+              <div className="absolute inset-x-0 -bottom-1 h-1 pointer-events-none">
+                {timeInfo.outOfOrder.map((c) => (
+                  <div
+                    key={c.id}
+                    className="absolute top-0 w-px h-full bg-rose-600"
+                    style={{ left: `${((c.time - timeInfo.min) / timeInfo.span) * 100}%` }}
+                  />
+                ))}
+              </div>
+            </div>
+            <span className="tabular-nums opacity-70">t = {Math.min(timeInfo.max, Math.max(timeInfo.min, timeCursor)).toFixed(3)}</span>
+            <select value={playSpeed} onChange={e=>setPlaySpeed(parseFloat(e.target.value))} className="px-2 py-1 rounded-md border border-black/10" title="Playback speed">
+              {[0.25, 0.5, 1, 2, 4].map((v) => <option key={v} value={v}>{v}×</option>)}
+            </select>
+            <select value={timeMode} onChange={e=>setTimeMode(e.target.value)} className="px-2 py-1 rounded-md border border-black/10">
+              <option value="window">Show time window</option>
+              <option value="highlight">Highlight current, fade rest</option>
+            </select>
+            {timeMode === 'window' && (
+              <label className="flex items-center gap-1" title="Window width as a fraction of the time range">
+                <span className="opacity-60">Window</span>
+                <input type="range" min="0.01" max="1" step="0.01" value={timeWindow} onChange={e=>setTimeWindow(parseFloat(e.target.value))} className="w-20" />
+              </label>
+            )}
+            <label className="flex items-center gap-1" title="Trail of recent camera centers, as a fraction of the time range (0 = off)">
+              <span className="opacity-60">Trail</span>
+              <input type="range" min="0" max="1" step="0.01" value={trailLength} onChange={e=>setTrailLength(parseFloat(e.target.value))} className="w-20" />
+            </label>
+            {timeInfo.outOfOrder.length > 0 && (
+              <span
+                className="text-rose-600 font-medium"
+                title={timeInfo.outOfOrder.slice(0, 20).map((c) => `${c.label} (frame ${c.index}, t=${c.time})`).join('\n')}
+              >
+                {timeInfo.outOfOrder.length} frame{timeInfo.outOfOrder.length === 1 ? '' : 's'} out of time order
+              </span>
+            )}
           </div>
+        )}
+        <div className="max-w-6xl mx-auto px-4 py-3 flex flex-wrap items-center gap-3 text-sm">
           <div className="flex items-center gap-1">
             <span className="opacity-60">Near</span>
             <input type="number" step="0.01" value={near} onChange={e=>setNear(Math.max(0.001, parseFloat(e.target.value)||0.1))} className="w-20 px-2 py-1 rounded-md border border-black/10" />
@@ -671,14 +4499,132 @@ export default function CameraFrustumsApp() {
             <label className="flex items-center gap-1"><input type="checkbox" checked={showGrid} onChange={e=>setShowGrid(e.target.checked)} /> Grid</label>
             <label className="flex items-center gap-1"><input type="checkbox" checked={showAxes} onChange={e=>setShowAxes(e.target.checked)} /> Axes</label>
             <label className="flex items-center gap-1"><input type="checkbox" checked={showLabels} onChange={e=>setShowLabels(e.target.checked)} /> Labels</label>
-            <label className="flex items-center gap-1"><input type="checkbox" checked={invertMatrices} onChange={e=>setInvertMatrices(e.target.checked)} /> Invert matrices</label>
-            <label className="flex items-center gap-1">
+            <label className="flex items-center gap-1" title="Default for groups without their own c2w/w2c setting"><input type="checkbox" checked={invertMatrices} onChange={e=>setInvertMatrices(e.target.checked)} /> Invert matrices</label>
+            <label className="flex items-center gap-1" title="Default for groups without their own world up setting">
               <span className="opacity-60">World Up</span>
               <select value={worldUp} onChange={e=>setWorldUp(e.target.value)} className="px-2 py-1 rounded-md border border-black/10">
                 <option value="y">Y-up (Three)</option>
                 <option value="z">Z-up (Blender)</option>
               </select>
             </label>
+            <label className="flex items-center gap-1" title={hasImageSources ? 'Show source images on the frustum far planes' : 'Drop or load the image folder to show images'}>
+              <input type="checkbox" checked={showImages} disabled={!hasImageSources} onChange={e=>setShowImages(e.target.checked)} /> Images
+            </label>
+            {showImages && hasImageSources && (
+              <input
+                type="range"
+                min="0.05"
+                max="1"
+                step="0.05"
+                value={imageOpacity}
+                onChange={e=>setImageOpacity(parseFloat(e.target.value))}
+                className="w-20"
+                title={`Image opacity (${Math.round(imageOpacity * 100)}%)`}
+                aria-label="Image opacity"
+              />
+            )}
+            <label className="flex items-center gap-1" title="Connect camera centers of each group in frame (or time) order"><input type="checkbox" checked={showPaths} onChange={e=>setShowPaths(e.target.checked)} /> Paths</label>
+            {showPaths && (
+              <label className="flex items-center gap-1" title="Highlight steps whose distance or rotation exceeds this multiple of the group's median step">
+                <span className="opacity-60">Outlier ×</span>
+                <input type="number" step="0.5" min="1" value={outlierFactor} onChange={e=>setOutlierFactor(Math.max(1, parseFloat(e.target.value)||3))} className="w-16 px-2 py-1 rounded-md border border-black/10" />
+              </label>
+            )}
+            <label className="flex items-center gap-1" title="Color cameras by their group or by a per-frame value through a colormap">
+              <span className="opacity-60">Color</span>
+              <select value={colorBy.attribute} onChange={e=>setColorBy((prev) => ({ ...prev, attribute: e.target.value, min: null, max: null }))} className="px-2 py-1 rounded-md border border-black/10">
+                {Object.entries(COLOR_ATTRIBUTES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                {frameFields.length > 0 && (
+                  <optgroup label="Frame fields">
+                    {frameFields.map((name) => <option key={name} value={`field:${name}`}>{name}</option>)}
+                  </optgroup>
+                )}
+                {colorBy.attribute.startsWith('field:') && !frameFields.includes(colorBy.attribute.slice(6)) && (
+                  <option value={colorBy.attribute}>{colorBy.attribute.slice(6)}</option>
+                )}
+              </select>
+            </label>
+            {colorBy.attribute !== 'group' && (
+              <>
+                <select value={colorBy.colormap} onChange={e=>setColorBy((prev) => ({ ...prev, colormap: e.target.value }))} className="px-2 py-1 rounded-md border border-black/10" aria-label="Colormap">
+                  {Object.entries(COLORMAPS).map(([name, m]) => <option key={name} value={name}>{m.label}</option>)}
+                </select>
+                {['min', 'max'].map((key) => (
+                  <label key={key} className="flex items-center gap-1" title={`Values beyond this take the ${key === 'min' ? 'first' : 'last'} colormap color; empty = ${key} of the shown cameras`}>
+                    <span className="opacity-60">{key === 'min' ? 'Min' : 'Max'}</span>
+                    <input
+                      type="number"
+                      step="any"
+                      value={colorBy[key] ?? ''}
+                      placeholder={colorScale && Number.isFinite(colorScale[key]) ? formatLegendValue(colorScale[key]) : 'auto'}
+                      onChange={e=>{
+                        const v = parseFloat(e.target.value);
+                        setColorBy((prev) => ({ ...prev, [key]: Number.isFinite(v) ? v : null }));
+                      }}
+                      className="w-20 px-2 py-1 rounded-md border border-black/10"
+                    />
+                  </label>
+                ))}
+              </>
+            )}
+            {clouds.length > 0 && (
+              <>
+                <label className="flex items-center gap-1" title="Point size in pixels">
+                  <span className="opacity-60">Points</span>
+                  <input type="range" min="1" max="10" step="0.5" value={pointSize} onChange={e=>setPointSize(parseFloat(e.target.value))} className="w-20" aria-label="Point size" />
+                </label>
+                <label className="flex items-center gap-1" title="Draw every Nth point of large clouds">
+                  <span className="opacity-60">Every</span>
+                  <input type="number" min="1" step="1" value={pointStride} onChange={e=>setPointStride(Math.max(1, parseInt(e.target.value)||1))} className="w-16 px-2 py-1 rounded-md border border-black/10" />
+                </label>
+                <label className="flex items-center gap-1" title="Include visible point clouds in Fit View"><input type="checkbox" checked={fitIncludesPoints} onChange={e=>setFitIncludesPoints(e.target.checked)} /> Fit points</label>
+              </>
+            )}
+            <div className="flex items-center gap-1" title="Drag in the view to select cameras (Shift adds to the selection, Esc leaves the mode). Shift-click also adds single cameras.">
+              <span className="opacity-60">Select</span>
+              {[['box', 'Box'], ['lasso', 'Lasso']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  className={`px-2 py-1 rounded-md border border-black/10 ${selectMode === mode ? 'bg-slate-900 text-white hover:bg-slate-700' : 'bg-white hover:bg-slate-50'}`}
+                  onClick={()=>setSelectMode((m) => (m === mode ? null : mode))}
+                  aria-pressed={selectMode === mode}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {groups.length > 1 && (
+              <button
+                className={`px-2 py-1 rounded-md border border-black/10 ${compare.enabled ? 'bg-slate-900 text-white hover:bg-slate-700' : 'bg-white hover:bg-slate-50'}`}
+                onClick={()=>setShowCompare((v) => !v)}
+                title="Align two groups and report trajectory errors (ATE/RPE)"
+              >
+                Compare…
+              </button>
+            )}
+            <button
+              className={`px-2 py-1 rounded-md border border-black/10 ${normalize.enabled ? 'bg-slate-900 text-white hover:bg-slate-700' : 'bg-white hover:bg-slate-50'}`}
+              onClick={()=>setShowNormalize((v) => !v)}
+              title="Recenter, rescale and orient the scene"
+            >
+              Normalize…
+            </button>
+            <button
+              className={`px-2 py-1 rounded-md border border-black/10 ${showCoverage ? 'bg-slate-900 text-white hover:bg-slate-700' : 'bg-white hover:bg-slate-50'}`}
+              onClick={()=>setShowCoverage((v) => !v)}
+              title="Viewing-direction coverage and co-visibility between cameras"
+            >
+              Coverage…
+            </button>
+            <button
+              className={`px-2 py-1 rounded-md border border-black/10 disabled:opacity-40 ${editMode ? 'bg-slate-900 text-white hover:bg-slate-700' : 'bg-white hover:bg-slate-50'}`}
+              onClick={()=>{ setEditMode((v) => !v); setEditPreview(null); }}
+              disabled={!groups.length}
+              title="Move, rotate or scale selected cameras or a whole group, with undo/redo"
+              aria-pressed={editMode}
+            >
+              Edit…
+            </button>
             <label className="flex items-center gap-1"><input type="checkbox" checked={showDiagnostics} onChange={e=>setShowDiagnostics(e.target.checked)} /> Diagnostics</label>
           </div>
         </div>
@@ -690,8 +4636,80 @@ export default function CameraFrustumsApp() {
           {groups.length ? (
             <>
               Loaded <span className="font-semibold">{groups.reduce((s,g)=>s+(g.data?.frames?.length||0),0)}</span> cameras in {groups.length} group{groups.length===1?'':'s'}
-              {typeof fovX === 'number' && (
-                <> • FOVx = {fovX.toFixed(4)} rad ({THREE.MathUtils.radToDeg(fovX).toFixed(1)}°)</>
+              <ul className="list-disc ml-5">
+                {groups.map((g)=>{
+                  const k = resolveIntrinsics(g, g.data?.frames?.[0]);
+                  return (
+                    <li key={g.id}>
+                      {g.name}: FOVx = {k.fovX.toFixed(4)} rad ({THREE.MathUtils.radToDeg(k.fovX).toFixed(1)}°) • aspect {k.aspect.toFixed(3)}
+                      {g.overrides?.fovX != null || g.overrides?.aspect != null ? ' (overridden)' : ''}
+                    </li>
+                  );
+                })}
+              </ul>
+              {shownCameras.length > INSTANCED_THRESHOLD && (
+                <div>Instanced rendering ({shownCameras.length} &gt; {INSTANCED_THRESHOLD} cameras): labels and images are drawn for the {MAX_NEARBY_CAMERAS} nearest cameras in view</div>
+              )}
+              <div className="mt-2 flex items-center gap-2">
+                <span className="font-semibold">Pose validation</span>
+                <label className="flex items-center gap-1">
+                  <span className="opacity-60">Bad frames</span>
+                  <select value={badFramePolicy} onChange={e=>setBadFramePolicy(e.target.value)} className="px-2 py-0.5 rounded-md border border-black/10">
+                    <option value="keep">Keep (highlight in red)</option>
+                    <option value="fix">Fix (re-orthonormalize)</option>
+                    <option value="skip">Skip</option>
+                  </select>
+                </label>
+              </div>
+              {groups.map((g) => {
+                const report = validation.get(g.id);
+                if (!report) return null;
+                return (
+                  <div key={g.id} className="mt-1">
+                    <span className="font-medium">{g.name}</span>:{' '}
+                    {report.issues.length ? (
+                      <span className="text-rose-700">
+                        {report.issues.length} of {g.data.frames.length} frames flagged ({report.errors} error{report.errors === 1 ? '' : 's'}, {report.warnings} warning{report.warnings === 1 ? '' : 's'})
+                      </span>
+                    ) : (
+                      <span className="text-green-700">all {g.data.frames.length} frames OK</span>
+                    )}
+                    {report.issues.length > 0 && (
+                      <ul className="list-disc ml-5 max-h-48 overflow-auto text-xs">
+                        {report.issues.slice(0, MAX_LISTED_ISSUES).map((issue) => (
+                          <li key={issue.index}>
+                            #{issue.index} <span className="font-mono">{issue.file_path ?? '(no file_path)'}</span>:{' '}
+                            {issue.problems.map((p, k) => (
+                              <span key={k} className={p.severity === 'error' ? 'text-rose-700' : 'text-amber-700'}>
+                                {k > 0 ? '; ' : ''}{p.message}
+                              </span>
+                            ))}
+                          </li>
+                        ))}
+                        {report.issues.length > MAX_LISTED_ISSUES && <li>…and {report.issues.length - MAX_LISTED_ISSUES} more</li>}
+                      </ul>
+                    )}
+                    {imageFailures.get(g.id)?.length > 0 && (
+                      <>
+                        <div className="text-amber-700">
+                          {imageFailures.get(g.id).length} image{imageFailures.get(g.id).length === 1 ? '' : 's'} could not be loaded
+                        </div>
+                        <ul className="list-disc ml-5 max-h-48 overflow-auto text-xs">
+                          {imageFailures.get(g.id).slice(0, MAX_LISTED_ISSUES).map((c) => (
+                            <li key={c.id}>
+                              #{c.index} <span className="font-mono">{c.frame.file_path ?? '(no file_path)'}</span>:{' '}
+                              <span className="text-amber-700">{imageErrors.get(c.imageFile)}</span>
+                            </li>
+                          ))}
+                          {imageFailures.get(g.id).length > MAX_LISTED_ISSUES && <li>…and {imageFailures.get(g.id).length - MAX_LISTED_ISSUES} more</li>}
+                        </ul>
+                      </>
+                    )}
+                  </div>
+                );
+              })}
+              {hasImageSources && (
+                <div>Images matched to {cameras.filter((c) => c.imageFile).length} of {cameras.length} visible cameras</div>
               )}
             </>
           ) : (
@@ -0,0 +1,309 @@
+/**
+ * COLMAP sparse model import
+ *
+ * - Parses cameras.txt/images.txt and cameras.bin/images.bin as written by COLMAP's model writer, and
+ *   points3D.txt/.bin into flat position/color arrays for the point cloud overlay.
+ * - Converts world-to-camera poses (quaternion + translation, OpenCV axes: +X right, +Y down, +Z forward)
+ *   into camera-to-world transform_matrix rows in the viewer's convention (-Z forward, +Y up).
+ * - Produces one transforms.json-style dataset per COLMAP camera id, with Instant-NGP/nerfstudio
+ *   intrinsics (fl_x, fl_y, cx, cy, w, h) and distortion coefficients where the model has them.
+ * - Writes cameras.txt and images.txt from intrinsics and world-to-camera poses for exporting back to COLMAP.
+ */
+
+// Model id -> name and parameter names, in COLMAP's order (src/colmap/sensor/models.h)
+const CAMERA_MODELS = {
+  0: { name: "SIMPLE_PINHOLE", params: ["f", "cx", "cy"] },
+  1: { name: "PINHOLE", params: ["fx", "fy", "cx", "cy"] },
+  2: { name: "SIMPLE_RADIAL", params: ["f", "cx", "cy", "k1"] },
+  3: { name: "RADIAL", params: ["f", "cx", "cy", "k1", "k2"] },
+  4: { name: "OPENCV", params: ["fx", "fy", "cx", "cy", "k1", "k2", "p1", "p2"] },
+  5: { name: "OPENCV_FISHEYE", params: ["fx", "fy", "cx", "cy", "k1", "k2", "k3", "k4"] },
+  6: { name: "FULL_OPENCV", params: ["fx", "fy", "cx", "cy", "k1", "k2", "p1", "p2", "k3", "k4", "k5", "k6"] },
+  7: { name: "FOV", params: ["fx", "fy", "cx", "cy", "omega"] },
+  8: { name: "SIMPLE_RADIAL_FISHEYE", params: ["f", "cx", "cy", "k1"] },
+  9: { name: "RADIAL_FISHEYE", params: ["f", "cx", "cy", "k1", "k2"] },
+  10: { name: "THIN_PRISM_FISHEYE", params: ["fx", "fy", "cx", "cy", "k1", "k2", "p1", "p2", "k3", "k4", "sx1", "sy1"] },
+  11: { name: "RAD_TAN_THIN_PRISM_FISHEYE", params: ["fx", "fy", "cx", "cy", "k0", "k1", "k2", "k3", "k4", "k5", "p0", "p1", "s0", "s1", "s2", "s3"] },
+};
+
+const MODEL_BY_NAME = Object.fromEntries(Object.entries(CAMERA_MODELS).map(([id, m]) => [m.name, { id: Number(id), ...m }]));
+
+const COLMAP_FILE_RE = /(^|\/)(cameras|images|points3D)\.(txt|bin)$/i;
+
+export function colmapFileKind(name) {
+  // returns { kind: 'cameras'|'images'|'points3D', format: 'txt'|'bin' } for COLMAP model files, else null
+  const m = COLMAP_FILE_RE.exec(name || "");
+  if (!m) return null;
+  const kind = m[2].toLowerCase();
+  return { kind: kind === "points3d" ? "points3D" : kind, format: m[3].toLowerCase() };
+}
+
+// -------------------------- Parsing --------------------------
+
+function dataLines(text) {
+  return text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+}
+
+export function parseCamerasText(text) {
+  // CAMERA_ID MODEL WIDTH HEIGHT PARAMS[]
+  const cameras = new Map();
+  for (const line of dataLines(text)) {
+    const [id, modelName, w, h, ...params] = line.split(/\s+/);
+    const model = MODEL_BY_NAME[modelName];
+    if (!model) throw new Error(`cameras.txt: unsupported camera model '${modelName}'`);
+    cameras.set(Number(id), { id: Number(id), model: model.name, width: Number(w), height: Number(h), params: params.map(Number) });
+  }
+  return cameras;
+}
+
+export function parseImagesText(text) {
+  // Two lines per image: IMAGE_ID QW QX QY QZ TX TY TZ CAMERA_ID NAME, then POINTS2D (possibly empty)
+  const images = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) continue;
+    const tok = line.split(/\s+/);
+    if (tok.length < 10) throw new Error(`images.txt: malformed line ${i + 1}`);
+    images.push({
+      id: Number(tok[0]),
+      qvec: tok.slice(1, 5).map(Number),
+      tvec: tok.slice(5, 8).map(Number),
+      cameraId: Number(tok[8]),
+      name: tok.slice(9).join(" "),
+    });
+    i++; // skip the POINTS2D line
+  }
+  return images;
+}
+
+function binaryReader(buffer) {
+  const view = new DataView(buffer);
+  let o = 0;
+  const ensure = (n) => {
+    if (o + n > view.byteLength) throw new Error("Unexpected end of COLMAP binary file");
+  };
+  return {
+    i32() { ensure(4); const v = view.getInt32(o, true); o += 4; return v; },
+    u8() { ensure(1); return view.getUint8(o++); },
+    u64() { ensure(8); const v = Number(view.getBigUint64(o, true)); o += 8; return v; },
+    f64() { ensure(8); const v = view.getFloat64(o, true); o += 8; return v; },
+    skip(n) { ensure(n); o += n; },
+    cstring() {
+      const bytes = [];
+      for (;;) {
+        ensure(1);
+        const b = view.getUint8(o++);
+        if (b === 0) break;
+        bytes.push(b);
+      }
+      return new TextDecoder().decode(new Uint8Array(bytes));
+    },
+  };
+}
+
+export function parseCamerasBinary(buffer) {
+  const r = binaryReader(buffer);
+  const cameras = new Map();
+  const count = r.u64();
+  for (let i = 0; i < count; i++) {
+    const id = r.i32();
+    const modelId = r.i32();
+    const model = CAMERA_MODELS[modelId];
+    if (!model) throw new Error(`cameras.bin: unsupported camera model id ${modelId}`);
+    const width = r.u64();
+    const height = r.u64();
+    const params = model.params.map(() => r.f64());
+    cameras.set(id, { id, model: model.name, width, height, params });
+  }
+  return cameras;
+}
+
+export function parseImagesBinary(buffer) {
+  const r = binaryReader(buffer);
+  const images = [];
+  const count = r.u64();
+  for (let i = 0; i < count; i++) {
+    const id = r.i32();
+    const qvec = [r.f64(), r.f64(), r.f64(), r.f64()];
+    const tvec = [r.f64(), r.f64(), r.f64()];
+    const cameraId = r.i32();
+    const name = r.cstring();
+    const numPoints2D = r.u64();
+    r.skip(numPoints2D * 24); // x, y (double) + point3D_id (int64)
+    images.push({ id, qvec, tvec, cameraId, name });
+  }
+  return images;
+}
+
+export function parsePoints3DText(text) {
+  // POINT3D_ID X Y Z R G B ERROR TRACK[] -> { positions, colors (0..1) } as Float32Arrays
+  const lines = dataLines(text);
+  const positions = new Float32Array(lines.length * 3);
+  const colors = new Float32Array(lines.length * 3);
+  lines.forEach((line, i) => {
+    const tok = line.split(/\s+/, 7);
+    if (tok.length < 7) throw new Error(`points3D.txt: malformed point '${line.slice(0, 40)}'`);
+    for (let k = 0; k < 3; k++) {
+      positions[i * 3 + k] = Number(tok[1 + k]);
+      colors[i * 3 + k] = Number(tok[4 + k]) / 255;
+    }
+  });
+  return { positions, colors };
+}
+
+export function parsePoints3DBinary(buffer) {
+  const r = binaryReader(buffer);
+  const count = r.u64();
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    r.u64(); // point3D_id
+    for (let k = 0; k < 3; k++) positions[i * 3 + k] = r.f64();
+    for (let k = 0; k < 3; k++) colors[i * 3 + k] = r.u8() / 255;
+    r.f64(); // error
+    r.skip(r.u64() * 8); // track: image_id (int32) + point2D_idx (int32)
+  }
+  return { positions, colors };
+}
+
+// -------------------------- Conversion --------------------------
+
+export function qvecToRotation([w, x, y, z]) {
+  // Hamilton quaternion (COLMAP order qw, qx, qy, qz) -> 3x3 row-major rotation
+  const n = Math.hypot(w, x, y, z) || 1;
+  w /= n; x /= n; y /= n; z /= n;
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)],
+  ];
+}
+
+export function colmapPoseToC2W(qvec, tvec) {
+  // w2c = [R | t] with OpenCV camera axes -> c2w = [R^T | -R^T t], then flip camera Y/Z to look down -Z with +Y up
+  const R = qvecToRotation(qvec);
+  const rows = [];
+  for (let i = 0; i < 3; i++) {
+    const c = -(R[0][i] * tvec[0] + R[1][i] * tvec[1] + R[2][i] * tvec[2]);
+    rows.push([R[0][i], -R[1][i], -R[2][i], c]);
+  }
+  rows.push([0, 0, 0, 1]);
+  return rows;
+}
+
+export function colmapCameraIntrinsics(camera) {
+  // Maps COLMAP model params onto transforms.json intrinsics; single-focal models use f for both axes
+  const model = MODEL_BY_NAME[camera.model];
+  const p = Object.fromEntries(model.params.map((k, i) => [k, camera.params[i]]));
+  const out = {
+    camera_model: camera.model,
+    w: camera.width,
+    h: camera.height,
+    fl_x: p.fx ?? p.f,
+    fl_y: p.fy ?? p.f,
+    cx: p.cx,
+    cy: p.cy,
+  };
+  for (const k of model.params) {
+    if (!["f", "fx", "fy", "cx", "cy"].includes(k)) out[k] = p[k];
+  }
+  return out;
+}
+
+export function colmapCameraFromIntrinsics(fields) {
+  // Inverse of colmapCameraIntrinsics: { camera_model?, w, h, fl_x, fl_y, cx, cy, k1?, ... } -> { model, width, height,
+  // params }; PINHOLE unless camera_model names a model whose parameters are all given
+  const value = (k) => (k === "f" || k === "fx" ? fields.fl_x : k === "fy" ? fields.fl_y : fields[k]);
+  const named = MODEL_BY_NAME[fields.camera_model];
+  const model = named && named.params.every((k) => Number.isFinite(value(k))) ? named : MODEL_BY_NAME.PINHOLE;
+  return { model: model.name, width: fields.w, height: fields.h, params: model.params.map(value) };
+}
+
+export function colmapToDatasets(cameras, images, name = "colmap") {
+  // returns [{ name, data }] with one transforms.json-style dataset per camera id, frames sorted by image name
+  const byCamera = new Map();
+  for (const img of images) {
+    if (!cameras.has(img.cameraId)) throw new Error(`Image '${img.name}' references unknown camera ${img.cameraId}`);
+    if (!byCamera.has(img.cameraId)) byCamera.set(img.cameraId, []);
+    byCamera.get(img.cameraId).push(img);
+  }
+  const ids = [...byCamera.keys()].sort((a, b) => a - b);
+  return ids.map((camId) => {
+    const frames = byCamera.get(camId)
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+      .map((img) => ({
+        file_path: img.name,
+        colmap_image_id: img.id,
+        transform_matrix: colmapPoseToC2W(img.qvec, img.tvec),
+      }));
+    return {
+      name: ids.length > 1 ? `${name}/cam${camId}` : name,
+      data: { ...colmapCameraIntrinsics(cameras.get(camId)), colmap_camera_id: camId, frames },
+    };
+  });
+}
+
+export async function readColmapModel(files, name) {
+  // files: { cameras: File|Blob, images: File|Blob } named cameras.{txt,bin} / images.{txt,bin}
+  const read = async (file, parseText, parseBinary) => {
+    const kind = colmapFileKind(file.name);
+    return kind?.format === "bin" ? parseBinary(await file.arrayBuffer()) : parseText(await file.text());
+  };
+  const cameras = await read(files.cameras, parseCamerasText, parseCamerasBinary);
+  const images = await read(files.images, parseImagesText, parseImagesBinary);
+  return colmapToDatasets(cameras, images, name);
+}
+
+// -------------------------- Export --------------------------
+
+export function rotationToQvec(R) {
+  // 3x3 row-major rotation -> unit quaternion [qw, qx, qy, qz] with qw >= 0 (inverse of qvecToRotation)
+  const [[m00, m01, m02], [m10, m11, m12], [m20, m21, m22]] = R;
+  const trace = m00 + m11 + m22;
+  let q;
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    q = [0.25 / s, (m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s];
+  } else if (m00 > m11 && m00 > m22) {
+    const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+    q = [(m21 - m12) / s, 0.25 * s, (m01 + m10) / s, (m02 + m20) / s];
+  } else if (m11 > m22) {
+    const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+    q = [(m02 - m20) / s, (m01 + m10) / s, 0.25 * s, (m12 + m21) / s];
+  } else {
+    const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+    q = [(m10 - m01) / s, (m02 + m20) / s, (m12 + m21) / s, 0.25 * s];
+  }
+  const n = Math.hypot(...q) * (q[0] < 0 ? -1 : 1);
+  return q.map((v) => v / n);
+}
+
+export function writeCamerasText(cameras) {
+  // cameras: [{ id, model, width, height, params }] -> cameras.txt
+  const lines = [
+    "# Camera list with one line of data per camera:",
+    "#   CAMERA_ID, MODEL, WIDTH, HEIGHT, PARAMS[]",
+    `# Number of cameras: ${cameras.length}`,
+  ];
+  for (const c of cameras) lines.push([c.id, c.model, c.width, c.height, ...c.params].join(" "));
+  return lines.join("\n") + "\n";
+}
+
+export function writeImagesText(images) {
+  // images: [{ id, cameraId, name, w2c: number[4][4] with OpenCV camera axes }] -> images.txt (empty POINTS2D lines)
+  const lines = [
+    "# Image list with two lines of data per image:",
+    "#   IMAGE_ID, QW, QX, QY, QZ, TX, TY, TZ, CAMERA_ID, NAME",
+    "#   POINTS2D[] as (X, Y, POINT3D_ID)",
+    `# Number of images: ${images.length}, mean observations per image: 0`,
+  ];
+  for (const img of images) {
+    const R = img.w2c.slice(0, 3).map((r) => r.slice(0, 3));
+    const t = img.w2c.slice(0, 3).map((r) => r[3]);
+    lines.push([img.id, ...rotationToQvec(R), ...t, img.cameraId, img.name].join(" "));
+    lines.push("");
+  }
+  return lines.join("\n") + "\n";
+}
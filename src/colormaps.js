@@ -0,0 +1,113 @@
+import * as THREE from "three";
+
+/**
+ * Colormaps for coloring cameras by a per-frame value, and the color legend drawn for them
+ *
+ * - Sequential maps (viridis, plasma, turbo) for values such as time or error; the diverging cool-warm map for
+ *   values around a meaningful middle (set a symmetric min/max clamp around it).
+ * - t in [0, 1] maps min..max; values outside the clamp take the end colors.
+ * - Colors are sRGB; colormapColor returns a THREE.Color (which stores them linear, as the renderer expects).
+ */
+
+// Evenly spaced sRGB stops, linearly interpolated
+const VIRIDIS = ["#440154", "#482878", "#3e4989", "#31688e", "#26828e", "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"];
+const PLASMA = ["#0d0887", "#46039f", "#7201a8", "#9c179e", "#bd3786", "#d8576b", "#ed7953", "#fb9f3a", "#fdca26", "#f0f921"];
+const COOLWARM = ["#3b4cc0", "#5977e3", "#7b9ff9", "#9ebeff", "#c0d4f5", "#dddcdc", "#f2cbb7", "#f7ac8e", "#ee8468", "#d65244", "#b40426"];
+
+function turbo(t) {
+  // Polynomial approximation of Google's Turbo (Mikhailov 2019)
+  const r = 0.13572138 + t * (4.6153926 + t * (-42.66032258 + t * (132.13108234 + t * (-152.94239396 + t * 59.28637943))));
+  const g = 0.09140261 + t * (2.19418839 + t * (4.84296658 + t * (-14.18503333 + t * (4.27729857 + t * 2.82956604))));
+  const b = 0.1066733 + t * (12.64194608 + t * (-60.58204836 + t * (110.36276771 + t * (-89.90310912 + t * 27.34824973))));
+  return [r, g, b].map((v) => Math.min(1, Math.max(0, v)));
+}
+
+const hexRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+function fromStops(stops) {
+  const rgb = stops.map(hexRgb);
+  return (t) => {
+    const p = t * (rgb.length - 1);
+    const i = Math.min(rgb.length - 2, Math.floor(p));
+    const f = p - i;
+    return rgb[i].map((v, k) => v + (rgb[i + 1][k] - v) * f);
+  };
+}
+
+export const COLORMAPS = {
+  viridis: { label: "Viridis", rgb: fromStops(VIRIDIS) },
+  plasma: { label: "Plasma", rgb: fromStops(PLASMA) },
+  turbo: { label: "Turbo", rgb: turbo },
+  coolwarm: { label: "Cool–warm (diverging)", rgb: fromStops(COOLWARM) },
+};
+
+export const MISSING_VALUE_COLOR = "#94a3b8"; // cameras without a value for the chosen attribute
+
+export function colormapRgb(name, t) {
+  // -> [r, g, b] in sRGB 0..1; t is clamped to [0, 1]
+  const map = COLORMAPS[name] ?? COLORMAPS.viridis;
+  return map.rgb(Number.isFinite(t) ? Math.min(1, Math.max(0, t)) : 0);
+}
+
+export function colormapColor(name, t) {
+  const [r, g, b] = colormapRgb(name, t);
+  return new THREE.Color().setRGB(r, g, b, THREE.SRGBColorSpace);
+}
+
+const css = ([r, g, b]) => `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+
+export function colormapGradient(name, steps = 16) {
+  // CSS linear-gradient (left to right) of a colormap
+  return `linear-gradient(to right, ${Array.from({ length: steps + 1 }, (_, i) => css(colormapRgb(name, i / steps))).join(", ")})`;
+}
+
+export function formatLegendValue(v) {
+  // Compact number for legend ticks: 3 significant digits, exponent for very large/small magnitudes
+  if (!Number.isFinite(v)) return "–";
+  const a = Math.abs(v);
+  if (a !== 0 && (a >= 1e5 || a < 1e-3)) return v.toExponential(2);
+  return String(+v.toPrecision(3));
+}
+
+export function drawColorLegend(ctx, { title, colormap, min, max, missing = 0 }, width, height) {
+  // Color bar with title, min/mid/max ticks and the count of cameras without a value, in the bottom-left corner
+  // of a width x height 2D canvas; sized relative to the canvas so it reads the same at any export resolution
+  const unit = Math.max(1, Math.min(width, height) / 400);
+  const font = 11 * unit;
+  const pad = 8 * unit;
+  const barW = Math.min(width - 4 * pad, 200 * unit);
+  const barH = 10 * unit;
+  const boxH = pad * 3 + font * 2.4 + barH + (missing ? font * 1.2 : 0);
+  const x = pad * 2;
+  const y = height - pad * 2 - boxH;
+  ctx.save();
+  ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+  ctx.strokeStyle = "rgba(100, 116, 139, 0.6)";
+  ctx.lineWidth = unit;
+  ctx.fillRect(x, y, barW + 2 * pad, boxH);
+  ctx.strokeRect(x, y, barW + 2 * pad, boxH);
+  ctx.fillStyle = "#0f172a";
+  ctx.font = `600 ${font}px system-ui, sans-serif`;
+  ctx.textBaseline = "top";
+  ctx.fillText(title, x + pad, y + pad, barW);
+  const barY = y + pad + font * 1.3;
+  const gradient = ctx.createLinearGradient(x + pad, 0, x + pad + barW, 0);
+  for (let i = 0; i <= 16; i++) gradient.addColorStop(i / 16, css(colormapRgb(colormap, i / 16)));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(x + pad, barY, barW, barH);
+  ctx.fillStyle = "#334155";
+  ctx.font = `${font}px system-ui, sans-serif`;
+  const tickY = barY + barH + font * 0.3;
+  [[min, 0, "left"], [(min + max) / 2, 0.5, "center"], [max, 1, "right"]].forEach(([v, t, align]) => {
+    ctx.textAlign = align;
+    ctx.fillText(formatLegendValue(v), x + pad + barW * t, tickY);
+  });
+  if (missing) {
+    ctx.textAlign = "left";
+    ctx.fillStyle = MISSING_VALUE_COLOR;
+    ctx.fillRect(x + pad, tickY + font * 1.25, font * 0.8, font * 0.8);
+    ctx.fillStyle = "#334155";
+    ctx.fillText(`${missing} without a value`, x + pad + font * 1.2, tickY + font * 1.2);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,166 @@
+import * as THREE from "three";
+
+/**
+ * Trajectory comparison between two groups (reference vs. estimate)
+ *
+ * - Matches frames by file name (directory and extension ignored) or by frame index.
+ * - Aligns the estimate to the reference with a similarity (Umeyama; rotation via Horn's quaternion method,
+ *   so it is always proper) or, without scale, a rigid transform over the matched camera centers.
+ * - Reports absolute trajectory error (ATE) and relative pose error between consecutive matched frames (RPE),
+ *   each as translation and rotation (radians) with mean/median/RMSE/max.
+ *
+ * Cameras are { id, index, frame, matrix } as in the viewer's cameras list (c2w, orthonormal rotation).
+ */
+
+export function frameKey(filePath) {
+  // "./images/r_001.png" -> "r_001"
+  return String(filePath ?? "").replace(/\\/g, "/").split("/").pop().replace(/\.[^.]+$/, "");
+}
+
+export function matchFrames(reference, estimate, matchBy = "file_path") {
+  // returns [{ ref, est }] in reference order; unmatched frames on either side are left out
+  const key = matchBy === "index" ? (c) => c.index : (c) => frameKey(c.frame?.file_path);
+  const byKey = new Map();
+  for (const c of estimate) {
+    const k = key(c);
+    if (k !== "" && !byKey.has(k)) byKey.set(k, c);
+  }
+  return reference.filter((c) => byKey.has(key(c))).map((ref) => ({ ref, est: byKey.get(key(ref)) }));
+}
+
+function symmetricEigen4(a) {
+  // Cyclic Jacobi on a symmetric 4x4 (row-major array of 16); returns { values, vectors } with vectors as columns
+  a = a.slice();
+  const v = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < 4; p++) for (let q = p + 1; q < 4; q++) off += a[p * 4 + q] ** 2;
+    if (off < 1e-24) break;
+    for (let p = 0; p < 4; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        const apq = a[p * 4 + q];
+        if (Math.abs(apq) < 1e-300) continue;
+        const theta = (a[q * 4 + q] - a[p * 4 + p]) / (2 * apq);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 4; k++) {
+          const akp = a[k * 4 + p];
+          const akq = a[k * 4 + q];
+          a[k * 4 + p] = c * akp - s * akq;
+          a[k * 4 + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 4; k++) {
+          const apk = a[p * 4 + k];
+          const aqk = a[q * 4 + k];
+          a[p * 4 + k] = c * apk - s * aqk;
+          a[q * 4 + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 4; k++) {
+          const vkp = v[k * 4 + p];
+          const vkq = v[k * 4 + q];
+          v[k * 4 + p] = c * vkp - s * vkq;
+          v[k * 4 + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: [0, 1, 2, 3].map((i) => a[i * 5]), vectors: v };
+}
+
+export function umeyamaAlignment(src, dst, withScale = true) {
+  // Similarity minimizing sum |dst_i - (s R src_i + t)|^2 over Vector3 pairs -> { matrix, rotation, scale, translation }
+  const n = src.length;
+  const muS = new THREE.Vector3();
+  const muD = new THREE.Vector3();
+  src.forEach((p) => muS.add(p));
+  dst.forEach((p) => muD.add(p));
+  muS.divideScalar(n);
+  muD.divideScalar(n);
+  // Cross-covariance S[a][b] = sum (src_a)(dst_b) of centered points
+  const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  let varS = 0;
+  for (let i = 0; i < n; i++) {
+    const a = src[i].clone().sub(muS).toArray();
+    const b = dst[i].clone().sub(muD).toArray();
+    for (let r = 0; r < 3; r++) for (let c = 0; c < 3; c++) S[r][c] += a[r] * b[c];
+    varS += a[0] * a[0] + a[1] * a[1] + a[2] * a[2];
+  }
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+  const N = [
+    xx + yy + zz, yz - zy, zx - xz, xy - yx,
+    yz - zy, xx - yy - zz, xy + yx, zx + xz,
+    zx - xz, xy + yx, -xx + yy - zz, yz + zy,
+    xy - yx, zx + xz, yz + zy, -xx - yy + zz,
+  ];
+  const { values, vectors } = symmetricEigen4(N);
+  const best = values.indexOf(Math.max(...values));
+  const [w, x, y, z] = [0, 1, 2, 3].map((k) => vectors[k * 4 + best]);
+  const rotation = new THREE.Quaternion(x, y, z, w).normalize();
+  let scale = 1;
+  if (withScale && varS > 1e-18) {
+    let dot = 0;
+    for (let i = 0; i < n; i++) dot += dst[i].clone().sub(muD).dot(src[i].clone().sub(muS).applyQuaternion(rotation));
+    scale = dot / varS;
+  }
+  const translation = muD.clone().sub(muS.clone().applyQuaternion(rotation).multiplyScalar(scale));
+  const matrix = new THREE.Matrix4().compose(translation, rotation, new THREE.Vector3(scale, scale, scale));
+  return { matrix, rotation, scale, translation };
+}
+
+export function errorStats(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return {
+    mean: values.reduce((s, v) => s + v, 0) / values.length,
+    median: sorted.length % 2 ? sorted[mid] : 0.5 * (sorted[mid - 1] + sorted[mid]),
+    rmse: Math.sqrt(values.reduce((s, v) => s + v * v, 0) / values.length),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+export function alignedPose(matrix, alignment) {
+  // s R (c2w) with the scale taken back out of the rotation
+  const s = alignment.scale;
+  return alignment.matrix.clone().multiply(matrix).multiply(new THREE.Matrix4().makeScale(1 / s, 1 / s, 1 / s));
+}
+
+function rotationAngle(m) {
+  // atan2 form stays accurate for small angles
+  const q = new THREE.Quaternion().setFromRotationMatrix(m);
+  return 2 * Math.atan2(Math.hypot(q.x, q.y, q.z), Math.abs(q.w));
+}
+
+export function compareTrajectories(reference, estimate, { matchBy = "file_path", withScale = true } = {}) {
+  // returns { pairs: [{ ref, est, aligned, translationError, rotationError }], alignment, ate, rpe } or { error }
+  const matched = matchFrames(reference, estimate, matchBy);
+  if (matched.length < 3) return { error: `Only ${matched.length} matched frame${matched.length === 1 ? "" : "s"}; need at least 3` };
+  const center = (m) => new THREE.Vector3().setFromMatrixPosition(m);
+  const alignment = umeyamaAlignment(matched.map((p) => center(p.est.matrix)), matched.map((p) => center(p.ref.matrix)), withScale);
+  const pairs = matched.map(({ ref, est }) => {
+    const aligned = alignedPose(est.matrix, alignment);
+    return {
+      ref,
+      est,
+      aligned,
+      translationError: center(aligned).distanceTo(center(ref.matrix)),
+      rotationError: rotationAngle(ref.matrix.clone().invert().multiply(aligned)),
+    };
+  });
+  const rpeT = [];
+  const rpeR = [];
+  for (let i = 1; i < pairs.length; i++) {
+    const dRef = pairs[i - 1].ref.matrix.clone().invert().multiply(pairs[i].ref.matrix);
+    const dEst = pairs[i - 1].aligned.clone().invert().multiply(pairs[i].aligned);
+    const e = dRef.invert().multiply(dEst);
+    rpeT.push(center(e).length());
+    rpeR.push(rotationAngle(e));
+  }
+  return {
+    pairs,
+    alignment,
+    ate: { translation: errorStats(pairs.map((p) => p.translationError)), rotation: errorStats(pairs.map((p) => p.rotationError)) },
+    rpe: { translation: errorStats(rpeT), rotation: errorStats(rpeR) },
+  };
+}
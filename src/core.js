@@ -0,0 +1,374 @@
+import * as THREE from "three";
+import { colmapToDatasets, parseCamerasBinary, parseCamerasText, parseImagesBinary, parseImagesText } from "./colmap.js";
+import { isRenderableTransform, resolveFrameTransform, validateFrames } from "./validation.js";
+
+/**
+ * Camera pose core: dataset -> cameras in the viewer's world -> frustum geometry and bounds
+ *
+ * - Framework-free (three.js only) so Node scripts can use it as well as the viewer; its imports carry file
+ *   extensions for that reason.
+ * - Datasets are transforms.json-style objects: { frames: [{ file_path, transform_matrix, time?, ... }], intrinsics }
+ *   with NeRF (camera_angle_x/y) or Instant-NGP/nerfstudio (fl_x, fl_y, cx, cy, w, h) intrinsics at the top level
+ *   and/or per frame. parseDataset checks one; datasetsFromColmap converts a COLMAP sparse model (text or binary)
+ *   into one dataset per COLMAP camera.
+ * - groupCameras turns a group ({ id?, name?, data: dataset, convention?, overrides? }) into cameras: matrix is the
+ *   camera-to-world THREE.Matrix4 in the viewer's world (Y up, OpenGL camera axes: +X right, +Y up, -Z forward)
+ *   and intrinsics are { fovX (radians), aspect (w/h), px, py (principal point, 0..1 of the image) }.
+ * - A convention is { axes: "opengl" | "opencv" | "blender" | "directx", pose: "c2w" | "w2c", worldUp: "y" | "z" };
+ *   unset group fields fall back to the invertMatrices / worldUp defaults, as the viewer's global controls do.
+ * - frustumCorners, frustumSegments and computeCamerasBounds give world-space frustum geometry for a near/far pair.
+ *
+ * Example (Node):
+ *   const data = parseDataset(await readFile("transforms.json", "utf8"));
+ *   const cams = groupCameras({ name: "train", data, convention: { axes: "opencv" } });
+ *   const box = computeCamerasBounds(cams, 0.05, 0.5);
+ */
+
+// -------------------------- Matrices and intrinsics --------------------------
+
+export function matrix4FromRows(rows) {
+  // rows: number[4][4] in row-major
+  const m = new THREE.Matrix4();
+  const flat = [
+    rows[0][0], rows[0][1], rows[0][2], rows[0][3],
+    rows[1][0], rows[1][1], rows[1][2], rows[1][3],
+    rows[2][0], rows[2][1], rows[2][2], rows[2][3],
+    rows[3][0], rows[3][1], rows[3][2], rows[3][3],
+  ];
+  m.set(...flat);
+  return m;
+}
+
+export function rowsFromMatrix4(m) {
+  // THREE.Matrix4 (column-major elements) -> number[4][4] row-major
+  const e = m.elements;
+  return [0, 1, 2, 3].map((i) => [e[i], e[i + 4], e[i + 8], e[i + 12]]);
+}
+
+export const DEFAULT_FOV_X = THREE.MathUtils.degToRad(60);
+export const DEFAULT_ASPECT = 1.5;
+const INTRINSIC_KEYS = ["camera_angle_x", "camera_angle_y", "fl_x", "fl_y", "cx", "cy", "w", "h"];
+
+function intrinsicsFromFields(src) {
+  // src: merged NeRF (camera_angle_x/y) and Instant-NGP/nerfstudio (fl_x, fl_y, cx, cy, w, h) fields
+  // returns partial { fovX, aspect, px, py }; focal lengths win over camera_angle_* when both are present
+  const out = {};
+  const { w, h, cx, cy } = src;
+  const flX = src.fl_x ?? src.fl_y;
+  const flY = src.fl_y ?? flX;
+  let fovX = flX && w ? 2 * Math.atan(w / (2 * flX)) : src.camera_angle_x;
+  const fovY = flY && h ? 2 * Math.atan(h / (2 * flY)) : src.camera_angle_y;
+  if (fovX === undefined && fovY !== undefined && w && h) fovX = 2 * Math.atan(Math.tan(fovY / 2) * w / h);
+  if (fovX !== undefined) out.fovX = fovX;
+  if (fovX !== undefined && fovY !== undefined) out.aspect = Math.tan(fovX / 2) / Math.tan(fovY / 2);
+  else if (w && h) out.aspect = w / h;
+  if (cx !== undefined && w) out.px = cx / w;
+  if (cy !== undefined && h) out.py = cy / h;
+  return out;
+}
+
+export function resolveIntrinsics(group, frame) {
+  // Per-frame fields override the group's top-level fields; group overrides (from the Groups panel) win over both
+  const raw = {};
+  for (const src of [group?.data, frame]) {
+    for (const k of INTRINSIC_KEYS) {
+      if (Number.isFinite(src?.[k])) raw[k] = src[k];
+    }
+  }
+  const derived = intrinsicsFromFields(raw);
+  const overrides = group?.overrides || {};
+  return {
+    fovX: overrides.fovX ?? derived.fovX ?? DEFAULT_FOV_X,
+    aspect: overrides.aspect ?? derived.aspect ?? DEFAULT_ASPECT,
+    px: derived.px ?? 0.5,
+    py: derived.py ?? 0.5,
+  };
+}
+
+// -------------------------- Conventions --------------------------
+
+// Camera-axis conventions: diagonal flip from the viewer's camera axes (OpenGL: +X right, +Y up, -Z forward)
+// to the dataset's camera axes; worldUp is the world up the convention usually comes with
+export const CAMERA_CONVENTIONS = {
+  opengl: { label: "OpenGL (-Z fwd, +Y up)", flip: [1, 1, 1] },
+  opencv: { label: "OpenCV / COLMAP (+Z fwd, +Y down)", flip: [1, -1, -1] },
+  blender: { label: "Blender (-Z fwd, +Y up, Z-up world)", flip: [1, 1, 1], worldUp: "z" },
+  directx: { label: "DirectX (+Z fwd, +Y up, left-handed)", flip: [1, 1, -1] },
+};
+
+export const Z_TO_Y = new THREE.Matrix4().makeRotationX(-Math.PI / 2); // maps Z-up world to Y-up
+
+export function resolveConvention(group, defaults) {
+  // Group settings win; unset pose/worldUp fall back to the global Invert / World Up controls
+  const c = group?.convention || {};
+  return {
+    axes: c.axes ?? "opengl",
+    pose: c.pose ?? (defaults.invertMatrices ? "w2c" : "c2w"),
+    worldUp: c.worldUp ?? defaults.worldUp,
+  };
+}
+
+export function displayMatrix(rows, convention) {
+  // dataset transform_matrix -> c2w in the viewer's Y-up world with OpenGL camera axes
+  const m = matrix4FromRows(rows);
+  if (convention.pose === "w2c") m.invert();
+  const [sx, sy, sz] = CAMERA_CONVENTIONS[convention.axes].flip;
+  m.multiply(new THREE.Matrix4().makeScale(sx, sy, sz));
+  return convention.worldUp === "z" ? Z_TO_Y.clone().multiply(m) : m;
+}
+
+export function exportMatrix(matrix, convention) {
+  // Inverse of displayMatrix: viewer c2w -> transform_matrix rows in the given convention
+  const m = convention.worldUp === "z" ? Z_TO_Y.clone().invert().multiply(matrix) : matrix.clone();
+  const [sx, sy, sz] = CAMERA_CONVENTIONS[convention.axes].flip;
+  m.multiply(new THREE.Matrix4().makeScale(sx, sy, sz));
+  if (convention.pose === "w2c") m.invert();
+  return rowsFromMatrix4(m);
+}
+
+// -------------------------- Datasets and cameras --------------------------
+
+export function parseDataset(input) {
+  // transforms JSON text or parsed object -> the dataset object; throws when it has no frames array
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  if (!data || !Array.isArray(data.frames)) throw new Error("Missing 'frames' array");
+  return data;
+}
+
+export function datasetsFromColmap({ cameras, images }, name = "colmap") {
+  // cameras/images: cameras.txt/images.txt contents as strings, or cameras.bin/images.bin as ArrayBuffer/Uint8Array
+  // -> [{ name, data }] with one dataset per COLMAP camera (see colmapToDatasets in colmap.js)
+  const read = (input, parseText, parseBinary) => {
+    if (typeof input === "string") return parseText(input);
+    if (ArrayBuffer.isView(input)) return parseBinary(input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength));
+    return parseBinary(input);
+  };
+  return colmapToDatasets(read(cameras, parseCamerasText, parseCamerasBinary), read(images, parseImagesText, parseImagesBinary), name);
+}
+
+export function groupCameras(group, { invertMatrices = false, worldUp = "y", badFramePolicy = "keep", report = null, filter = null } = {}) {
+  // group: { id?, name?, data, convention?, overrides? } -> [{ id, groupId, index, time, label, matrix, flagged, intrinsics, frame }]
+  // in frame order. report: validateFrames(frames) result (computed when not given); badFramePolicy 'keep' | 'fix' |
+  // 'skip' (see resolveFrameTransform); filter: compileFrameFilter() result from filters.js, or null for all frames.
+  const frames = group?.data?.frames || [];
+  const groupId = group.id ?? group.name;
+  const convention = resolveConvention(group, { invertMatrices, worldUp });
+  const problems = (report ?? validateFrames(frames)).byIndex;
+  const cams = [];
+  let kept = 0;
+  frames.forEach((f, idx) => {
+    if (filter && (!filter.match(f, idx) || kept++ % filter.everyN)) return;
+    const resolved = resolveFrameTransform(f.transform_matrix, problems.get(idx), badFramePolicy);
+    if (!resolved) return;
+    cams.push({
+      id: `${groupId}:${idx}`,
+      groupId,
+      index: idx,
+      time: Number.isFinite(f.time) ? f.time : undefined,
+      label: `${group.name ?? groupId}/${f.file_path ?? `cam_${idx}`}`,
+      matrix: displayMatrix(resolved.rows, convention),
+      flagged: resolved.flagged,
+      intrinsics: resolveIntrinsics(group, f),
+      frame: f,
+    });
+  });
+  return cams;
+}
+
+// -------------------------- Normalization and convention detection --------------------------
+
+function convergencePoint(origins, dirs) {
+  // Least-squares point closest to all lines origin_i + t * dir_i (unit dirs); null when lines are (near) parallel
+  const a = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  const b = new THREE.Vector3();
+  origins.forEach((o, i) => {
+    const d = dirs[i];
+    const dv = [d.x, d.y, d.z];
+    const ov = [o.x, o.y, o.z];
+    for (let r = 0; r < 3; r++) {
+      let acc = 0;
+      for (let c = 0; c < 3; c++) {
+        const p = (r === c ? 1 : 0) - dv[r] * dv[c]; // (I - d d^T)
+        a[r * 3 + c] += p;
+        acc += p * ov[c];
+      }
+      b.setComponent(r, b.getComponent(r) + acc);
+    }
+  });
+  const A = new THREE.Matrix3().set(...a);
+  const scale = (a[0] + a[4] + a[8]) / 3;
+  if (!(scale > 0) || Math.abs(A.determinant()) < 1e-6 * scale ** 3) return null;
+  return b.applyMatrix3(A.invert());
+}
+
+export function normalizationTransform(cameras, { center, rescale, radius, orientUp }) {
+  // Similarity x -> s * R * (x - c) in the viewer's Y-up world from displayed camera poses: c is the centroid of
+  // the camera centers or the point their optical axes converge on (centroid if they don't), R turns the mean
+  // camera up onto +Y, s brings the farthest camera to the given radius
+  if (!cameras.length) return null;
+  const origins = cameras.map((cam) => new THREE.Vector3().setFromMatrixPosition(cam.matrix));
+  const c = new THREE.Vector3();
+  let centerUsed = center;
+  if (center !== "none") {
+    for (const o of origins) c.add(o);
+    c.divideScalar(origins.length);
+    if (center === "convergence") {
+      const dirs = cameras.map((cam) => new THREE.Vector3(0, 0, -1).transformDirection(cam.matrix));
+      const p = convergencePoint(origins, dirs);
+      if (p) c.copy(p);
+      else centerUsed = "centroid";
+    }
+  }
+  const rotation = new THREE.Quaternion();
+  if (orientUp) {
+    const up = new THREE.Vector3();
+    for (const cam of cameras) up.add(new THREE.Vector3(0, 1, 0).transformDirection(cam.matrix));
+    if (up.lengthSq() > 1e-12) rotation.setFromUnitVectors(up.normalize(), new THREE.Vector3(0, 1, 0));
+  }
+  let scale = 1;
+  if (rescale && radius > 0) {
+    let maxDist = 0;
+    for (const o of origins) maxDist = Math.max(maxDist, o.distanceTo(c));
+    if (maxDist > 1e-12) scale = radius / maxDist;
+  }
+  const matrix = new THREE.Matrix4()
+    .compose(new THREE.Vector3(), rotation, new THREE.Vector3(scale, scale, scale))
+    .multiply(new THREE.Matrix4().makeTranslation(-c.x, -c.y, -c.z));
+  return { matrix, center: c, centerUsed, scale, angle: 2 * Math.acos(Math.min(1, Math.abs(rotation.w))) };
+}
+
+export function normalizedPose(matrix, normalization) {
+  // Applies the similarity to a c2w pose, keeping the rotation orthonormal (frustum sizes stay in world units)
+  const s = normalization.scale;
+  return normalization.matrix.clone().multiply(matrix).multiply(new THREE.Matrix4().makeScale(1 / s, 1 / s, 1 / s));
+}
+
+export function detectConvention(frames) {
+  // Tries c2w/w2c x (-Z / +Z forward) and scores how consistently cameras look toward the point their optical
+  // axes converge on (mean cosine, 1 = all aim straight at it); world up follows the dominant mean camera up axis
+  const valid = (frames || []).filter((f) => isRenderableTransform(f?.transform_matrix));
+  if (valid.length < 2) return null;
+  const candidates = [];
+  for (const pose of ["c2w", "w2c"]) {
+    const mats = valid.map((f) => {
+      const m = matrix4FromRows(f.transform_matrix);
+      return pose === "w2c" ? m.invert() : m;
+    });
+    const centers = mats.map((m) => new THREE.Vector3().setFromMatrixPosition(m));
+    const axisZ = mats.map((m) => new THREE.Vector3().setFromMatrixColumn(m, 2).normalize());
+    const target = convergencePoint(centers, axisZ);
+    if (!target) continue;
+    for (const [axes, fwd] of [["opengl", -1], ["opencv", 1]]) {
+      let score = 0;
+      centers.forEach((c, i) => {
+        const to = target.clone().sub(c);
+        const len = to.length();
+        if (len > 1e-9) score += (to.dot(axisZ[i]) * fwd) / len;
+      });
+      score /= centers.length;
+      const up = new THREE.Vector3();
+      for (const m of mats) up.add(new THREE.Vector3().setFromMatrixColumn(m, 1).multiplyScalar(-fwd));
+      const worldUp = Math.abs(up.z) > Math.abs(up.y) ? "z" : "y";
+      candidates.push({ axes: axes === "opengl" && worldUp === "z" ? "blender" : axes, pose, worldUp, score });
+    }
+  }
+  candidates.sort((p, q) => q.score - p.score);
+  return candidates[0] ?? null;
+}
+
+// -------------------------- Frustum geometry --------------------------
+
+export function computeFrustumCornersLocal(fovX, aspect, n, f, px = 0.5, py = 0.5) {
+  // fovX: horizontal FOV in radians (full image width, i.e. w / fl_x = 2 * tan(fovX / 2))
+  // aspect: width/height of the image plane in tangent space
+  // px, py: principal point normalized to [0,1] in image coordinates (x right, y down); 0.5 = centered
+  // returns 8 Vector3 in camera local space: N0..N3, F0..F3 (counterclockwise from bottom-left)
+  const tw = 2 * Math.tan(fovX / 2);
+  const safeAspect = Math.max(1e-6, aspect);
+  const th = tw / safeAspect;
+  // Tangent extents of the image plane at unit depth; off-center principal points make these asymmetric
+  const left = -tw * px;
+  const right = tw * (1 - px);
+  const top = th * py;
+  const bottom = -th * (1 - py);
+  const N0 = new THREE.Vector3(left * n, bottom * n, -n);
+  const N1 = new THREE.Vector3(right * n, bottom * n, -n);
+  const N2 = new THREE.Vector3(right * n, top * n, -n);
+  const N3 = new THREE.Vector3(left * n, top * n, -n);
+  const F0 = new THREE.Vector3(left * f, bottom * f, -f);
+  const F1 = new THREE.Vector3(right * f, bottom * f, -f);
+  const F2 = new THREE.Vector3(right * f, top * f, -f);
+  const F3 = new THREE.Vector3(left * f, top * f, -f);
+  return [N0,N1,N2,N3,F0,F1,F2,F3];
+}
+
+export function frustumShapeMatrix({ fovX, aspect, px, py }) {
+  // Linear map from the canonical frustum (image plane spanning [-1,1] x [-1,1] at unit depth) to the frustum
+  // of these intrinsics: x = (r-l)/2 X - (r+l)/2 Z, y = (t-b)/2 Y - (t+b)/2 Z. Lets one geometry serve every camera.
+  const tw = 2 * Math.tan(fovX / 2);
+  const th = tw / Math.max(1e-6, aspect);
+  const left = -tw * px;
+  const right = tw * (1 - px);
+  const top = th * py;
+  const bottom = -th * (1 - py);
+  return new THREE.Matrix4().set(
+    (right - left) / 2, 0, -(right + left) / 2, 0,
+    0, (top - bottom) / 2, -(top + bottom) / 2, 0,
+    0, 0, 1, 0,
+    0, 0, 0, 1,
+  );
+}
+
+export function canonicalFrustumCorners(n, f) {
+  // computeFrustumCornersLocal for a 90° square frustum, i.e. the frustum frustumShapeMatrix maps from
+  return [[-1, -1, n], [1, -1, n], [1, 1, n], [-1, 1, n], [-1, -1, f], [1, -1, f], [1, 1, f], [-1, 1, f]]
+    .map(([x, y, d]) => new THREE.Vector3(x * d, y * d, -d));
+}
+
+export function computeCamerasBounds(cameras, near, far) {
+  // World-space box of all frustums (camera origins + far corners), without building per-camera geometry
+  const box = new THREE.Box3();
+  const canonicalFar = canonicalFrustumCorners(near, far).slice(4);
+  const m = new THREE.Matrix4();
+  const v = new THREE.Vector3();
+  for (const c of cameras || []) {
+    box.expandByPoint(v.setFromMatrixPosition(c.matrix));
+    m.multiplyMatrices(c.matrix, frustumShapeMatrix(c.intrinsics));
+    for (const corner of canonicalFar) box.expandByPoint(v.copy(corner).applyMatrix4(m));
+  }
+  return box;
+}
+
+// Frustum edges as index pairs into the computeFrustumCornersLocal corners
+export const FRUSTUM_EDGES = [
+  // near rectangle
+  [0,1],[1,2],[2,3],[3,0],
+  // far rectangle
+  [4,5],[5,6],[6,7],[7,4],
+  // sides
+  [0,4],[1,5],[2,6],[3,7],
+];
+
+export function buildFrustumEdges(corners) {
+  const positions = new Float32Array(FRUSTUM_EDGES.length * 2 * 3);
+  let i = 0;
+  for (const [a,b] of FRUSTUM_EDGES) {
+    positions[i++] = corners[a].x; positions[i++] = corners[a].y; positions[i++] = corners[a].z;
+    positions[i++] = corners[b].x; positions[i++] = corners[b].y; positions[i++] = corners[b].z;
+  }
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  return geom;
+}
+
+export function frustumCorners(camera, near, far) {
+  // camera from groupCameras -> 8 world-space Vector3 in computeFrustumCornersLocal order
+  const { fovX, aspect, px, py } = camera.intrinsics;
+  return computeFrustumCornersLocal(fovX, aspect, near, far, px, py).map((v) => v.applyMatrix4(camera.matrix));
+}
+
+export function frustumSegments(camera, near, far) {
+  // camera from groupCameras -> the 12 frustum edges as world-space [Vector3, Vector3] pairs
+  const corners = frustumCorners(camera, near, far);
+  return FRUSTUM_EDGES.map(([a, b]) => [corners[a], corners[b]]);
+}
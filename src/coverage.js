@@ -0,0 +1,188 @@
+import * as THREE from "three";
+
+/**
+ * Capture coverage analysis
+ *
+ * - Viewing directions: the direction from the scene center to each camera (the side of the scene it sees),
+ *   binned on a longitude/latitude grid of the viewer's Y-up world. A cell is covered when some camera lies within
+ *   the coverage radius (an angle) of its center; uncovered cells are gaps. The covered share is area-weighted.
+ * - Co-visibility: two frustums overlap by the share of sample points of each that fall inside the other,
+ *   averaged both ways; pairs at or above the minimum overlap are graph edges. Frames without edges are isolated,
+ *   frames with fewer than the minimum neighbours weak, and frames outside the largest connected component
+ *   disconnected.
+ * - Frustums are given as their 8 world-space corners in computeFrustumCornersLocal order (N0..N3, F0..F3).
+ */
+
+export const COVISIBILITY_MAX_CAMERAS = 3000;
+
+const LON_BINS = 72;
+const LAT_BINS = 36;
+
+function fromLonLat(lon, lat) {
+  // Longitude 0 faces +Z, latitude is elevation toward +Y
+  return new THREE.Vector3(Math.cos(lat) * Math.sin(lon), Math.sin(lat), Math.cos(lat) * Math.cos(lon));
+}
+
+export function coverageBin(lon, lat) {
+  // Grid cell index of a direction given as longitude [-π, π] / latitude [-π/2, π/2]
+  const i = Math.min(LON_BINS - 1, Math.floor(((lon + Math.PI) / (2 * Math.PI)) * LON_BINS));
+  const j = Math.min(LAT_BINS - 1, Math.floor(((lat + Math.PI / 2) / Math.PI) * LAT_BINS));
+  return Math.max(0, j) * LON_BINS + Math.max(0, i);
+}
+
+export function toLonLat(d) {
+  return [Math.atan2(d.x, d.z), Math.asin(Math.min(1, Math.max(-1, d.y)))];
+}
+
+export function directionCoverage(directions, radiusDeg = 20) {
+  // directions: unit Vector3s -> { lonBins, latBins, counts, density, covered (0..1), gaps, largestGapDeg, elevation }
+  const bins = LON_BINS * LAT_BINS;
+  const centers = [];
+  const area = new Float64Array(bins); // steradians
+  for (let j = 0; j < LAT_BINS; j++) {
+    const lat0 = -Math.PI / 2 + (j * Math.PI) / LAT_BINS;
+    const lat1 = lat0 + Math.PI / LAT_BINS;
+    for (let i = 0; i < LON_BINS; i++) {
+      centers.push(fromLonLat(-Math.PI + ((i + 0.5) * 2 * Math.PI) / LON_BINS, (lat0 + lat1) / 2));
+      area[j * LON_BINS + i] = ((2 * Math.PI) / LON_BINS) * (Math.sin(lat1) - Math.sin(lat0));
+    }
+  }
+  const counts = new Float32Array(bins);
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  for (const d of directions) {
+    const [lon, lat] = toLonLat(d);
+    counts[coverageBin(lon, lat)] += 1;
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+  }
+  // Cameras within the radius of each cell center, counted per occupied cell (cells are small next to the radius)
+  const occupied = [];
+  counts.forEach((c, b) => { if (c > 0) occupied.push(b); });
+  const cosRadius = Math.cos(THREE.MathUtils.degToRad(radiusDeg));
+  const density = new Float32Array(bins);
+  let coveredArea = 0;
+  let gaps = 0;
+  let largestGap = 0;
+  for (let b = 0; b < bins; b++) {
+    let nearest = -1;
+    for (const o of occupied) {
+      const dot = centers[b].dot(centers[o]);
+      if (dot >= cosRadius) density[b] += counts[o];
+      if (dot > nearest) nearest = dot;
+    }
+    if (density[b] > 0) coveredArea += area[b];
+    else {
+      gaps++;
+      largestGap = Math.max(largestGap, Math.acos(Math.min(1, nearest)));
+    }
+  }
+  return {
+    lonBins: LON_BINS,
+    latBins: LAT_BINS,
+    counts,
+    density,
+    covered: coveredArea / (4 * Math.PI),
+    gaps,
+    largestGapDeg: THREE.MathUtils.radToDeg(largestGap),
+    elevation: directions.length ? [THREE.MathUtils.radToDeg(minLat), THREE.MathUtils.radToDeg(maxLat)] : null,
+  };
+}
+
+// -------------------------- Mollweide projection --------------------------
+
+export function mollweideInverse(x, y) {
+  // Point of the unit-scaled Mollweide plane (x in [-2, 2], y in [-1, 1]) -> [lon, lat], or null outside the map
+  if ((x * x) / 4 + y * y > 1) return null;
+  const theta = Math.asin(y);
+  const lat = Math.asin(Math.min(1, Math.max(-1, (2 * theta + Math.sin(2 * theta)) / Math.PI)));
+  const c = Math.cos(theta);
+  const lon = c > 1e-9 ? (Math.PI * x) / (2 * c) : 0;
+  return Math.abs(lon) <= Math.PI ? [lon, lat] : null;
+}
+
+export function mollweideForward(lon, lat) {
+  // [lon, lat] -> [x, y] on the unit-scaled Mollweide plane; Newton's method for 2θ + sin 2θ = π sin(lat)
+  let theta = lat;
+  const target = Math.PI * Math.sin(lat);
+  for (let k = 0; k < 20 && Math.abs(Math.abs(lat) - Math.PI / 2) > 1e-9; k++) {
+    const f = 2 * theta + Math.sin(2 * theta) - target;
+    const df = 2 + 2 * Math.cos(2 * theta);
+    if (Math.abs(df) < 1e-12) break;
+    const step = f / df;
+    theta -= step;
+    if (Math.abs(step) < 1e-10) break;
+  }
+  return [(2 / Math.PI) * lon * Math.cos(theta), Math.sin(theta)];
+}
+
+// -------------------------- Co-visibility --------------------------
+
+// Three corners on each face: near, far, left, right, bottom, top
+const FACES = [[0, 1, 2], [4, 7, 6], [0, 3, 7], [1, 5, 6], [0, 4, 5], [3, 2, 6]];
+const SAMPLE_UV = [[0.5, 0.5], [0.2, 0.2], [0.8, 0.2], [0.8, 0.8], [0.2, 0.8]];
+const SAMPLE_DEPTHS = [0.15, 0.5, 0.85]; // between the near and far rectangles
+
+function frustumShape(corners) {
+  const centroid = corners.reduce((acc, c) => acc.add(c), new THREE.Vector3()).divideScalar(corners.length);
+  const planes = FACES.map(([a, b, c]) => {
+    const plane = new THREE.Plane().setFromCoplanarPoints(corners[a], corners[b], corners[c]);
+    if (plane.distanceToPoint(centroid) < 0) plane.negate(); // inward normals
+    return plane;
+  });
+  const quad = (o, u, v) => corners[o].clone().lerp(corners[o + 1], u).lerp(corners[o + 3].clone().lerp(corners[o + 2], u), v);
+  const samples = [];
+  for (const t of SAMPLE_DEPTHS) {
+    for (const [u, v] of SAMPLE_UV) samples.push(quad(0, u, v).lerp(quad(4, u, v), t));
+  }
+  const radius = Math.max(...corners.map((c) => c.distanceTo(centroid)));
+  return { planes, samples, centroid, radius };
+}
+
+function insideShare(samples, planes) {
+  let n = 0;
+  for (const p of samples) {
+    if (planes.every((plane) => plane.distanceToPoint(p) >= -1e-9)) n++;
+  }
+  return n / samples.length;
+}
+
+export function covisibilityGraph(frusta, { minOverlap = 0.1, minNeighbors = 2 } = {}) {
+  // frusta: per camera, 8 world-space corners -> { edges: [{ a, b, overlap }], degree, components, largest, status }
+  // status[i]: null | "isolated" | "weak" | "disconnected"
+  const n = frusta.length;
+  if (n > COVISIBILITY_MAX_CAMERAS) {
+    return { error: `Co-visibility is limited to ${COVISIBILITY_MAX_CAMERAS} cameras (${n} shown); filter or subsample the groups first` };
+  }
+  const shapes = frusta.map(frustumShape);
+  const edges = [];
+  const degree = new Int32Array(n);
+  const parent = Int32Array.from({ length: n }, (_, i) => i);
+  const root = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+  for (let a = 0; a < n; a++) {
+    for (let b = a + 1; b < n; b++) {
+      const A = shapes[a];
+      const B = shapes[b];
+      if (A.centroid.distanceTo(B.centroid) > A.radius + B.radius) continue;
+      const overlap = (insideShare(A.samples, B.planes) + insideShare(B.samples, A.planes)) / 2;
+      if (overlap < minOverlap || overlap === 0) continue;
+      edges.push({ a, b, overlap });
+      degree[a]++;
+      degree[b]++;
+      parent[root(a)] = root(b);
+    }
+  }
+  const sizes = new Map();
+  for (let i = 0; i < n; i++) sizes.set(root(i), (sizes.get(root(i)) ?? 0) + 1);
+  let largestRoot = -1;
+  for (const [r, size] of sizes) if (largestRoot < 0 || size > sizes.get(largestRoot)) largestRoot = r;
+  const status = Array.from({ length: n }, (_, i) => {
+    if (degree[i] === 0) return "isolated";
+    if (degree[i] < minNeighbors) return "weak";
+    return root(i) === largestRoot ? null : "disconnected";
+  });
+  return { edges, degree, components: sizes.size, largest: sizes.get(largestRoot) ?? 0, status };
+}
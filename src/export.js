@@ -0,0 +1,98 @@
+import { colmapCameraFromIntrinsics, rotationToQvec, writeCamerasText, writeImagesText } from "./colmap.js";
+import { resolveIntrinsics } from "./core.js";
+
+/**
+ * Pose export
+ *
+ * - transforms.json with the poses as displayed, converted to a target convention by the caller; every other
+ *   top-level and per-frame field (camera_angle_x, intrinsics, time, custom fields) is kept as loaded.
+ * - Merged export of several groups: the first group's top-level fields, and each other group's intrinsics
+ *   copied onto its frames wherever they differ.
+ * - CSV of camera positions + orientations, and a COLMAP text model (cameras.txt + images.txt) with one camera per
+ *   group, taken from its first frame's intrinsics.
+ *
+ * Exported groups are { name, data, overrides?, frames: [{ frame, rows, c2w, w2cOpenCV }] } where `frame` is the loaded frame,
+ * `rows` the transform_matrix in the target convention, `c2w` the camera-to-world rows in the target axes/world
+ * and `w2cOpenCV` the world-to-camera rows with OpenCV axes in the target world.
+ */
+
+const INTRINSIC_FIELDS = ["camera_angle_x", "camera_angle_y", "fl_x", "fl_y", "cx", "cy", "w", "h", "k1", "k2", "k3", "k4", "p1", "p2", "camera_model"];
+
+const NOMINAL_IMAGE_WIDTH = 1000; // pixels, for COLMAP cameras of groups without an image size (camera_angle_x only)
+
+function roundRows(rows) {
+  return rows.map((r) => r.map((v) => +v.toPrecision(12)));
+}
+
+function topLevelFields(data) {
+  const { frames: _frames, ...rest } = data || {};
+  return rest;
+}
+
+export function transformsJson(group) {
+  return {
+    ...topLevelFields(group.data),
+    frames: group.frames.map(({ frame, rows }) => ({ ...frame, transform_matrix: roundRows(rows) })),
+  };
+}
+
+export function mergedTransformsJson(groups) {
+  const base = topLevelFields(groups[0]?.data);
+  const frames = [];
+  for (const g of groups) {
+    const own = topLevelFields(g.data);
+    const differing = INTRINSIC_FIELDS.filter((k) => own[k] !== undefined && own[k] !== base[k]);
+    for (const { frame, rows } of g.frames) {
+      const extra = Object.fromEntries(differing.filter((k) => frame[k] === undefined).map((k) => [k, own[k]]));
+      frames.push({ ...extra, ...frame, transform_matrix: roundRows(rows) });
+    }
+  }
+  return { ...base, frames };
+}
+
+export function posesCsv(groups) {
+  // file_path, camera center, c2w orientation quaternion (w, x, y, z); the header is the first line so any CSV
+  // reader takes it as is (the caller puts the convention in the file name)
+  const lines = ["group,file_path,x,y,z,qw,qx,qy,qz"];
+  const quote = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  for (const g of groups) {
+    for (const { frame, c2w } of g.frames) {
+      const R = c2w.slice(0, 3).map((r) => r.slice(0, 3));
+      const pos = c2w.slice(0, 3).map((r) => r[3]);
+      lines.push([quote(g.name), quote(frame.file_path ?? ""), ...pos.map((v) => +v.toPrecision(12)), ...rotationToQvec(R).map((v) => +v.toPrecision(12))].join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function colmapCameraFields(group) {
+  // Pixel intrinsics of the group's first frame with its FOV/aspect overrides applied; without w/h the image is
+  // NOMINAL_IMAGE_WIDTH wide (focal lengths and principal point are consistent with that size)
+  const frame = group.frames[0]?.frame;
+  const fields = { ...topLevelFields(group.data), ...frame };
+  const { fovX, aspect, px, py } = resolveIntrinsics(group, frame);
+  const w = Number.isFinite(fields.w) ? fields.w : NOMINAL_IMAGE_WIDTH;
+  const h = Number.isFinite(fields.h) ? fields.h : Math.max(1, Math.round(w / aspect));
+  const tanX = Math.tan(fovX / 2);
+  return { ...fields, w, h, fl_x: w / (2 * tanX), fl_y: (h * aspect) / (2 * tanX), cx: px * w, cy: py * h };
+}
+
+export function colmapCamerasText(groups) {
+  // One camera per group, with the ids colmapImagesText refers to
+  return writeCamerasText(groups.map((g, gi) => {
+    const camera = colmapCameraFromIntrinsics(colmapCameraFields(g));
+    return { id: gi + 1, ...camera, params: camera.params.map((v) => +v.toPrecision(12)) };
+  }));
+}
+
+export function colmapImagesText(groups) {
+  // One COLMAP camera id per group (1-based, in order); image ids are sequential across groups
+  let id = 1;
+  const images = [];
+  groups.forEach((g, gi) => {
+    for (const { frame, w2cOpenCV } of g.frames) {
+      images.push({ id: id++, cameraId: gi + 1, name: frame.file_path ?? `image_${id - 1}`, w2c: w2cOpenCV });
+    }
+  });
+  return writeImagesText(images);
+}
@@ -0,0 +1,210 @@
+import * as THREE from "three";
+
+/**
+ * Vector figures (SVG, PDF) of the current view
+ *
+ * - Content is given in world space: lines ({ segments: [[Vector3, Vector3], ...], color, opacity?, weight? }) and
+ *   labels ({ position: Vector3, text }). projectFigure clips them to the camera's near plane, projects them with
+ *   the view-projection matrix and sorts lines far to near, so nearer frustums are drawn over farther ones.
+ * - Page sizes, line widths and font sizes are in points (1/72 inch). Labels start at the camera center; the
+ *   legend lists { label, color } entries in the top-left corner.
+ * - The PDF writer emits a single page with the standard Helvetica font and ASCII-only content (non-Latin-1
+ *   characters in labels become "?"), so the output can be downloaded as text.
+ */
+
+export const FIGURE_MAX_SIDE = 16384; // px, raster figures
+export const FIGURE_MAX_PIXELS = 64e6; // raster figures, before supersampling
+
+const FONT_FAMILY = "Helvetica, Arial, sans-serif";
+const CHAR_WIDTH = 0.55; // average Helvetica advance in em, for legend box sizes
+
+function clipToNear(a, b) {
+  // Clip-space segment clipped to z >= -w (three.js near plane); null when entirely behind it
+  const da = a.z + a.w;
+  const db = b.z + b.w;
+  if (da < 0 && db < 0) return null;
+  if (da >= 0 && db >= 0) return [a, b];
+  const t = da / (da - db);
+  const p = a.clone().lerp(b, t);
+  return da < 0 ? [p, b] : [a, p];
+}
+
+function outsideSameSide(a, b) {
+  // Both ends beyond the same left/right/bottom/top plane: nothing of the segment is on the page
+  return (a.x > a.w && b.x > b.w) || (a.x < -a.w && b.x < -b.w) || (a.y > a.w && b.y > b.w) || (a.y < -a.w && b.y < -b.w);
+}
+
+const toPage = (v) => [(v.x / v.w + 1) / 2, (1 - v.y / v.w) / 2];
+
+export function projectFigure({ viewProjection, lines = [], labels = [] }) {
+  // -> { strokes: [{ segments: [[x0, y0, x1, y1], ...], color: "#rrggbb", opacity, weight, depth }], labels: [{ x, y, text }] }
+  // with page coordinates in [0, 1] (x right, y down)
+  const clip = (p) => new THREE.Vector4(p.x, p.y, p.z, 1).applyMatrix4(viewProjection);
+  const strokes = [];
+  for (const line of lines) {
+    const segments = [];
+    let depth = 0;
+    for (const [p, q] of line.segments) {
+      const clipped = clipToNear(clip(p), clip(q));
+      if (!clipped || outsideSameSide(...clipped)) continue;
+      const [a, b] = clipped;
+      segments.push([...toPage(a), ...toPage(b)]);
+      depth += a.w + b.w;
+    }
+    if (!segments.length) continue;
+    strokes.push({
+      segments,
+      color: `#${new THREE.Color(line.color).getHexString()}`,
+      opacity: line.opacity ?? 1,
+      weight: line.weight ?? 1,
+      depth: depth / (2 * segments.length),
+    });
+  }
+  strokes.sort((s, t) => t.depth - s.depth);
+  const placed = labels
+    .map((l) => ({ v: clip(l.position), text: String(l.text) }))
+    .filter(({ v }) => v.z + v.w >= 0 && Math.abs(v.x) <= v.w && Math.abs(v.y) <= v.w)
+    .map(({ v, text }) => {
+      const [x, y] = toPage(v);
+      return { x, y, text };
+    });
+  return { strokes, labels: placed };
+}
+
+const num = (v) => String(Math.round(v * 100) / 100);
+
+function legendLayout(legend, fontSize) {
+  // Box and rows of the legend in page points, from the top-left corner
+  const pad = fontSize * 0.6;
+  const row = fontSize * 1.4;
+  const swatch = fontSize * 1.5;
+  const textWidth = Math.max(...legend.map((l) => String(l.label).length)) * CHAR_WIDTH * fontSize;
+  return {
+    box: { x: pad, y: pad, width: pad * 3 + swatch + textWidth, height: pad * 2 + row * legend.length - (row - fontSize) },
+    rows: legend.map((l, i) => {
+      const y = pad * 2 + i * row + fontSize / 2; // row center
+      return { ...l, x0: pad * 2, x1: pad * 2 + swatch, y, textX: pad * 3 + swatch, baseline: y + fontSize * 0.35 };
+    }),
+  };
+}
+
+// -------------------------- SVG --------------------------
+
+function xmlEscape(text) {
+  return String(text).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+export function figureSvg(figure, { width, height, lineWidth = 0.5, fontSize = 6, background = null, legend = [] }) {
+  // background: CSS color, or null for transparent
+  const out = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}pt" height="${num(height)}pt" viewBox="0 0 ${num(width)} ${num(height)}">`,
+    `<defs><clipPath id="page"><rect width="${num(width)}" height="${num(height)}"/></clipPath></defs>`,
+  ];
+  if (background) out.push(`<rect width="${num(width)}" height="${num(height)}" fill="${xmlEscape(background)}"/>`);
+  out.push(`<g clip-path="url(#page)" fill="none" stroke-linecap="round" stroke-linejoin="round">`);
+  for (const s of figure.strokes) {
+    const d = s.segments.map(([x0, y0, x1, y1]) => `M${num(x0 * width)} ${num(y0 * height)}L${num(x1 * width)} ${num(y1 * height)}`).join("");
+    const opacity = s.opacity < 1 ? ` stroke-opacity="${num(s.opacity)}"` : "";
+    out.push(`<path d="${d}" stroke="${s.color}" stroke-width="${num(lineWidth * s.weight)}"${opacity}/>`);
+  }
+  out.push(`</g>`);
+  if (figure.labels.length) {
+    out.push(`<g font-family="${FONT_FAMILY}" font-size="${num(fontSize)}" fill="#111" stroke="#fff" stroke-width="${num(fontSize * 0.25)}" paint-order="stroke">`);
+    for (const l of figure.labels) {
+      out.push(`<text x="${num(l.x * width + fontSize * 0.3)}" y="${num(l.y * height - fontSize * 0.3)}">${xmlEscape(l.text)}</text>`);
+    }
+    out.push(`</g>`);
+  }
+  if (legend.length) {
+    const { box, rows } = legendLayout(legend, fontSize);
+    out.push(`<g font-family="${FONT_FAMILY}" font-size="${num(fontSize)}">`);
+    out.push(`<rect x="${num(box.x)}" y="${num(box.y)}" width="${num(box.width)}" height="${num(box.height)}" fill="#fff" fill-opacity="0.85" stroke="#94a3b8" stroke-width="${num(lineWidth / 2)}"/>`);
+    for (const r of rows) {
+      const color = `#${new THREE.Color(r.color).getHexString()}`;
+      out.push(`<line x1="${num(r.x0)}" y1="${num(r.y)}" x2="${num(r.x1)}" y2="${num(r.y)}" stroke="${color}" stroke-width="${num(Math.max(lineWidth * 2, fontSize / 6))}"/>`);
+      out.push(`<text x="${num(r.textX)}" y="${num(r.baseline)}" fill="#111">${xmlEscape(r.label)}</text>`);
+    }
+    out.push(`</g>`);
+  }
+  out.push(`</svg>`);
+  return out.join("\n");
+}
+
+// -------------------------- PDF --------------------------
+
+function pdfString(text) {
+  // Literal string in WinAnsi (Latin-1) with ASCII-only output
+  let s = "";
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    if (ch === "(" || ch === ")" || ch === "\\") s += `\\${ch}`;
+    else if (code >= 32 && code < 127) s += ch;
+    else if (code >= 160 && code <= 255) s += `\\${code.toString(8).padStart(3, "0")}`;
+    else s += "?";
+  }
+  return `(${s})`;
+}
+
+function pdfColor(color) {
+  const c = new THREE.Color(color);
+  const srgb = {};
+  c.getRGB(srgb, THREE.SRGBColorSpace);
+  return [srgb.r, srgb.g, srgb.b].map((v) => num(Math.min(1, Math.max(0, v)))).join(" ");
+}
+
+export function figurePdf(figure, { width, height, lineWidth = 0.5, fontSize = 6, background = null, legend = [] }) {
+  // Same drawing as figureSvg; PDF user space has y up, so page y is flipped
+  const Y = (y) => num(height - y);
+  const alphas = new Map(); // opacity -> ExtGState name
+  const alpha = (opacity) => {
+    const key = num(opacity);
+    if (!alphas.has(key)) alphas.set(key, `GS${alphas.size}`);
+    return `/${alphas.get(key)} gs`;
+  };
+  const ops = ["1 J 1 j"];
+  if (background) ops.push(`${pdfColor(background)} rg 0 0 ${num(width)} ${num(height)} re f`);
+  ops.push(`q 0 0 ${num(width)} ${num(height)} re W n`);
+  for (const s of figure.strokes) {
+    ops.push(`${alpha(s.opacity)} ${pdfColor(s.color)} RG ${num(lineWidth * s.weight)} w`);
+    for (const [x0, y0, x1, y1] of s.segments) ops.push(`${num(x0 * width)} ${Y(y0 * height)} m ${num(x1 * width)} ${Y(y1 * height)} l`);
+    ops.push("S");
+  }
+  ops.push(`Q ${alpha(1)}`);
+  const text = (x, y, str) => `BT /F1 ${num(fontSize)} Tf ${num(x)} ${Y(y)} Td ${pdfString(str)} Tj ET`;
+  if (figure.labels.length) {
+    ops.push(`1 1 1 RG ${num(fontSize * 0.25)} w 0.067 0.067 0.067 rg`);
+    for (const l of figure.labels) {
+      const [x, y] = [l.x * width + fontSize * 0.3, l.y * height - fontSize * 0.3];
+      ops.push(`1 Tr ${text(x, y, l.text)} 0 Tr ${text(x, y, l.text)}`);
+    }
+  }
+  if (legend.length) {
+    const { box, rows } = legendLayout(legend, fontSize);
+    ops.push(`q ${alpha(0.85)} 1 1 1 rg ${num(box.x)} ${Y(box.y + box.height)} ${num(box.width)} ${num(box.height)} re f Q`);
+    ops.push(`0.58 0.64 0.72 RG ${num(lineWidth / 2)} w ${num(box.x)} ${Y(box.y + box.height)} ${num(box.width)} ${num(box.height)} re S`);
+    for (const r of rows) {
+      ops.push(`${pdfColor(r.color)} RG ${num(Math.max(lineWidth * 2, fontSize / 6))} w ${num(r.x0)} ${Y(r.y)} m ${num(r.x1)} ${Y(r.y)} l S`);
+      ops.push(`0.067 0.067 0.067 rg ${text(r.textX, r.baseline, r.label)}`);
+    }
+  }
+  const content = ops.join("\n");
+  const states = [...alphas].map(([key, name]) => `/${name} << /Type /ExtGState /CA ${key} /ca ${key} >>`).join(" ");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << /F1 5 0 R >> /ExtGState << ${states} >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+  ];
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+}
@@ -0,0 +1,69 @@
+/**
+ * Per-group frame filters
+ *
+ * - query: substring of file_path (case-insensitive), or a regular expression written as /pattern/flags
+ * - ranges: frame index ranges such as "0-99,200-" (inclusive; "-50" = up to 50, "7" = just 7)
+ * - everyN: keep every Nth of the frames that pass the other filters
+ * - timeMin/timeMax: inclusive time range; frames without a time value are left out while one is set
+ */
+
+export function parseIndexRanges(text) {
+  // "0-99, 200-, 150" -> [[0, 99], [200, Infinity], [150, 150]]; throws on malformed parts
+  const ranges = [];
+  for (const part of String(text || "").split(",").map((p) => p.trim()).filter(Boolean)) {
+    const m = /^(\d*)\s*(-)?\s*(\d*)$/.exec(part);
+    if (!m || (!m[1] && !m[3])) throw new Error(`Invalid index range '${part}'`);
+    const lo = m[1] ? Number(m[1]) : 0;
+    const hi = m[2] ? (m[3] ? Number(m[3]) : Infinity) : lo;
+    if (hi < lo) throw new Error(`Invalid index range '${part}' (end before start)`);
+    ranges.push([lo, hi]);
+  }
+  return ranges;
+}
+
+function queryMatcher(query) {
+  const q = String(query || "").trim();
+  if (!q) return null;
+  const re = /^\/(.+)\/([a-z]*)$/.exec(q);
+  if (re) {
+    let regex;
+    try {
+      regex = new RegExp(re[1], re[2].replace(/[gy]/g, "")); // g/y would make test() resume at lastIndex
+    } catch (e) {
+      throw new Error(`Invalid regular expression: ${e.message}`);
+    }
+    return (path) => regex.test(path);
+  }
+  const needle = q.toLowerCase();
+  return (path) => path.toLowerCase().includes(needle);
+}
+
+export function isFilterActive(filter) {
+  const f = filter || {};
+  return !!(String(f.query || "").trim() || String(f.ranges || "").trim() || f.everyN > 1 || Number.isFinite(f.timeMin) || Number.isFinite(f.timeMax));
+}
+
+export function compileFrameFilter(filter) {
+  // returns { match(frame, index), everyN, active, error }; a filter with an error matches every frame
+  const f = filter || {};
+  const everyN = Math.max(1, Math.floor(f.everyN) || 1);
+  try {
+    const query = queryMatcher(f.query);
+    const ranges = parseIndexRanges(f.ranges);
+    const hasTimeRange = Number.isFinite(f.timeMin) || Number.isFinite(f.timeMax);
+    const match = (frame, index) => {
+      if (query && !query(String(frame?.file_path ?? ""))) return false;
+      if (ranges.length && !ranges.some(([lo, hi]) => index >= lo && index <= hi)) return false;
+      if (hasTimeRange) {
+        const t = frame?.time;
+        if (!Number.isFinite(t)) return false;
+        if (Number.isFinite(f.timeMin) && t < f.timeMin) return false;
+        if (Number.isFinite(f.timeMax) && t > f.timeMax) return false;
+      }
+      return true;
+    };
+    return { match, everyN, active: isFilterActive(f), error: null };
+  } catch (e) {
+    return { match: () => true, everyN, active: everyN > 1, error: e.message };
+  }
+}
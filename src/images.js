@@ -0,0 +1,126 @@
+import * as THREE from "three";
+
+/**
+ * Source images for frustum image planes
+ *
+ * - Indexes image files dropped/chosen alongside a dataset by every trailing part of their relative path,
+ *   with and without extension, so frames match whether file_path is "./train/r_000", "r_000.png", etc.
+ * - Frames of datasets loaded from a URL use remote sources fetched relative to the dataset URL, one object per
+ *   image so they cache like Files.
+ * - Loads downscaled thumbnails as textures, a few at a time, cached per File or remote source.
+ */
+
+export const IMAGE_FILE_RE = /\.(png|jpe?g|webp|bmp|gif|avif)$/i;
+
+function normalizePath(p) {
+  // lowercase, forward slashes, no leading ./ ../ or /
+  return String(p || "").replace(/\\/g, "/").replace(/^(\.{0,2}\/)+/, "").toLowerCase();
+}
+
+function stripExtension(p) {
+  return p.replace(/\.[^./]+$/, "");
+}
+
+function pathSuffixes(p) {
+  // "a/b/c.png" -> ["a/b/c.png", "b/c.png", "c.png"]
+  const parts = normalizePath(p).split("/").filter(Boolean);
+  return parts.map((_, i) => parts.slice(i).join("/"));
+}
+
+export function addToImageIndex(index, entries) {
+  // entries: [{ path, file }]; returns a new Map, earlier (longer) keys win on conflicts
+  const next = new Map(index);
+  for (const { path, file } of entries) {
+    for (const key of pathSuffixes(path)) {
+      if (!next.has(key)) next.set(key, file);
+      const bare = stripExtension(key);
+      if (!next.has(bare)) next.set(bare, file);
+    }
+  }
+  return next;
+}
+
+export function findImage(index, filePath) {
+  // Longest matching suffix of file_path first, each with and without its extension
+  if (!index?.size || !filePath) return null;
+  for (const key of pathSuffixes(filePath)) {
+    const hit = index.get(key) ?? index.get(stripExtension(key));
+    if (hit) return hit;
+  }
+  return null;
+}
+
+const REMOTE_IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg"];
+const remoteSources = new WeakMap(); // dataset -> Map "baseUrl\nfile_path" -> remote source (dropped with the dataset)
+
+export function remoteImage(dataset, baseUrl, filePath) {
+  // Stable { name, baseUrl, filePath } source for a frame of a dataset loaded from baseUrl, or null
+  if (!dataset || !baseUrl || !filePath) return null;
+  if (!remoteSources.has(dataset)) remoteSources.set(dataset, new Map());
+  const sources = remoteSources.get(dataset);
+  const key = `${baseUrl}\n${filePath}`;
+  if (!sources.has(key)) sources.set(key, { name: String(filePath), baseUrl, filePath: String(filePath) });
+  return sources.get(key);
+}
+
+function remoteImageUrls({ baseUrl, filePath }) {
+  // file_path resolved against the dataset URL; without an image extension (NeRF synthetic "./train/r_000")
+  // .png, .jpg and .jpeg are tried in turn
+  const path = filePath.replace(/\\/g, "/");
+  const candidates = IMAGE_FILE_RE.test(path) ? [path] : REMOTE_IMAGE_EXTENSIONS.map((ext) => path + ext);
+  return candidates.map((p) => new URL(p, baseUrl).href);
+}
+
+async function fetchFirstImage(urls) {
+  for (const url of urls) {
+    try {
+      const res = await fetch(url);
+      if (res.ok) return await res.blob();
+    } catch {
+      // try the next candidate
+    }
+  }
+  throw new Error(`No image found at ${urls[0]}`);
+}
+
+// -------------------------- Thumbnails --------------------------
+
+const THUMBNAIL_SIZE = 256; // px, longest side
+const MAX_CONCURRENT_LOADS = 4;
+
+const thumbnailCache = new WeakMap(); // File or remote source -> Promise<THREE.Texture>
+const queue = [];
+let active = 0;
+
+function runQueued(task) {
+  return new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    pump();
+  });
+}
+
+function pump() {
+  while (active < MAX_CONCURRENT_LOADS && queue.length) {
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    task().then(resolve, reject).finally(() => { active--; pump(); });
+  }
+}
+
+async function decodeThumbnail(file) {
+  const bitmap = await createImageBitmap(file.baseUrl ? await fetchFirstImage(remoteImageUrls(file)) : file);
+  const s = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bitmap.width * s));
+  canvas.height = Math.max(1, Math.round(bitmap.height * s));
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+export function loadThumbnail(file) {
+  if (!thumbnailCache.has(file)) thumbnailCache.set(file, runQueued(() => decodeThumbnail(file)));
+  return thumbnailCache.get(file);
+}
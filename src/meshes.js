@@ -0,0 +1,105 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+
+/**
+ * Reference meshes for the scene overlay
+ *
+ * - Reads OBJ (with its .mtl when dropped alongside), GLB/glTF and STL files into a THREE.Object3D.
+ * - Resources referenced by relative URI (.gltf buffers, .mtl, textures) are looked up by file name among the
+ *   files dropped/chosen together; missing ones are left to the loaders' own error handling.
+ * - Opacity/wireframe are applied to every material of the object; objects are disposed when removed.
+ */
+
+export const MESH_FILE_RE = /\.(obj|glb|gltf|stl)$/i;
+
+const DEFAULT_MESH_COLOR = "#b0b7c3";
+
+function baseName(p) {
+  return decodeURIComponent(String(p || "")).replace(/\\/g, "/").split(/[?#]/)[0].split("/").pop().toLowerCase();
+}
+
+function siblingManager(siblings) {
+  // LoadingManager that serves relative URIs from the dropped files; object URLs are revoked once all loads finish
+  const byName = new Map(siblings.map((f) => [baseName(f.name), f]));
+  const urls = [];
+  const manager = new THREE.LoadingManager(() => urls.splice(0).forEach((u) => URL.revokeObjectURL(u)));
+  manager.setURLModifier((url) => {
+    if (/^(data|blob):/.test(url)) return url;
+    const file = byName.get(baseName(url));
+    if (!file) return url;
+    const objectUrl = URL.createObjectURL(file);
+    urls.push(objectUrl);
+    return objectUrl;
+  });
+  return { manager, find: (name) => byName.get(baseName(name)) ?? null };
+}
+
+async function readObj(file, siblings) {
+  const text = await file.text();
+  const { manager, find } = siblingManager(siblings);
+  const loader = new OBJLoader(manager);
+  const mtlName = /^mtllib\s+(.+)$/m.exec(text)?.[1]?.trim();
+  const mtlFile = mtlName ? find(mtlName) : null;
+  if (mtlFile) {
+    const materials = new MTLLoader(manager).parse(await mtlFile.text(), "");
+    materials.preload();
+    loader.setMaterials(materials);
+  }
+  return loader.parse(text);
+}
+
+async function readGltf(file, siblings) {
+  const { manager } = siblingManager(siblings);
+  const data = /\.glb$/i.test(file.name) ? await file.arrayBuffer() : await file.text();
+  const gltf = await new GLTFLoader(manager).parseAsync(data, "");
+  return gltf.scene;
+}
+
+async function readStl(file) {
+  const geometry = new STLLoader().parse(await file.arrayBuffer());
+  const material = new THREE.MeshStandardMaterial({
+    color: geometry.hasColors ? "#ffffff" : DEFAULT_MESH_COLOR,
+    vertexColors: !!geometry.hasColors,
+    side: THREE.DoubleSide,
+  });
+  return new THREE.Mesh(geometry, material);
+}
+
+export async function readMesh(file, siblings = []) {
+  // file: OBJ/GLB/glTF/STL File; siblings: the other files dropped/chosen with it
+  if (/\.obj$/i.test(file.name)) return readObj(file, siblings);
+  if (/\.(glb|gltf)$/i.test(file.name)) return readGltf(file, siblings);
+  if (/\.stl$/i.test(file.name)) return readStl(file);
+  throw new Error(`Unsupported mesh format: ${file.name}`);
+}
+
+function materialsOf(object) {
+  const out = new Set();
+  object.traverse((o) => {
+    for (const m of [].concat(o.material || [])) out.add(m);
+  });
+  return out;
+}
+
+export function setMeshAppearance(object, { opacity, wireframe }) {
+  for (const m of materialsOf(object)) {
+    m.transparent = opacity < 1;
+    m.opacity = opacity;
+    m.depthWrite = opacity >= 1;
+    if ("wireframe" in m) m.wireframe = wireframe;
+    m.needsUpdate = true;
+  }
+}
+
+export function disposeMesh(object) {
+  object.traverse((o) => o.geometry?.dispose());
+  for (const m of materialsOf(object)) {
+    for (const v of Object.values(m)) {
+      if (v?.isTexture) v.dispose();
+    }
+    m.dispose();
+  }
+}
@@ -0,0 +1,142 @@
+import * as THREE from "three";
+import { colmapFileKind, parsePoints3DBinary, parsePoints3DText } from "./colmap";
+
+/**
+ * Point clouds for the scene overlay
+ *
+ * - Reads PLY vertices (ascii, binary little/big endian; x/y/z plus optional red/green/blue) and COLMAP
+ *   points3D.txt/.bin into flat Float32Array positions and 0..1 colors (null when the file has none).
+ * - Other PLY elements (faces, edges, ...) are skipped, including variable-length list properties.
+ */
+
+export const POINT_CLOUD_FILE_RE = /\.ply$/i;
+
+const PLY_TYPES = {
+  char: ["getInt8", 1], int8: ["getInt8", 1],
+  uchar: ["getUint8", 1], uint8: ["getUint8", 1],
+  short: ["getInt16", 2], int16: ["getInt16", 2],
+  ushort: ["getUint16", 2], uint16: ["getUint16", 2],
+  int: ["getInt32", 4], int32: ["getInt32", 4],
+  uint: ["getUint32", 4], uint32: ["getUint32", 4],
+  float: ["getFloat32", 4], float32: ["getFloat32", 4],
+  double: ["getFloat64", 8], float64: ["getFloat64", 8],
+};
+
+const COLOR_PROPERTIES = [["red", "diffuse_red", "r"], ["green", "diffuse_green", "g"], ["blue", "diffuse_blue", "b"]];
+
+function parsePlyHeader(bytes) {
+  // Header is ASCII up to and including "end_header\n"
+  const probe = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 64 * 1024)));
+  const end = probe.search(/end_header\r?\n/);
+  if (!probe.startsWith("ply") || end < 0) throw new Error("Not a PLY file (missing 'ply' magic or end_header)");
+  const headerLength = end + probe.slice(end).indexOf("\n") + 1;
+  let format = null;
+  const elements = [];
+  for (const line of probe.slice(0, end).split(/\r?\n/)) {
+    const tok = line.trim().split(/\s+/);
+    if (tok[0] === "format") format = tok[1];
+    else if (tok[0] === "element") elements.push({ name: tok[1], count: Number(tok[2]), properties: [] });
+    else if (tok[0] === "property") {
+      const element = elements[elements.length - 1];
+      if (!element) throw new Error("PLY property before any element");
+      const prop = tok[1] === "list"
+        ? { name: tok[4], type: tok[3], countType: tok[2] }
+        : { name: tok[2], type: tok[1] };
+      if (!PLY_TYPES[prop.type] || (prop.countType && !PLY_TYPES[prop.countType])) {
+        throw new Error(`PLY: unsupported property type in '${line.trim()}'`);
+      }
+      element.properties.push(prop);
+    }
+  }
+  if (!["ascii", "binary_little_endian", "binary_big_endian"].includes(format)) throw new Error(`PLY: unsupported format '${format}'`);
+  return { format, elements, headerLength };
+}
+
+function vertexLayout(element) {
+  const index = (names) => element.properties.findIndex((p) => !p.countType && names.includes(p.name));
+  const xyz = ["x", "y", "z"].map((n) => index([n]));
+  if (xyz.some((i) => i < 0)) throw new Error("PLY: vertex element needs x, y and z properties");
+  const rgb = COLOR_PROPERTIES.map(index);
+  const hasColor = rgb.every((i) => i >= 0);
+  // Integer colors are 0..255 (0..65535 for 16-bit), float colors already 0..1
+  const colorScale = hasColor ? rgb.map((i) => {
+    const t = element.properties[i].type;
+    if (/^u?(char|int8)$/.test(t)) return 1 / 255;
+    if (/^u?(short|int16)$/.test(t)) return 1 / 65535;
+    return 1;
+  }) : null;
+  return { xyz, rgb: hasColor ? rgb : null, colorScale };
+}
+
+export function parsePly(buffer) {
+  // returns { positions: Float32Array, colors: Float32Array|null }
+  const bytes = new Uint8Array(buffer);
+  const { format, elements, headerLength } = parsePlyHeader(bytes);
+  const vertex = elements.find((e) => e.name === "vertex");
+  if (!vertex) throw new Error("PLY: no vertex element");
+  const { xyz, rgb, colorScale } = vertexLayout(vertex);
+  const positions = new Float32Array(vertex.count * 3);
+  const colors = rgb ? new Float32Array(vertex.count * 3) : null;
+  const store = (i, values) => {
+    for (let k = 0; k < 3; k++) positions[i * 3 + k] = values[xyz[k]];
+    if (colors) for (let k = 0; k < 3; k++) colors[i * 3 + k] = values[rgb[k]] * colorScale[k];
+  };
+
+  if (format === "ascii") {
+    const lines = new TextDecoder().decode(bytes.subarray(headerLength)).split(/\r?\n/).filter((l) => l.trim());
+    let line = 0;
+    for (const element of elements) {
+      if (element !== vertex) {
+        line += element.count;
+        continue;
+      }
+      for (let i = 0; i < element.count; i++, line++) {
+        if (line >= lines.length) throw new Error("PLY: unexpected end of vertex data");
+        store(i, lines[line].trim().split(/\s+/).map(Number));
+      }
+      break;
+    }
+    return { positions, colors };
+  }
+
+  const view = new DataView(buffer);
+  const little = format === "binary_little_endian";
+  let o = headerLength;
+  const read = (type) => {
+    const [getter, size] = PLY_TYPES[type];
+    if (o + size > view.byteLength) throw new Error("PLY: unexpected end of binary data");
+    const v = view[getter](o, little);
+    o += size;
+    return v;
+  };
+  for (const element of elements) {
+    const values = new Array(element.properties.length);
+    for (let i = 0; i < element.count; i++) {
+      element.properties.forEach((p, j) => {
+        if (p.countType) {
+          const n = read(p.countType);
+          for (let k = 0; k < n; k++) read(p.type);
+        } else {
+          values[j] = read(p.type);
+        }
+      });
+      if (element === vertex) store(i, values);
+    }
+    if (element === vertex) break;
+  }
+  return { positions, colors };
+}
+
+function withBounds(cloud) {
+  const bounds = new THREE.Box3().setFromArray(cloud.positions);
+  return { ...cloud, count: cloud.positions.length / 3, bounds };
+}
+
+export async function readPointCloud(file) {
+  // PLY or COLMAP points3D.{txt,bin} -> { positions, colors, count, bounds (THREE.Box3, data coordinates) }
+  const kind = colmapFileKind(file.name);
+  if (kind?.kind === "points3D") {
+    return withBounds(kind.format === "bin" ? parsePoints3DBinary(await file.arrayBuffer()) : parsePoints3DText(await file.text()));
+  }
+  return withBounds(parsePly(await file.arrayBuffer()));
+}
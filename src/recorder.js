@@ -0,0 +1,273 @@
+import * as THREE from "three";
+
+/**
+ * Video recording of the viewer: camera paths, WebM encoding and ZIP packaging
+ *
+ * - Poses are { position: Vector3, quaternion: Quaternion, fov?: number (vertical, degrees) } in the viewer's
+ *   Y-up world, one per output frame. Frames are rendered one by one (not in real time), so none are dropped.
+ * - WebM: frames are encoded with WebCodecs (VP9, else VP8) and muxed into a single-track WebM with a cluster per
+ *   key frame and cues for seeking. Browsers without WebCodecs can still save a ZIP of PNG frames (stored, not
+ *   compressed; PNGs are compressed already).
+ */
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+function lookAtQuaternion(position, target) {
+  return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().lookAt(position, target, UP));
+}
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+export function turntablePoses({ center, from, frames, revolutions = 1, clockwise = false }) {
+  // Orbit about the vertical axis through `center`, starting at `from` and keeping its distance and height;
+  // the last frame stops one step short of the first so the video loops seamlessly
+  const offset = from.clone().sub(center);
+  const sign = clockwise ? -1 : 1;
+  return Array.from({ length: frames }, (_, i) => {
+    const position = offset.clone().applyAxisAngle(UP, sign * (2 * Math.PI * revolutions * i) / frames).add(center);
+    return { position, quaternion: lookAtQuaternion(position, center) };
+  });
+}
+
+export function pathPoses(keys, frames) {
+  // Fly-through keys [{ position, quaternion, fov? }] in path order: positions on a centripetal Catmull-Rom
+  // spline at constant speed, orientations (and fov) interpolated between the keys the spline passes
+  if (keys.length < 2) throw new Error("A fly-through needs at least two cameras");
+  const curve = new THREE.CatmullRomCurve3(keys.map((k) => k.position), false, "centripetal");
+  const moving = curve.getLength() > 1e-9;
+  return Array.from({ length: frames }, (_, i) => {
+    const u = i / Math.max(1, frames - 1);
+    const t = moving ? curve.getUtoTmapping(u) : u;
+    const p = t * (keys.length - 1);
+    const k = Math.min(keys.length - 2, Math.floor(p));
+    const f = p - k;
+    const [a, b] = [keys[k], keys[k + 1]];
+    return {
+      position: moving ? curve.getPoint(t) : a.position.clone().lerp(b.position, f),
+      quaternion: a.quaternion.clone().slerp(b.quaternion, f),
+      ...(a.fov && b.fov ? { fov: a.fov + (b.fov - a.fov) * f } : {}),
+    };
+  });
+}
+
+export function viewpointPoses(views, frames) {
+  // Saved orbit viewpoints [{ position: [x, y, z], target: [x, y, z] }]: camera and target on Catmull-Rom splines
+  // through the viewpoints, easing in at the first and out at the last
+  if (views.length < 2) throw new Error("Add at least two viewpoints");
+  const positions = new THREE.CatmullRomCurve3(views.map((v) => new THREE.Vector3().fromArray(v.position)), false, "centripetal");
+  const targets = new THREE.CatmullRomCurve3(views.map((v) => new THREE.Vector3().fromArray(v.target)), false, "centripetal");
+  return Array.from({ length: frames }, (_, i) => {
+    const t = smoothstep(i / Math.max(1, frames - 1));
+    const position = positions.getPoint(t);
+    return { position, quaternion: lookAtQuaternion(position, targets.getPoint(t)) };
+  });
+}
+
+// -------------------------- WebM --------------------------
+
+const CODECS = [["vp09.00.41.08", "V_VP9"], ["vp8", "V_VP8"]];
+
+export function videoEncodingSupported() {
+  return typeof VideoEncoder !== "undefined" && typeof VideoFrame !== "undefined";
+}
+
+function vintSize(n) {
+  // EBML data size, always as 8 bytes (marker 0x01 + 7 bytes) so element sizes never depend on their content
+  const out = new Uint8Array(8);
+  out[0] = 0x01;
+  for (let i = 7, v = n; i > 0; i--, v = Math.floor(v / 256)) out[i] = v % 256;
+  return out;
+}
+
+function uintBytes(n, length) {
+  const bytes = [];
+  for (let v = n; v > 0 || !bytes.length; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+  while (length && bytes.length < length) bytes.unshift(0);
+  return new Uint8Array(bytes);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+function element(id, data) {
+  // id: the element ID as a number (its bytes include the length marker); data: Uint8Array or array of them
+  const body = Array.isArray(data) ? concat(data) : data;
+  return concat([uintBytes(id), vintSize(body.length), body]);
+}
+
+const uint = (id, n, length) => element(id, uintBytes(n, length));
+const str = (id, s) => element(id, new TextEncoder().encode(s));
+const float = (id, x) => {
+  const b = new Uint8Array(8);
+  new DataView(b.buffer).setFloat64(0, x);
+  return element(id, b);
+};
+
+function webmFile(chunks, { width, height, fps, codecId }) {
+  // chunks: [{ data: Uint8Array, timestamp (µs), key }] in order -> WebM bytes
+  const ms = (us) => Math.round(us / 1000);
+  const info = element(0x1549a966, [
+    uint(0x2ad7b1, 1000000), // TimecodeScale: 1 ms
+    str(0x4d80, "camera-frustums-viewer"),
+    str(0x5741, "camera-frustums-viewer"),
+    float(0x4489, (chunks.length * 1000) / fps), // Duration (ms)
+  ]);
+  const tracks = element(0x1654ae6b, element(0xae, [
+    uint(0xd7, 1), // TrackNumber
+    uint(0x73c5, 1), // TrackUID
+    uint(0x83, 1), // TrackType: video
+    str(0x86, codecId),
+    uint(0x9c, 0), // FlagLacing
+    uint(0x23e383, Math.round(1e9 / fps)), // DefaultDuration (ns)
+    element(0xe0, [uint(0xb0, width), uint(0xba, height)]),
+  ]));
+  // One cluster per key frame (block timecodes are 16-bit offsets from the cluster's)
+  const clusters = [];
+  for (const chunk of chunks) {
+    if (chunk.key || !clusters.length) clusters.push({ time: ms(chunk.timestamp), blocks: [] });
+    const cluster = clusters[clusters.length - 1];
+    const header = new Uint8Array(4);
+    header[0] = 0x81; // track 1
+    new DataView(header.buffer).setInt16(1, ms(chunk.timestamp) - cluster.time);
+    header[3] = chunk.key ? 0x80 : 0;
+    cluster.blocks.push(element(0xa3, [header, chunk.data]));
+  }
+  const clusterBytes = clusters.map((c) => element(0x1f43b675, [uint(0xe7, c.time), ...c.blocks]));
+  // The seek head has a fixed size (8-byte positions), so positions can be computed before it is built
+  const seekEntry = (id, position) => element(0x4dbb, [element(0x53ab, uintBytes(id)), uint(0x53ac, position, 8)]);
+  const seekHeadSize = element(0x114d9b74, [seekEntry(0x1549a966, 0), seekEntry(0x1654ae6b, 0), seekEntry(0x1c53bb6b, 0)]).length;
+  let position = seekHeadSize + info.length + tracks.length;
+  const cuePoints = clusters.map((c, i) => {
+    const cue = element(0xbb, [uint(0xb3, c.time), element(0xb7, [uint(0xf7, 1), uint(0xf1, position, 8)])]);
+    position += clusterBytes[i].length;
+    return cue;
+  });
+  const seekHead = element(0x114d9b74, [
+    seekEntry(0x1549a966, seekHeadSize),
+    seekEntry(0x1654ae6b, seekHeadSize + info.length),
+    seekEntry(0x1c53bb6b, position),
+  ]);
+  const ebml = element(0x1a45dfa3, [
+    uint(0x4286, 1), uint(0x42f7, 1), uint(0x42f2, 4), uint(0x42f3, 8), str(0x4282, "webm"), uint(0x4287, 4), uint(0x4285, 2),
+  ]);
+  const segment = element(0x18538067, [seekHead, info, tracks, ...clusterBytes, element(0x1c53bb6b, cuePoints)]);
+  return concat([ebml, segment]);
+}
+
+export async function createWebmEncoder({ width, height, fps, bitrate = 8e6 }) {
+  // -> { codec, add(canvas) (await it: waits while the encoder is busy), finish() -> Blob, close() }
+  if (!videoEncodingSupported()) throw new Error("This browser cannot encode video (WebCodecs); save a ZIP of PNG frames instead");
+  let choice = null;
+  for (const [codec, codecId] of CODECS) {
+    const config = { codec, width, height, bitrate, framerate: fps };
+    if ((await VideoEncoder.isConfigSupported(config)).supported) {
+      choice = { config, codecId };
+      break;
+    }
+  }
+  if (!choice) throw new Error(`No VP9/VP8 encoder for ${width}×${height} in this browser`);
+  const chunks = [];
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push({ data, timestamp: chunk.timestamp, key: chunk.type === "key" });
+    },
+    error: (e) => { failure = e; },
+  });
+  encoder.configure(choice.config);
+  let count = 0;
+  const keyInterval = Math.max(1, Math.round(fps * 2));
+  return {
+    codec: choice.config.codec,
+    async add(canvas) {
+      if (failure) throw failure;
+      const timestamp = Math.round((count * 1e6) / fps);
+      const frame = new VideoFrame(canvas, { timestamp, duration: Math.round(1e6 / fps) });
+      encoder.encode(frame, { keyFrame: count % keyInterval === 0 });
+      frame.close();
+      count++;
+      while (encoder.encodeQueueSize > 2 && !failure) await new Promise((resolve) => setTimeout(resolve, 5));
+    },
+    async finish() {
+      await encoder.flush();
+      if (failure) throw failure;
+      chunks.sort((a, b) => a.timestamp - b.timestamp);
+      return new Blob([webmFile(chunks, { width, height, fps, codecId: choice.codecId })], { type: "video/webm" });
+    },
+    close() {
+      if (encoder.state !== "closed") encoder.close();
+    },
+  };
+}
+
+// -------------------------- ZIP --------------------------
+
+const DOS_DATE = (1 << 5) | 1; // 1980-01-01, the earliest date ZIP can store
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function zipFile(files) {
+  // files: [{ name, data: Uint8Array }] -> Blob of a stored (uncompressed) ZIP archive
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(data);
+    const header = (signature, size) => {
+      const b = new DataView(new ArrayBuffer(size));
+      b.setUint32(0, signature, true);
+      return b;
+    };
+    const local = header(0x04034b50, 30);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    const entry = header(0x02014b50, 46);
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, data);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const size = central.reduce((n, p) => n + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+}
@@ -0,0 +1,58 @@
+/**
+ * Datasets served over HTTP (e.g. a static file server next to training outputs)
+ *
+ * - A URL points either at a transforms JSON ({ frames: [...] }) or at a dataset index listing several of them:
+ *   { "title"?: string, "datasets": [{ "url": string, "name"?: string, "description"?: string } | string, ...] }
+ *   (a bare array works too). Relative URLs in an index are resolved against the index URL.
+ * - Frame images are fetched relative to the dataset URL (see remoteImage in images.js).
+ * - The server has to allow cross-origin requests when it is not the viewer's own origin.
+ */
+
+async function fetchOk(url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (e) {
+    throw new Error(`Could not fetch ${url} (${e.message}); is the server running and does it allow cross-origin requests?`);
+  }
+  if (!res.ok) throw new Error(`Could not fetch ${url}: ${res.status} ${res.statusText}`.trim());
+  return res;
+}
+
+export function datasetName(url) {
+  // "http://host/out/lego/transforms_train.json" -> "lego/transforms_train"
+  const parts = new URL(url).pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  const stem = (parts.pop() || new URL(url).host).replace(/\.[^.]+$/, "");
+  return parts.length ? `${parts[parts.length - 1]}/${stem}` : stem;
+}
+
+function indexEntries(data, indexUrl) {
+  const list = Array.isArray(data) ? data : data.datasets;
+  return list.map((entry, i) => {
+    const e = typeof entry === "string" ? { url: entry } : entry;
+    if (typeof e?.url !== "string" || !e.url) throw new Error(`Dataset index entry ${i + 1} has no 'url'`);
+    const url = new URL(e.url, indexUrl).href;
+    return { url, name: typeof e.name === "string" && e.name ? e.name : datasetName(url), description: typeof e.description === "string" ? e.description : "" };
+  });
+}
+
+export function isDatasetIndex(data) {
+  return Array.isArray(data) || (Array.isArray(data?.datasets) && !Array.isArray(data?.frames));
+}
+
+export async function fetchDataset(input) {
+  // -> { kind: "dataset", url, name, data } or { kind: "index", url, title, entries: [{ url, name, description }] }
+  const url = new URL(String(input).trim(), window.location.href).href;
+  const res = await fetchOk(url);
+  let data;
+  try {
+    data = await res.json();
+  } catch {
+    throw new Error(`${url} is not JSON`);
+  }
+  if (isDatasetIndex(data)) {
+    return { kind: "index", url, title: typeof data.title === "string" ? data.title : datasetName(url), entries: indexEntries(data, url) };
+  }
+  if (!Array.isArray(data?.frames)) throw new Error(`${url}: missing 'frames' array`);
+  return { kind: "dataset", url, name: datasetName(url), data };
+}
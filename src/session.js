@@ -0,0 +1,229 @@
+/**
+ * Viewer sessions and shareable view links
+ *
+ * - A session bundles the loaded groups (data, name, color, visibility, overrides, convention, filter, source
+ *   URL), the control settings and the orbit viewpoint. It is saved to / opened from a JSON file and kept in
+ *   IndexedDB so a reload picks up where it left off. Dropped images, point clouds and meshes are not stored;
+ *   drop them again (images of groups loaded from a URL are fetched again).
+ * - The URL hash holds only the settings and the viewpoint as short key=value pairs (e.g.
+ *   "#v=1&n=0.1&up=z&cam=4,3,4,0,0,0"), so a link reproduces the view of data the recipient loads themselves.
+ */
+
+export const SESSION_FORMAT = "camera-frustums-session";
+export const SESSION_VERSION = 1;
+
+const GROUP_FIELDS = ["id", "name", "data", "color", "visible", "overrides", "convention", "filter", "source"];
+
+const number = {
+  valid: (v) => typeof v === "number" && Number.isFinite(v),
+  encode: (v) => String(+v.toPrecision(6)),
+  decode: (s) => (s.trim() === "" ? undefined : Number(s)),
+};
+const boolean = {
+  valid: (v) => typeof v === "boolean",
+  encode: (v) => (v ? "1" : "0"),
+  decode: (s) => (s === "1" ? true : s === "0" ? false : undefined),
+};
+const oneOf = (...values) => ({
+  valid: (v) => values.includes(v),
+  encode: String,
+  decode: (s) => s,
+});
+const NORMALIZE_CENTERS = ["none", "centroid", "convergence"];
+const normalizeSettings = {
+  // { enabled, center, rescale, radius, orientUp } <-> "0" (off) or "center,rescale,radius,orientUp"
+  valid: (v) => !!v && typeof v === "object" && boolean.valid(v.enabled) && NORMALIZE_CENTERS.includes(v.center)
+    && boolean.valid(v.rescale) && number.valid(v.radius) && v.radius > 0 && boolean.valid(v.orientUp),
+  encode: (v) => (v.enabled ? [v.center, boolean.encode(v.rescale), number.encode(v.radius), boolean.encode(v.orientUp)].join(",") : "0"),
+  decode: (s) => {
+    if (s === "0") return { enabled: false, center: "centroid", rescale: true, radius: 1, orientUp: true };
+    const [center, rescale, radius, orientUp] = s.split(",");
+    return { enabled: true, center, rescale: boolean.decode(rescale), radius: Number(radius), orientUp: boolean.decode(orientUp) };
+  },
+};
+const colorBySettings = {
+  // { attribute, colormap, min, max } (null = automatic) <-> "attribute,colormap,min,max" with each part URI-encoded
+  valid: (v) => !!v && typeof v === "object" && typeof v.attribute === "string" && v.attribute !== "" && typeof v.colormap === "string"
+    && (v.min === null || number.valid(v.min)) && (v.max === null || number.valid(v.max)),
+  encode: (v) => [v.attribute, v.colormap, v.min === null ? "" : number.encode(v.min), v.max === null ? "" : number.encode(v.max)]
+    .map(encodeURIComponent).join(","),
+  decode: (s) => {
+    let parts;
+    try {
+      parts = s.split(",").map(decodeURIComponent);
+    } catch {
+      return undefined;
+    }
+    const [attribute = "", colormap = "", min = "", max = ""] = parts;
+    return { attribute, colormap, min: min === "" ? null : Number(min), max: max === "" ? null : Number(max) };
+  },
+};
+const objectSettings = { valid: (v) => !!v && typeof v === "object" && !Array.isArray(v) };
+
+// Settings kept in sessions; those with a hash key are also part of shareable links
+const SETTINGS = {
+  near: { key: "n", ...number },
+  far: { key: "f", ...number },
+  scale: { key: "s", ...number },
+  invertMatrices: { key: "inv", ...boolean },
+  worldUp: { key: "up", ...oneOf("y", "z") },
+  badFramePolicy: { key: "bad", ...oneOf("keep", "fix", "skip") },
+  showGrid: { key: "grid", ...boolean },
+  showAxes: { key: "axes", ...boolean },
+  showLabels: { key: "labels", ...boolean },
+  showImages: { key: "img", ...boolean },
+  imageOpacity: { key: "io", ...number },
+  showPaths: { key: "paths", ...boolean },
+  outlierFactor: { key: "out", ...number },
+  pointSize: { key: "ps", ...number },
+  pointStride: { key: "pn", ...number },
+  normalize: { key: "norm", ...normalizeSettings },
+  colorBy: { key: "cb", ...colorBySettings },
+  projection: { key: "proj", ...oneOf("perspective", "orthographic") },
+  compare: objectSettings, // refers to group ids, so only meaningful together with the session's groups
+};
+
+export function sanitizeSettings(settings) {
+  // Known settings with valid values only
+  const out = {};
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    const v = settings?.[name];
+    if (v !== undefined && spec.valid(v)) out[name] = v;
+  }
+  return out;
+}
+
+function sanitizeView(view) {
+  // { position: [x, y, z], target: [x, y, z] } of the orbit camera, or null
+  const vec = (a) => Array.isArray(a) && a.length === 3 && a.every(number.valid);
+  return view && vec(view.position) && vec(view.target) ? { position: view.position.slice(), target: view.target.slice() } : null;
+}
+
+export function createSession({ groups, settings, view }) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    groups: groups.map((g) => Object.fromEntries(GROUP_FIELDS.filter((k) => g[k] !== undefined).map((k) => [k, g[k]]))),
+    settings: sanitizeSettings(settings),
+    view: sanitizeView(view),
+  };
+}
+
+export function isSessionJson(data) {
+  return data?.format === SESSION_FORMAT;
+}
+
+export function parseSession(data) {
+  // Validated { groups, settings, view } from a session object (file or IndexedDB); throws on malformed sessions
+  if (!isSessionJson(data)) throw new Error("Not a camera frustums session file");
+  if (!(data.version <= SESSION_VERSION)) throw new Error(`Session version ${data.version} is newer than this viewer supports`);
+  if (!Array.isArray(data.groups)) throw new Error("Session has no 'groups' array");
+  const groups = data.groups.map((g, i) => {
+    if (!Array.isArray(g?.data?.frames)) throw new Error(`Session group ${i + 1} is missing its 'frames' array`);
+    return {
+      id: String(g.id ?? `session_${i}`),
+      name: String(g.name ?? `group_${i}`),
+      data: g.data,
+      color: typeof g.color === "string" ? g.color : "#64748b",
+      visible: g.visible !== false,
+      overrides: g.overrides ?? {},
+      convention: g.convention ?? {},
+      ...(g.filter ? { filter: g.filter } : {}),
+      ...(typeof g.source?.url === "string" ? { source: { url: g.source.url } } : {}),
+    };
+  });
+  if (new Set(groups.map((g) => g.id)).size !== groups.length) throw new Error("Session has duplicate group ids");
+  return { groups, settings: sanitizeSettings(data.settings), view: sanitizeView(data.view) };
+}
+
+// -------------------------- URL hash --------------------------
+
+export function encodeViewHash(settings, view) {
+  const params = [["v", String(SESSION_VERSION)]];
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    const v = settings?.[name];
+    if (spec.key && v !== undefined && spec.valid(v)) params.push([spec.key, spec.encode(v)]);
+  }
+  const cam = sanitizeView(view);
+  if (cam) params.push(["cam", [...cam.position, ...cam.target].map(number.encode).join(",")]);
+  // Commas and slashes are left readable; everything else is percent-encoded
+  return params.map(([k, v]) => `${k}=${encodeURIComponent(v).replace(/%2C/g, ",")}`).join("&");
+}
+
+export function decodeViewHash(hash) {
+  // "#v=1&..." -> { settings, view } with unknown keys and invalid values dropped; null when it is not a view link
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (!params.has("v")) return null;
+  const settings = {};
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    if (!spec.key || !params.has(spec.key)) continue;
+    const v = spec.decode(params.get(spec.key));
+    if (v !== undefined && spec.valid(v)) settings[name] = v;
+  }
+  const cam = (params.get("cam") || "").split(",").map(Number);
+  const view = cam.length === 6 ? sanitizeView({ position: cam.slice(0, 3), target: cam.slice(3) }) : null;
+  return { settings, view };
+}
+
+// -------------------------- IndexedDB --------------------------
+
+const DB_NAME = "camera-frustums-viewer";
+const DB_STORE = "sessions";
+const DB_KEY = "last"; // whole session, written when groups or settings change
+const DB_VIEW_KEY = "lastView"; // { settings, view }, written on every viewpoint change
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(DB_STORE, mode);
+      const req = fn(tx.objectStore(DB_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export function storeSession(session) {
+  // Drops the view record too: the session carries a newer viewpoint
+  return withStore("readwrite", (store) => {
+    store.delete(DB_VIEW_KEY);
+    return store.put(session, DB_KEY);
+  });
+}
+
+export function storeSessionView(session) {
+  // Settings and viewpoint only, so moving the view does not rewrite the groups; applied over the stored session
+  return withStore("readwrite", (store) => store.put({ settings: session.settings, view: session.view }, DB_VIEW_KEY));
+}
+
+export async function loadStoredSession() {
+  // The last stored session object (see parseSession) with the latest settings and viewpoint, or null
+  const session = await withStore("readonly", (store) => store.get(DB_KEY));
+  if (!session) return null;
+  const latest = await withStore("readonly", (store) => store.get(DB_VIEW_KEY));
+  return latest ? { ...session, settings: latest.settings, view: latest.view } : session;
+}
+
+export function clearStoredSession() {
+  return withStore("readwrite", (store) => {
+    store.delete(DB_VIEW_KEY);
+    return store.delete(DB_KEY);
+  });
+}
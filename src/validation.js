@@ -0,0 +1,155 @@
+import * as THREE from "three";
+
+/**
+ * Pose validation for loaded frames
+ *
+ * - Checks each frame's transform_matrix for shape (4x4, or fixable 3x4), non-finite values, the bottom row,
+ *   scale/shear/reflection baked into the rotation, and flags duplicate poses and duplicate file_paths.
+ * - Problems carry a severity ('error' | 'warning') and whether fixTransform() can repair them; frames with
+ *   unrenderable matrices (wrong shape, NaN/Infinity) are never drawn as-is.
+ */
+
+const TOLERANCE = 1e-3;
+
+export function isRenderableTransform(rows) {
+  return Array.isArray(rows) && rows.length === 4 && rows.every(
+    (r) => Array.isArray(r) && r.length === 4 && r.every((v) => typeof v === "number" && Number.isFinite(v))
+  );
+}
+
+function finiteRows(rows, count) {
+  return Array.isArray(rows) && rows.length === count && rows.every(
+    (r) => Array.isArray(r) && r.length === 4 && r.every((v) => typeof v === "number" && Number.isFinite(v))
+  );
+}
+
+function rotationOf(rows) {
+  return new THREE.Matrix3().set(
+    rows[0][0], rows[0][1], rows[0][2],
+    rows[1][0], rows[1][1], rows[1][2],
+    rows[2][0], rows[2][1], rows[2][2],
+  );
+}
+
+function checkRotation(rows) {
+  // Column norms (scale) and pairwise dot products (shear) of the upper-left 3x3
+  const problems = [];
+  const cols = [0, 1, 2].map((j) => new THREE.Vector3(rows[0][j], rows[1][j], rows[2][j]));
+  const norms = cols.map((c) => c.length());
+  const det = rotationOf(rows).determinant();
+  if (Math.abs(det) < 1e-9) {
+    problems.push({ code: "singular", severity: "error", fixable: false, message: "rotation is singular (det ≈ 0)" });
+    return problems;
+  }
+  if (norms.some((n) => Math.abs(n - 1) > TOLERANCE)) {
+    const uniform = norms.every((n) => Math.abs(n - norms[0]) <= TOLERANCE);
+    problems.push({
+      code: "scale",
+      severity: "warning",
+      fixable: true,
+      message: uniform
+        ? `rotation has uniform scale ${norms[0].toFixed(4)}`
+        : `rotation has non-uniform scale (${norms.map((n) => n.toFixed(4)).join(", ")})`,
+    });
+  }
+  const maxDot = Math.max(
+    Math.abs(cols[0].dot(cols[1]) / (norms[0] * norms[1])),
+    Math.abs(cols[0].dot(cols[2]) / (norms[0] * norms[2])),
+    Math.abs(cols[1].dot(cols[2]) / (norms[1] * norms[2])),
+  );
+  if (maxDot > TOLERANCE) {
+    problems.push({ code: "shear", severity: "warning", fixable: true, message: `rotation axes not orthogonal (max |cos| ${maxDot.toFixed(4)})` });
+  }
+  if (det < 0) {
+    problems.push({ code: "reflection", severity: "warning", fixable: false, message: "rotation is a reflection (det < 0)" });
+  }
+  return problems;
+}
+
+export function validateFrames(frames) {
+  // returns { issues: [{ index, file_path, problems }], byIndex: Map<index, problems>, errors, warnings }
+  const issues = [];
+  const seenPose = new Map(); // rounded matrix -> first frame index
+  const seenPath = new Map(); // file_path -> first frame index
+  (frames || []).forEach((f, index) => {
+    const problems = [];
+    const rows = f?.transform_matrix;
+    if (finiteRows(rows, 4)) {
+      const [a, b, c, d] = rows[3];
+      if (Math.abs(a) > TOLERANCE || Math.abs(b) > TOLERANCE || Math.abs(c) > TOLERANCE || Math.abs(d - 1) > TOLERANCE) {
+        problems.push({ code: "bottom", severity: "warning", fixable: true, message: `bottom row is [${rows[3].join(", ")}], expected [0, 0, 0, 1]` });
+      }
+      problems.push(...checkRotation(rows));
+    } else if (finiteRows(rows, 3)) {
+      problems.push({ code: "shape", severity: "error", fixable: true, message: "transform_matrix is 3x4 (missing bottom row)" });
+      problems.push(...checkRotation(rows));
+    } else if (Array.isArray(rows) && rows.length >= 3 && rows.every((r) => Array.isArray(r) && r.length === 4)) {
+      problems.push({ code: "nonfinite", severity: "error", fixable: false, message: "transform_matrix contains NaN, Infinity or non-numbers" });
+    } else {
+      problems.push({ code: "shape", severity: "error", fixable: false, message: "transform_matrix is missing or not 4x4" });
+    }
+
+    if (finiteRows(rows, 4) || finiteRows(rows, 3)) {
+      const key = rows.slice(0, 3).flat().map((v) => v.toFixed(6)).join(",");
+      if (seenPose.has(key)) {
+        problems.push({ code: "duplicate-pose", severity: "warning", fixable: false, message: `same pose as frame ${seenPose.get(key)}` });
+      } else {
+        seenPose.set(key, index);
+      }
+    }
+    if (f?.file_path != null) {
+      if (seenPath.has(f.file_path)) {
+        problems.push({ code: "duplicate-path", severity: "warning", fixable: false, message: `same file_path as frame ${seenPath.get(f.file_path)}` });
+      } else {
+        seenPath.set(f.file_path, index);
+      }
+    }
+    if (problems.length) issues.push({ index, file_path: f?.file_path, problems });
+  });
+  const all = issues.flatMap((i) => i.problems);
+  return {
+    issues,
+    byIndex: new Map(issues.map((i) => [i.index, i.problems])),
+    errors: all.filter((p) => p.severity === "error").length,
+    warnings: all.filter((p) => p.severity === "warning").length,
+  };
+}
+
+function orthonormalize(m) {
+  // Orthogonal polar factor of a non-singular 3x3 (keeps a reflection if det < 0): R <- (R + R^-T) / 2
+  const r = m.clone();
+  for (let iter = 0; iter < 30; iter++) {
+    const invT = r.clone().invert().transpose();
+    let diff = 0;
+    for (let k = 0; k < 9; k++) {
+      const next = 0.5 * (r.elements[k] + invT.elements[k]);
+      diff = Math.max(diff, Math.abs(next - r.elements[k]));
+      r.elements[k] = next;
+    }
+    if (diff < 1e-12) break;
+  }
+  return r;
+}
+
+export function fixTransform(rows) {
+  // 3x4/4x4 finite rows -> 4x4 with re-orthonormalized rotation, same translation, bottom row [0, 0, 0, 1];
+  // a homogeneous bottom row [0, 0, 0, w] is divided out first
+  const w = rows[3]?.[3];
+  const homogeneous = rows.length === 4 && Math.abs(w) > 1e-9 && rows[3].slice(0, 3).every((v) => Math.abs(v) <= TOLERANCE);
+  const top = rows.slice(0, 3).map((r) => (homogeneous ? r.map((v) => v / w) : r));
+  const r = orthonormalize(rotationOf(top)).elements; // column-major
+  const out = [0, 1, 2].map((i) => [r[i], r[i + 3], r[i + 6], top[i][3]]);
+  out.push([0, 0, 0, 1]);
+  return out;
+}
+
+export function resolveFrameTransform(rows, problems, policy) {
+  // policy 'keep' | 'fix' | 'skip' -> { rows, flagged } to draw, or null when the frame is not drawn
+  if (!problems?.length) return { rows, flagged: false };
+  if (policy === "skip") return null;
+  if (policy === "fix" && problems.every((p) => p.fixable || p.severity !== "error")) {
+    const fixed = problems.some((p) => p.fixable) ? fixTransform(rows) : rows;
+    return { rows: fixed, flagged: problems.some((p) => !p.fixable) };
+  }
+  return isRenderableTransform(rows) ? { rows, flagged: true } : null;
+}
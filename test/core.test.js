@@ -0,0 +1,241 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import {
+  CAMERA_CONVENTIONS, DEFAULT_ASPECT, DEFAULT_FOV_X, buildFrustumEdges, canonicalFrustumCorners, computeCamerasBounds,
+  computeFrustumCornersLocal, detectConvention, displayMatrix, exportMatrix, frustumCorners, frustumSegments,
+  frustumShapeMatrix, groupCameras, matrix4FromRows, normalizationTransform, normalizedPose, parseDataset,
+  resolveConvention, resolveIntrinsics, rowsFromMatrix4,
+} from "../src/core.js";
+import { compileFrameFilter } from "../src/filters.js";
+
+const IDENTITY = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+const translation = (x, y, z) => [[1, 0, 0, x], [0, 1, 0, y], [0, 0, 1, z], [0, 0, 0, 1]];
+
+function assertVector(actual, expected, tolerance = 1e-9) {
+  assert.ok(actual.distanceTo(new THREE.Vector3(...expected)) < tolerance, `expected [${expected}], got [${actual.toArray()}]`);
+}
+
+const position = (m) => new THREE.Vector3().setFromMatrixPosition(m);
+const forward = (m) => new THREE.Vector3(0, 0, -1).transformDirection(m);
+const up = (m) => new THREE.Vector3(0, 1, 0).transformDirection(m);
+
+test("matrix4FromRows reads row-major rows and rowsFromMatrix4 inverts it", () => {
+  const rows = [[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12], [0, 0, 0, 1]];
+  const m = matrix4FromRows(rows);
+  assertVector(position(m), [4, 8, 12]);
+  assert.deepEqual(rowsFromMatrix4(m), rows);
+});
+
+test("displayMatrix maps each camera-axis convention onto the viewer's OpenGL axes", () => {
+  const opengl = displayMatrix(IDENTITY, { axes: "opengl", pose: "c2w", worldUp: "y" });
+  assertVector(forward(opengl), [0, 0, -1]);
+  assertVector(up(opengl), [0, 1, 0]);
+  // OpenCV/COLMAP cameras look down +Z with +Y down
+  const opencv = displayMatrix(IDENTITY, { axes: "opencv", pose: "c2w", worldUp: "y" });
+  assertVector(forward(opencv), [0, 0, 1]);
+  assertVector(up(opencv), [0, -1, 0]);
+  // DirectX: +Z forward, +Y up
+  const directx = displayMatrix(IDENTITY, { axes: "directx", pose: "c2w", worldUp: "y" });
+  assertVector(forward(directx), [0, 0, 1]);
+  assertVector(up(directx), [0, 1, 0]);
+});
+
+test("displayMatrix rotates a Z-up world onto the viewer's Y-up world", () => {
+  const m = displayMatrix(translation(1, 2, 3), { axes: "blender", pose: "c2w", worldUp: "z" });
+  assertVector(position(m), [1, 3, -2]);
+  // A Blender camera with identity rotation looks straight down the world's -Z, i.e. down in the viewer
+  assertVector(forward(m), [0, -1, 0]);
+});
+
+test("displayMatrix inverts world-to-camera poses", () => {
+  const m = displayMatrix(translation(1, 2, 3), { axes: "opengl", pose: "w2c", worldUp: "y" });
+  assertVector(position(m), [-1, -2, -3]);
+});
+
+test("exportMatrix undoes displayMatrix for every convention", () => {
+  const rows = rowsFromMatrix4(new THREE.Matrix4().compose(
+    new THREE.Vector3(0.5, -1, 2),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(0.3, -0.7, 0.2)),
+    new THREE.Vector3(1, 1, 1),
+  ));
+  for (const axes of Object.keys(CAMERA_CONVENTIONS)) {
+    for (const pose of ["c2w", "w2c"]) {
+      for (const worldUp of ["y", "z"]) {
+        const convention = { axes, pose, worldUp };
+        const back = exportMatrix(displayMatrix(rows, convention), convention);
+        back.flat().forEach((v, i) => assert.ok(Math.abs(v - rows.flat()[i]) < 1e-9, `${axes}/${pose}/${worldUp}`));
+      }
+    }
+  }
+});
+
+test("resolveConvention lets group settings win over the global defaults", () => {
+  assert.deepEqual(resolveConvention({}, { invertMatrices: true, worldUp: "z" }), { axes: "opengl", pose: "w2c", worldUp: "z" });
+  assert.deepEqual(
+    resolveConvention({ convention: { axes: "opencv", pose: "c2w", worldUp: "y" } }, { invertMatrices: true, worldUp: "z" }),
+    { axes: "opencv", pose: "c2w", worldUp: "y" },
+  );
+});
+
+test("resolveIntrinsics derives FOV, aspect and principal point", () => {
+  assert.deepEqual(resolveIntrinsics({ data: {} }, {}), { fovX: DEFAULT_FOV_X, aspect: DEFAULT_ASPECT, px: 0.5, py: 0.5 });
+  const k = resolveIntrinsics({ data: { fl_x: 500, fl_y: 500, cx: 200, cy: 150, w: 800, h: 600 } }, {});
+  assert.ok(Math.abs(k.fovX - 2 * Math.atan(0.8)) < 1e-12);
+  assert.ok(Math.abs(k.aspect - 800 / 600) < 1e-12);
+  assert.equal(k.px, 0.25);
+  assert.equal(k.py, 0.25);
+  // camera_angle_y alone needs the image size for the horizontal FOV
+  const y = resolveIntrinsics({ data: { camera_angle_y: 1, w: 200, h: 100 } }, {});
+  assert.ok(Math.abs(Math.tan(y.fovX / 2) - 2 * Math.tan(0.5)) < 1e-12);
+  assert.ok(Math.abs(y.aspect - 2) < 1e-12);
+});
+
+test("resolveIntrinsics: frame fields override the group's, group overrides win over both", () => {
+  const group = { data: { camera_angle_x: 1, w: 400, h: 300 }, overrides: { aspect: 2 } };
+  const k = resolveIntrinsics(group, { camera_angle_x: 0.5 });
+  assert.equal(k.fovX, 0.5);
+  assert.equal(k.aspect, 2);
+  assert.equal(resolveIntrinsics({ ...group, overrides: { fovX: 0.25 } }, { camera_angle_x: 0.5 }).fovX, 0.25);
+});
+
+test("computeFrustumCornersLocal spans the FOV and shifts with the principal point", () => {
+  const fovX = THREE.MathUtils.degToRad(90);
+  const [n0, n1, n2, n3, f0, , f2] = computeFrustumCornersLocal(fovX, 2, 1, 3);
+  assertVector(n0, [-1, -0.5, -1]);
+  assertVector(n1, [1, -0.5, -1]);
+  assertVector(n2, [1, 0.5, -1]);
+  assertVector(n3, [-1, 0.5, -1]);
+  assertVector(f0, [-3, -1.5, -3]);
+  assertVector(f2, [3, 1.5, -3]);
+  // Principal point at the left quarter: three quarters of the image plane lie right of the axis
+  const off = computeFrustumCornersLocal(fovX, 2, 1, 3, 0.25, 0.5);
+  assertVector(off[0], [-0.5, -0.5, -1]);
+  assertVector(off[1], [1.5, -0.5, -1]);
+});
+
+test("computeFrustumCornersLocal stays finite for a zero aspect", () => {
+  for (const v of computeFrustumCornersLocal(1, 0, 0.1, 2)) assert.ok([v.x, v.y, v.z].every(Number.isFinite));
+});
+
+test("frustumShapeMatrix maps the canonical frustum onto the camera's", () => {
+  const k = { fovX: 1.1, aspect: 1.7, px: 0.4, py: 0.6 };
+  const expected = computeFrustumCornersLocal(k.fovX, k.aspect, 0.1, 2, k.px, k.py);
+  const shape = frustumShapeMatrix(k);
+  canonicalFrustumCorners(0.1, 2).forEach((v, i) => assert.ok(v.applyMatrix4(shape).distanceTo(expected[i]) < 1e-9));
+});
+
+test("buildFrustumEdges gives 12 line segments", () => {
+  const geom = buildFrustumEdges(computeFrustumCornersLocal(1, 1.5, 0.1, 2));
+  assert.equal(geom.getAttribute("position").count, 24);
+});
+
+test("frustumCorners, frustumSegments and computeCamerasBounds agree in world space", () => {
+  const cams = groupCameras({ name: "g", data: { camera_angle_x: 0.9, w: 4, h: 3, frames: [
+    { transform_matrix: translation(1, 2, 3) },
+    { transform_matrix: rowsFromMatrix4(new THREE.Matrix4().makeRotationY(1).setPosition(-2, 0, 1)) },
+  ] } });
+  const box = new THREE.Box3();
+  for (const c of cams) {
+    box.expandByPoint(position(c.matrix));
+    frustumCorners(c, 0.1, 2).slice(4).forEach((v) => box.expandByPoint(v));
+    const segments = frustumSegments(c, 0.1, 2);
+    assert.equal(segments.length, 12);
+    assert.ok(segments[0][0].distanceTo(frustumCorners(c, 0.1, 2)[0]) < 1e-12);
+  }
+  const bounds = computeCamerasBounds(cams, 0.1, 2);
+  assert.ok(bounds.min.distanceTo(box.min) < 1e-9 && bounds.max.distanceTo(box.max) < 1e-9);
+});
+
+test("parseDataset accepts JSON text or objects with a frames array", () => {
+  assert.deepEqual(parseDataset('{"frames": []}'), { frames: [] });
+  assert.throws(() => parseDataset({ camera_angle_x: 1 }), /Missing 'frames' array/);
+  assert.throws(() => parseDataset("{"), SyntaxError);
+});
+
+test("groupCameras resolves frames in order with ids, labels and times", () => {
+  const cams = groupCameras({ id: "g1", name: "train", data: { frames: [
+    { file_path: "a.png", time: 0.5, transform_matrix: translation(0, 0, 1) },
+    { transform_matrix: translation(0, 0, 2) },
+  ] } });
+  assert.deepEqual(cams.map((c) => [c.id, c.groupId, c.index, c.label, c.time]), [
+    ["g1:0", "g1", 0, "train/a.png", 0.5],
+    ["g1:1", "g1", 1, "train/cam_1", undefined],
+  ]);
+  assertVector(position(cams[1].matrix), [0, 0, 2]);
+});
+
+test("groupCameras applies the bad-frame policy", () => {
+  const sheared = [[1, 0.2, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+  const group = { name: "g", data: { frames: [
+    { transform_matrix: IDENTITY },
+    { transform_matrix: sheared },
+    { transform_matrix: [[1, 0, 0, 1], [0, 1, 0, 0], [0, 0, 1, 0]] }, // 3x4
+    { transform_matrix: [[NaN, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]] },
+  ] } };
+  const keep = groupCameras(group, { badFramePolicy: "keep" });
+  assert.deepEqual(keep.map((c) => [c.index, c.flagged]), [[0, false], [1, true]]);
+  const fix = groupCameras(group, { badFramePolicy: "fix" });
+  assert.deepEqual(fix.map((c) => [c.index, c.flagged]), [[0, false], [1, false], [2, false]]);
+  const x = new THREE.Vector3().setFromMatrixColumn(fix[1].matrix, 0);
+  const y = new THREE.Vector3().setFromMatrixColumn(fix[1].matrix, 1);
+  assert.ok(Math.abs(x.dot(y)) < 1e-9);
+  assert.deepEqual(groupCameras(group, { badFramePolicy: "skip" }).map((c) => c.index), [0]);
+});
+
+test("groupCameras applies frame filters before everything else", () => {
+  const frames = Array.from({ length: 10 }, (_, i) => ({ file_path: `img_${i}.png`, transform_matrix: translation(i, 0, 0) }));
+  const filter = compileFrameFilter({ ranges: "2-7", everyN: 2 });
+  assert.deepEqual(groupCameras({ name: "g", data: { frames } }, { filter }).map((c) => c.index), [2, 4, 6]);
+});
+
+test("frame filter regex queries ignore the g and y flags", () => {
+  const frames = ["img_0.png", "img_1.png", "frame_2.png", "img_3.png"].map((file_path) => ({ file_path }));
+  for (const [query, expected] of [["/img/y", [0, 1, 3]], ["/img/gi", [0, 1, 3]], ["/_\\d/y", [0, 1, 2, 3]]]) {
+    const filter = compileFrameFilter({ query });
+    assert.deepEqual(frames.flatMap((f, i) => (filter.match(f, i) ? [i] : [])), expected, query);
+  }
+});
+
+test("groupCameras falls back to the global invert/world-up defaults", () => {
+  const group = { name: "g", data: { frames: [{ transform_matrix: translation(1, 2, 3) }] } };
+  assertVector(position(groupCameras(group, { invertMatrices: true })[0].matrix), [-1, -2, -3]);
+  assertVector(position(groupCameras(group, { worldUp: "z" })[0].matrix), [1, 3, -2]);
+  assertVector(position(groupCameras({ ...group, convention: { worldUp: "y" } }, { worldUp: "z" })[0].matrix), [1, 2, 3]);
+});
+
+function ringFrames({ pose, axes, center = [0, 0, 0], count = 8 }) {
+  // Cameras on a wavy ring looking at its center, written in the given convention (Y-up world)
+  const target = new THREE.Vector3(...center);
+  return Array.from({ length: count }, (_, i) => {
+    const a = (i / count) * 2 * Math.PI;
+    const eye = new THREE.Vector3(4 * Math.cos(a), 1 + 0.3 * Math.sin(3 * a), 4 * Math.sin(a)).add(target);
+    const c2w = new THREE.Matrix4().lookAt(eye, target, new THREE.Vector3(0, 1, 0)).setPosition(eye);
+    const rows = exportMatrix(c2w, { axes, pose, worldUp: "y" });
+    return { file_path: `${i}.png`, transform_matrix: rows };
+  });
+}
+
+test("detectConvention recognizes inward-facing rigs", () => {
+  for (const [axes, pose] of [["opengl", "c2w"], ["opencv", "c2w"], ["opencv", "w2c"], ["opengl", "w2c"]]) {
+    const hint = detectConvention(ringFrames({ axes, pose }));
+    assert.equal(hint.axes, axes, `${axes}/${pose}`);
+    assert.equal(hint.pose, pose, `${axes}/${pose}`);
+    assert.equal(hint.worldUp, "y");
+    assert.ok(hint.score > 0.99);
+  }
+  assert.equal(detectConvention([]), null);
+});
+
+test("normalizationTransform recenters on the optical-axis convergence and rescales to the radius", () => {
+  const cams = groupCameras({ name: "g", data: { frames: ringFrames({ axes: "opengl", pose: "c2w", center: [5, 0, -2] }) } });
+  const n = normalizationTransform(cams, { center: "convergence", rescale: true, radius: 1, orientUp: true });
+  assert.equal(n.centerUsed, "convergence");
+  assertVector(n.center, [5, 0, -2], 1e-6);
+  const moved = cams.map((c) => normalizedPose(c.matrix, n));
+  const farthest = Math.max(...moved.map((m) => position(m).length()));
+  assert.ok(Math.abs(farthest - 1) < 1e-9);
+  // Rotations stay orthonormal, so frustums keep their size
+  for (const m of moved) assert.ok(Math.abs(new THREE.Vector3().setFromMatrixScale(m).x - 1) < 1e-9);
+  assert.equal(normalizationTransform([], { center: "centroid" }), null);
+});
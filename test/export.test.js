@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { parseCamerasText, parseImagesText } from "../src/colmap.js";
+import { datasetsFromColmap } from "../src/core.js";
+import { colmapCamerasText, colmapImagesText, posesCsv } from "../src/export.js";
+
+const IDENTITY = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+const fixture = (path) => readFileSync(new URL(`./fixtures/${path}`, import.meta.url), "utf8");
+
+// Exported groups as the viewer builds them; only the fields these writers read
+const exported = (name, data, overrides) => ({
+  name,
+  data,
+  overrides,
+  frames: data.frames.map((frame) => ({ frame, c2w: IDENTITY, w2cOpenCV: IDENTITY })),
+});
+
+test("COLMAP export writes a cameras.txt matching the ids in images.txt", () => {
+  const datasets = datasetsFromColmap({ cameras: fixture("colmap/cameras.txt"), images: fixture("colmap/images.txt") }, "sparse");
+  const groups = datasets.map((d) => exported(d.name, d.data));
+  const cameras = parseCamerasText(colmapCamerasText(groups));
+  // Loaded models and parameters come back unchanged
+  assert.deepEqual([...cameras.values()], [...parseCamerasText(fixture("colmap/cameras.txt")).values()]);
+  const images = parseImagesText(colmapImagesText(groups));
+  assert.ok(images.length > 0 && images.every((img) => cameras.has(img.cameraId)));
+});
+
+test("COLMAP export of a camera_angle_x-only group is a PINHOLE camera at the nominal width", () => {
+  const data = { camera_angle_x: Math.PI / 2, frames: [{ file_path: "a.png", transform_matrix: IDENTITY }] };
+  const [camera] = parseCamerasText(colmapCamerasText([exported("nerf", data, { aspect: 2 })])).values();
+  assert.equal(camera.model, "PINHOLE");
+  assert.deepEqual([camera.width, camera.height], [1000, 500]);
+  assert.deepEqual(camera.params, [500, 500, 500, 250]);
+});
+
+test("poses CSV starts with its header row", () => {
+  const data = { frames: [{ file_path: "dir/a, b.png", transform_matrix: IDENTITY }] };
+  const lines = posesCsv([exported("g", data)]).trim().split("\n");
+  assert.equal(lines[0], "group,file_path,x,y,z,qw,qx,qy,qz");
+  assert.equal(lines[1], 'g,"dir/a, b.png",0,0,0,1,0,0,0');
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import * as THREE from "three";
+import { CAMERA_CONVENTIONS, computeCamerasBounds, datasetsFromColmap, groupCameras, parseDataset } from "../src/core.js";
+
+// Golden tests: each fixture dataset is resolved under every convention and compared with test/golden/<name>.json.
+// After an intended change in the output, regenerate them with `UPDATE_GOLDEN=1 npm test` and review the diff.
+
+const fixture = (path) => new URL(`./fixtures/${path}`, import.meta.url);
+const NEAR = 0.1;
+const FAR = 1;
+
+const round = (v) => {
+  const r = Math.round(v * 1e6) / 1e6;
+  return Object.is(r, -0) ? 0 : r;
+};
+const vector = (v) => v.toArray().map(round);
+
+function summary(group, options) {
+  // Per camera: label, time, center, forward/up axes and intrinsics in the viewer's world; bounds of the frustums
+  const cams = groupCameras(group, options);
+  const box = computeCamerasBounds(cams, NEAR, FAR);
+  return {
+    cameras: cams.map((c) => ({
+      label: c.label,
+      ...(c.time !== undefined && { time: c.time }),
+      position: vector(new THREE.Vector3().setFromMatrixPosition(c.matrix)),
+      forward: vector(new THREE.Vector3(0, 0, -1).transformDirection(c.matrix)),
+      up: vector(new THREE.Vector3(0, 1, 0).transformDirection(c.matrix)),
+      intrinsics: Object.fromEntries(Object.entries(c.intrinsics).map(([k, v]) => [k, round(v)])),
+    })),
+    bounds: { min: vector(box.min), max: vector(box.max) },
+  };
+}
+
+function everyConvention(data) {
+  const out = {};
+  for (const axes of Object.keys(CAMERA_CONVENTIONS)) {
+    for (const pose of ["c2w", "w2c"]) {
+      for (const worldUp of ["y", "z"]) {
+        out[`${axes}/${pose}/${worldUp}`] = summary({ name: "data", data, convention: { axes, pose, worldUp } });
+      }
+    }
+  }
+  return out;
+}
+
+function assertGolden(name, actual) {
+  const file = new URL(`./golden/${name}.json`, import.meta.url);
+  if (process.env.UPDATE_GOLDEN) {
+    // One line per vector keeps the files short and their diffs readable
+    const text = JSON.stringify(actual, null, 2).replace(/\[\s+([^[\]{}]*?)\s+\]/g, (_, items) => `[${items.split(/,\s+/).join(", ")}]`);
+    writeFileSync(file, `${text}\n`);
+  }
+  assert.deepEqual(actual, JSON.parse(readFileSync(file, "utf8")));
+}
+
+test("D-NeRF / NeRF synthetic transforms.json (camera_angle_x, time)", () => {
+  const data = parseDataset(readFileSync(fixture("dnerf.json"), "utf8"));
+  assertGolden("dnerf", everyConvention(data));
+});
+
+test("nerfstudio / Instant-NGP transforms.json (focal lengths, principal point, per-frame intrinsics)", () => {
+  const data = parseDataset(readFileSync(fixture("nerfstudio.json"), "utf8"));
+  assertGolden("nerfstudio", everyConvention(data));
+});
+
+test("COLMAP text model", () => {
+  const datasets = datasetsFromColmap({
+    cameras: readFileSync(fixture("colmap/cameras.txt"), "utf8"),
+    images: readFileSync(fixture("colmap/images.txt"), "utf8"),
+  }, "sparse");
+  assert.deepEqual(datasets.map((d) => d.name), ["sparse/cam1", "sparse/cam2"]);
+  assertGolden("colmap", datasets.map((d) => ({ name: d.name, ...summary(d) })));
+});
+
+test("COLMAP binary model matches the text model", () => {
+  const datasets = datasetsFromColmap({
+    cameras: readFileSync(fixture("colmap/cameras.bin")),
+    images: readFileSync(fixture("colmap/images.bin")),
+  }, "sparse");
+  assertGolden("colmap", datasets.map((d) => ({ name: d.name, ...summary(d) })));
+});